@@ -0,0 +1,232 @@
+
+// var debug = require('debug')('friends-of-friends:errors');
+
+var util = require('util');
+
+/**
+ * The base class of every error raised by friends-of-friends.  Each error has a stable, machine-readable `code` to
+ * match on instead of its message.
+ * ```javascript
+ * Jeff.friendRequest(Zane._id, function (err, request) {
+ *     if (err instanceof FriendsOfFriends.RequestExistsError) {
+ *         // ...
+ *     }
+ *
+ *     if (err && err.code === 'ALREADY_FRIENDS') {
+ *         // ...
+ *     }
+ * });
+ * ```
+ * @class   FriendsOfFriendsError
+ * @extends Error
+ * @param   {String}    message - the message of the error
+ * @param   {String}    code    - the code of the error. Default: `'FRIENDS_OF_FRIENDS_ERROR'`
+ */
+function FriendsOfFriendsError (message, code) {
+    Error.call(this);
+
+    if (Error.captureStackTrace) Error.captureStackTrace(this, this.constructor);
+
+    this.name = 'FriendsOfFriendsError';
+    this.message = message;
+    this.code = code || 'FRIENDS_OF_FRIENDS_ERROR';
+}
+
+util.inherits(FriendsOfFriendsError, Error);
+
+exports.FriendsOfFriendsError = FriendsOfFriendsError;
+
+/**
+ * Define a subclass of an error class with its own name, code and default message
+ * @param   {String}    name        - the name of the subclass
+ * @param   {String}    code        - the code of its errors
+ * @param   {String}    message     - the message of its errors when none is given
+ * @param   {Function}  parent      - the class to extend. Default: `FriendsOfFriendsError`
+ * @returns {Function} - the subclass
+ * @ignore
+ */
+function defineError (name, code, message, parent) {
+    parent = parent || FriendsOfFriendsError;
+
+    function CustomError (customMessage) {
+        parent.call(this, customMessage || message);
+
+        this.name = name;
+        this.code = code;
+    }
+
+    util.inherits(CustomError, parent);
+
+    exports[name] = CustomError;
+
+    return CustomError;
+}
+
+/**
+ * A request between the two people is already pending.  Code: `'REQUEST_EXISTS'`
+ * @class   RequestExistsError
+ * @extends FriendsOfFriendsError
+ */
+defineError('RequestExistsError', 'REQUEST_EXISTS', 'A pending request already exists');
+
+/**
+ * The two people are already friends.  Code: `'ALREADY_FRIENDS'`
+ * @class   AlreadyFriendsError
+ * @extends FriendsOfFriendsError
+ */
+defineError('AlreadyFriendsError', 'ALREADY_FRIENDS', 'Requester and requested are already friends');
+
+/**
+ * There is no pending request to act on.  Code: `'REQUEST_NOT_FOUND'`
+ * @class   RequestNotFoundError
+ * @extends FriendsOfFriendsError
+ */
+defineError('RequestNotFoundError', 'REQUEST_NOT_FOUND', 'Cannot accept request that does not exist!');
+
+/**
+ * There is no friendship with the given id.  Code: `'FRIENDSHIP_NOT_FOUND'`
+ * @class   FriendshipNotFoundError
+ * @extends FriendsOfFriendsError
+ */
+defineError('FriendshipNotFoundError', 'FRIENDSHIP_NOT_FOUND', 'Invalid friendshipId!');
+
+/**
+ * A person tried to befriend themselves.  Code: `'SELF_REQUEST'`
+ * @class   SelfRequestError
+ * @extends FriendsOfFriendsError
+ */
+defineError('SelfRequestError', 'SELF_REQUEST', 'A person cannot befriend themselves');
+
+/**
+ * The two people are not friends.  Code: `'NOT_FRIENDS'`
+ * @class   NotFriendsError
+ * @extends FriendsOfFriendsError
+ */
+defineError('NotFriendsError', 'NOT_FRIENDS', 'Only friends may be added to a list');
+
+/**
+ * The owner already has a list of friends with the given name.  Code: `'LIST_EXISTS'`
+ * @class   ListExistsError
+ * @extends FriendsOfFriendsError
+ */
+defineError('ListExistsError', 'LIST_EXISTS', 'A list with that name already exists');
+
+/**
+ * The owner has no list of friends with the given name.  Code: `'LIST_NOT_FOUND'`
+ * @class   ListNotFoundError
+ * @extends FriendsOfFriendsError
+ */
+defineError('ListNotFoundError', 'LIST_NOT_FOUND', 'There is no list with that name');
+
+/**
+ * A relationship type is not one of the configured `types`.  Code: `'INVALID_TYPE'`
+ * @class   InvalidTypeError
+ * @extends FriendsOfFriendsError
+ */
+defineError('InvalidTypeError', 'INVALID_TYPE', 'Unknown relationship type');
+
+/**
+ * The friend has not proposed a change of type.  Code: `'TYPE_CHANGE_NOT_FOUND'`
+ * @class   TypeChangeNotFoundError
+ * @extends FriendsOfFriendsError
+ */
+defineError('TypeChangeNotFoundError', 'TYPE_CHANGE_NOT_FOUND', 'There is no change of type to confirm or deny');
+
+/**
+ * An id is not a well-formed ObjectId.  Code: `'INVALID_ID'`
+ * @class   InvalidIdError
+ * @extends FriendsOfFriendsError
+ */
+defineError('InvalidIdError', 'INVALID_ID', 'Invalid id');
+
+/**
+ * There is no person with the given id.  Code: `'PERSON_NOT_FOUND'`
+ * @class   PersonNotFoundError
+ * @extends FriendsOfFriendsError
+ */
+defineError('PersonNotFoundError', 'PERSON_NOT_FOUND', 'Person does not exist');
+
+/**
+ * There is a block between the two people.  Code: `'BLOCKED'`
+ * @class   BlockedError
+ * @extends FriendsOfFriendsError
+ */
+defineError('BlockedError', 'BLOCKED', 'Requester and requested have a block between them');
+
+/**
+ * The base class of the errors refusing a request that breaks a limit.  Code: `'LIMIT_REACHED'`
+ * @class   LimitError
+ * @extends FriendsOfFriendsError
+ */
+var LimitError = defineError('LimitError', 'LIMIT_REACHED', 'A limit has been reached');
+
+/**
+ * The requester sent `maxRequests` requests in the last `requestWindow` hours.  Code: `'REQUEST_RATE_LIMITED'`
+ * @class   RequestRateLimitedError
+ * @extends LimitError
+ */
+defineError('RequestRateLimitedError', 'REQUEST_RATE_LIMITED', 'Requester has sent too many requests', LimitError);
+
+/**
+ * The requested denied, or the requester cancelled, a request from the requester less than `denyCooldown` days ago.
+ * Code: `'REQUEST_COOLDOWN'`
+ * @class   RequestCooldownError
+ * @extends LimitError
+ */
+defineError('RequestCooldownError', 'REQUEST_COOLDOWN', 'Requester must wait before sending another request to requested', LimitError);
+
+/**
+ * The requester already has `maxPendingRequests` requests pending.  Code: `'TOO_MANY_PENDING_REQUESTS'`
+ * @class   TooManyPendingRequestsError
+ * @extends LimitError
+ */
+defineError('TooManyPendingRequestsError', 'TOO_MANY_PENDING_REQUESTS', 'Requester has too many pending requests', LimitError);
+
+/**
+ * A person already has `maxFriends` friends.  Code: `'MAX_FRIENDS'`
+ * @class   MaxFriendsError
+ * @extends LimitError
+ */
+defineError('MaxFriendsError', 'MAX_FRIENDS', 'Cannot have more friends', LimitError);
+
+/**
+ * The `visibility` option names an unknown relationship.  Code: `'INVALID_VISIBILITY'`
+ * @class   InvalidVisibilityError
+ * @extends FriendsOfFriendsError
+ */
+defineError('InvalidVisibilityError', 'INVALID_VISIBILITY', 'Unknown relationship');
+
+/**
+ * A paging cursor is malformed.  Code: `'INVALID_CURSOR'`
+ * @class   InvalidCursorError
+ * @extends FriendsOfFriendsError
+ */
+defineError('InvalidCursorError', 'INVALID_CURSOR', 'Invalid cursor');
+
+/**
+ * A paging limit is not a positive integer.  Code: `'INVALID_LIMIT'`
+ * @class   InvalidLimitError
+ * @extends FriendsOfFriendsError
+ */
+defineError('InvalidLimitError', 'INVALID_LIMIT', 'Invalid limit');
+
+/**
+ * Options conflict with those a Friendship model was already compiled with.  Code: `'OPTIONS_CONFLICT'`
+ * @class   OptionsConflictError
+ * @extends FriendsOfFriendsError
+ */
+defineError('OptionsConflictError', 'OPTIONS_CONFLICT', 'Options conflict with those the Friendship model was compiled with');
+
+/**
+ * An unknown suggestion algorithm was asked for.  Code: `'UNKNOWN_ALGORITHM'`
+ * @class   UnknownAlgorithmError
+ * @extends FriendsOfFriendsError
+ */
+defineError('UnknownAlgorithmError', 'UNKNOWN_ALGORITHM', 'Unknown suggestion algorithm');
+
+/**
+ * A hook was registered for an unknown action.  Code: `'UNKNOWN_ACTION'`
+ * @class   UnknownActionError
+ * @extends FriendsOfFriendsError
+ */
+defineError('UnknownActionError', 'UNKNOWN_ACTION', 'Unknown action');
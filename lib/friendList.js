@@ -0,0 +1,257 @@
+
+var debug = require('debug')('friends-of-friends:friendList'),
+    errors = require('./errors'),
+    promises = require('./promises');
+
+var promisify = promises.promisify;
+
+// the options the FriendList model is compiled with, which every instance sharing the model must agree on
+var modelOptions = [ 'personModelName', 'friendshipModelName' ];
+
+/**
+ * Configure then compile FriendList model on `options.connection`, or on the default mongoose connection.  If a model
+ * named `options.friendListModelName` has already been compiled on that connection, it is returned instead, as long as
+ * it was compiled for the same Person and Friendship models.
+ * @param   {Object} options - configuration options
+ * @returns {Model} - the compiled FriendList model
+ * @throws  {OptionsConflictError} - when the model was already compiled with different options
+ */
+module.exports = function friendListInit(mongoose, options) {
+
+    debug('options', options);
+
+    var db = options.connection || mongoose;
+
+    // mongoose does not allow a model name to be compiled twice on the same connection
+    if (db.modelNames().indexOf(options.friendListModelName) !== -1) {
+        var compiled = db.model(options.friendListModelName);
+
+        var conflict = compiled.compiledOptions && modelOptions.filter(function (name) {
+            return options[name] !== compiled.compiledOptions[name];
+        })[0];
+
+        if (conflict) {
+            throw new errors.OptionsConflictError('The FriendList model "' + options.friendListModelName + '" was ' +
+                'already compiled with a different "' + conflict + '" option');
+        }
+
+        return compiled;
+    }
+
+    var ObjectId = mongoose.Schema.Types.ObjectId;
+
+    /**
+     * Model representing a named group of an account's friends, such as "Close Friends" or "Family"
+     * @class   FriendListSchema
+     * @see     [mongoose Schemas]{@link http://mongoosejs.com/docs/guide.html}
+     */
+    var FriendListSchema = new mongoose.Schema({
+        owner: { type: ObjectId, ref: options.personModelName, required: true, index: true },
+        name: { type: String, required: true, trim: true },
+        members: [ { type: ObjectId, ref: options.personModelName } ],
+        dateCreated: { type: Date, default: Date.now }
+    });
+
+    // an account may only have one list of each name
+    FriendListSchema.index({ owner: 1, name: 1 }, { unique: true });
+
+    /**
+     * pass a `ListExistsError` instead of the duplicate key error of a list name that is taken
+     * @param   {String}    name    - the name of the list
+     * @param   {Function}  done    - required callback
+     * @returns {Function} - callback for a save or update
+     * @ignore
+     */
+    function uniqueName (name, done) {
+        return function (err, list) {
+            if (err && err.code === 11000) return done(new errors.ListExistsError('A list named "' + name + '" already exists'));
+
+            done(err, list);
+        };
+    }
+
+    /**
+     * pass a `ListNotFoundError` when no list was found
+     * @param   {String}    name    - the name of the list
+     * @param   {Function}  done    - required callback
+     * @returns {Function} - callback for a query
+     * @ignore
+     */
+    function foundList (name, done) {
+        return function (err, list) {
+            if (err) return done(err);
+
+            if (!list) return done(new errors.ListNotFoundError('There is no list named "' + name + '"'));
+
+            done(null, list);
+        };
+    }
+
+    /**
+     * Every static returns a Promise when called without a callback
+     * @class FriendListModel
+     */
+
+    /**
+     * create a list of friends
+     * @function    FriendListModel.createList
+     * @param       {ObjectId} ownerId  - the _id of the account owning the list
+     * @param       {String}   name     - the name of the list
+     * @param       {Function} done     - optional callback, passed the list created
+     */
+    FriendListSchema.statics.createList = promisify(function (ownerId, name, done) {
+        debug('createList')
+
+        new this({ owner: ownerId, name: name }).save(uniqueName(name, done));
+    });
+
+    /**
+     * rename a list of friends
+     * @function    FriendListModel.renameList
+     * @param       {ObjectId} ownerId  - the _id of the account owning the list
+     * @param       {String}   name     - the name of the list
+     * @param       {String}   newName  - the new name of the list
+     * @param       {Function} done     - optional callback, passed the renamed list
+     */
+    FriendListSchema.statics.renameList = promisify(function (ownerId, name, newName, done) {
+        debug('renameList')
+
+        var conditions = { owner: ownerId, name: name };
+
+        this.findOneAndUpdate(conditions, { name: newName }, { 'new': true }, uniqueName(newName, foundList(name, done)));
+    });
+
+    /**
+     * delete a list of friends.  the friends themselves are untouched.
+     * @function    FriendListModel.deleteList
+     * @param       {ObjectId} ownerId  - the _id of the account owning the list
+     * @param       {String}   name     - the name of the list
+     * @param       {Function} done     - optional callback, passed the deleted list
+     */
+    FriendListSchema.statics.deleteList = promisify(function (ownerId, name, done) {
+        debug('deleteList')
+
+        this.findOneAndRemove({ owner: ownerId, name: name }, foundList(name, done));
+    });
+
+    /**
+     * get a list of friends
+     * @function    FriendListModel.getList
+     * @param       {ObjectId} ownerId  - the _id of the account owning the list
+     * @param       {String}   name     - the name of the list
+     * @param       {Function} done     - optional callback, passed the list
+     */
+    FriendListSchema.statics.getList = promisify(function (ownerId, name, done) {
+        debug('getList')
+
+        this.findOne({ owner: ownerId, name: name }, foundList(name, done));
+    });
+
+    /**
+     * get every list of friends an account owns, by name
+     * @function    FriendListModel.getLists
+     * @param       {ObjectId} ownerId  - the _id of the account owning the lists
+     * @param       {Function} done     - optional callback, passed an array of lists
+     */
+    FriendListSchema.statics.getLists = promisify(function (ownerId, done) {
+        debug('getLists')
+
+        this.find({ owner: ownerId }, null, { sort: { name: 1 } }, done);
+    });
+
+    /**
+     * add a friend to a list.  only accepted friends of the owner may be added.
+     * @function    FriendListModel.addToList
+     * @param       {ObjectId} ownerId  - the _id of the account owning the list
+     * @param       {String}   name     - the name of the list
+     * @param       {ObjectId} friendId - the _id of the friend to add
+     * @param       {Function} done     - optional callback, passed the list
+     */
+    FriendListSchema.statics.addToList = promisify(function (ownerId, name, friendId, done) {
+        debug('addToList')
+
+        var self = this;
+
+        db.model(options.friendshipModelName).areFriends(ownerId, friendId, function (err, friends) {
+            if (err) return done(err);
+
+            if (!friends) return done(new errors.NotFriendsError());
+
+            var updates = { '$addToSet': { members: friendId } };
+
+            self.findOneAndUpdate({ owner: ownerId, name: name }, updates, { 'new': true }, foundList(name, done));
+        });
+    });
+
+    /**
+     * remove a friend from a list
+     * @function    FriendListModel.removeFromList
+     * @param       {ObjectId} ownerId  - the _id of the account owning the list
+     * @param       {String}   name     - the name of the list
+     * @param       {ObjectId} friendId - the _id of the friend to remove
+     * @param       {Function} done     - optional callback, passed the list
+     */
+    FriendListSchema.statics.removeFromList = promisify(function (ownerId, name, friendId, done) {
+        debug('removeFromList')
+
+        var updates = { '$pull': { members: friendId } };
+
+        this.findOneAndUpdate({ owner: ownerId, name: name }, updates, { 'new': true }, foundList(name, done));
+    });
+
+    /**
+     * remove two accounts from every list the other owns, e.g. once their friendship has ended
+     * @function    FriendListModel.removeFromLists
+     * @param       {ObjectId} accountId1   - the _id of account1
+     * @param       {ObjectId} accountId2   - the _id of account2
+     * @param       {Function} done         - optional callback
+     */
+    FriendListSchema.statics.removeFromLists = promisify(function (accountId1, accountId2, done) {
+        debug('removeFromLists')
+
+        var self = this;
+
+        this.update({ owner: accountId1 }, { '$pull': { members: accountId2 } }, { multi: true }, function (err) {
+            if (err) return done(err);
+
+            self.update({ owner: accountId2 }, { '$pull': { members: accountId1 } }, { multi: true }, function (err) {
+                done(err);
+            });
+        });
+    });
+
+    /**
+     * delete the lists an account owns and remove it from every other list, e.g. once it has been deleted
+     * @function    FriendListModel.removeAccount
+     * @param       {ObjectId|Array} accountId  - the _id of the account, or an array of the _ids of many accounts
+     * @param       {Function} done             - optional callback
+     */
+    FriendListSchema.statics.removeAccount = promisify(function (accountId, done) {
+        debug('removeAccount')
+
+        var self = this,
+            accountIds = [].concat(accountId);
+
+        this.remove({ owner: { '$in': accountIds } }, function (err) {
+            if (err) return done(err);
+
+            var conditions = { members: { '$in': accountIds } },
+                updates = { '$pull': { members: { '$in': accountIds } } };
+
+            self.update(conditions, updates, { multi: true }, function (err) {
+                done(err);
+            });
+        });
+    });
+
+    /**
+     * the options the model was compiled with
+     * @member      compiledOptions
+     * @memberOf    FriendListModel
+     * @type        {Object}
+     */
+    FriendListSchema.statics.compiledOptions = options;
+
+    // "compile" the FriendList model
+    return db.model(options.friendListModelName, FriendListSchema);
+};
@@ -1,39 +1,657 @@
 
-var async = require('async'),
-    debug = require('debug')('friends-of-friends:friendship'),
+var debug = require('debug')('friends-of-friends:friendship'),
+    errors = require('./errors'),
+    paging = require('./paging'),
+    promises = require('./promises'),
     relationships = require('./relationships'),
     utils = require('techjeffharris-utils');
 
-// Store the compiled Friendship model here, then just return it once it has been built
-var FriendshipModel;
+var nodeify = promises.nodeify,
+    promisify = promises.promisify;
+
+// how many accounts are removed at a time when purging orphans
+var BATCH_SIZE = 1000;
+
+/**
+ * Score a friend suggestion
+ * @callback    suggestionScore
+ * @param       {Object}    candidate       - the suggested `_id` and the `mutualFriends` it shares with the account
+ * @param       {Number}    friendCount     - the number of friends of the account
+ * @param       {Object}    degrees         - the number of friends of each candidate or mutual friend, by _id
+ * @returns     {Number}
+ * @ignore
+ */
+var suggestionScores = {
+    // the number of mutual friends
+    mutual: function (candidate) {
+        return candidate.mutualFriends.length;
+    },
+    // the share of all the friends of either account that are mutual friends
+    jaccard: function (candidate, friendCount, degrees) {
+        var mutualCount = candidate.mutualFriends.length;
+
+        return mutualCount / (friendCount + degrees[candidate._id] - mutualCount);
+    },
+    // mutual friends weighted by how few friends they have
+    'adamic-adar': function (candidate, friendCount, degrees) {
+        return candidate.mutualFriends.reduce(function (score, friendId) {
+            return score + 1 / Math.log(degrees[friendId]);
+        }, 0);
+    }
+};
+
+// the options the Friendship model is compiled with, which every instance sharing the model must agree on
+var modelOptions = [
+    'personModelName', 'friendshipCollectionName', 'friendListModelName', 'follow', 'syncFriends', 'keepHistory', 
+    'friendshipFields', 'maxDepth', 'requestTTL', 'maxRequests', 'requestWindow', 'denyCooldown', 'maxPendingRequests', 
+    'maxFriends', 'checkPeopleExist', 'types'
+];
+
+/**
+ * get the name of the first of the given options that differs from the options a Friendship model was compiled with
+ * @param   {Object}    compiledOptions - the options the model was compiled with
+ * @param   {Object}    options         - the options to compare
+ * @returns {String|undefined} - the name of the conflicting option, if any
+ * @ignore
+ */
+function conflictingOption (compiledOptions, options) {
+    // compare the names of types, e.g. the `Number` of `friendshipFields: { priority: Number }`
+    function serialize (value) {
+        return JSON.stringify(value, function (key, val) {
+            return (typeof val === 'function') ? val.name : val;
+        });
+    }
+
+    return modelOptions.filter(function (name) {
+        return name in options && serialize(options[name]) !== serialize(compiledOptions[name]);
+    })[0];
+}
 
 /**
- * Configure then compile Friendship model
+ * Configure then compile Friendship model on `options.connection`, or on the default mongoose connection.  If a model 
+ * named `options.friendshipModelName` has already been compiled on that connection, it is returned instead, as long as
+ * it was compiled with the same options.
  * @param   {Object} options - configuration options 
  * @returns {Model} - the compiled Friendship model
+ * @throws  {OptionsConflictError} - when the model was already compiled with different options
  */
 module.exports = function friendshipInit(mongoose, options) {
 
-    // simply return the FriendshipModel if it has been compiled
-    if (FriendshipModel) return FriendshipModel;
-
     debug('mongoose', mongoose);
     debug('options', options);
 
+    var db = options.connection || mongoose;
+
+    // mongoose does not allow a model name to be compiled twice on the same connection
+    if (db.modelNames().indexOf(options.friendshipModelName) !== -1) {
+        var compiled = db.model(options.friendshipModelName),
+            conflict = compiled.compiledOptions && conflictingOption(compiled.compiledOptions, options);
+
+        if (conflict) {
+            throw new errors.OptionsConflictError('The Friendship model "' + options.friendshipModelName + '" was ' +
+                'already compiled with a different "' + conflict + '" option');
+        }
+
+        return compiled;
+    }
+
+    var FriendshipModel;
+
     var ObjectId = mongoose.Schema.Types.ObjectId;
 
     var FriendshipSchema = new mongoose.Schema({
         requester: { type: ObjectId, ref: options.personModelName, required: true, index: true },
         requested: { type: ObjectId, ref: options.personModelName, required: true, index: true },
-        status: { type: String, default: 'Pending', index: true},
+        status: { type: String, default: 'Pending', 'enum': ['Pending', 'Accepted', 'Blocked', 'Following', 'Denied', 'Cancelled', 'Ended', 'Expired'], index: true},
         dateSent: { type: Date, default: Date.now, index: true },
-        dateAccepted: { type: Date, required: false, index: true }
+        dateAccepted: { type: Date, required: false, index: true },
+        dateBlocked: { type: Date, required: false },
+        dateDenied: { type: Date, required: false },
+        dateCancelled: { type: Date, required: false },
+        dateEnded: { type: Date, required: false },
+        dateExpired: { type: Date, required: false },
+        pair: { type: String, required: false },
+        message: { type: String, required: false },
+        source: { type: String, required: false, index: true },
+        metadata: { type: mongoose.Schema.Types.Mixed, required: false },
+        // what each account is to the other, e.g. 'parent' and 'child', when `options.types` are configured
+        requesterType: { type: String, required: false },
+        requestedType: { type: String, required: false },
+        typeChange: {
+            proposedBy: { type: ObjectId, required: false },
+            requesterType: { type: String, required: false },
+            requestedType: { type: String, required: false },
+            dateProposed: { type: Date, required: false }
+        }
+    });
+
+    // fields of your own, such as `{ priority: Number }`
+    if (options.friendshipFields) {
+        FriendshipSchema.add(options.friendshipFields);
+    }
+
+    // only one pending request or friendship may exist between two accounts, whichever direction it was sent
+    FriendshipSchema.index({ pair: 1 }, { unique: true, sparse: true });
+
+    // pending requests and friendships carry the pair key, blocks and follows do not
+    FriendshipSchema.pre('save', function (next) {
+        if (this.status === 'Pending' || this.status === 'Accepted') {
+            this.pair = pairKey(this.requester, this.requested);
+        } else {
+            this.pair = undefined;
+        }
+
+        next();
     });
 
+    /**
+     * cast an _id for use in an aggregation pipeline
+     * @param   {ObjectId|String} id    - the _id to cast
+     * @returns {ObjectId}
+     * @throws  {CastError} - if `id` is not a valid ObjectId
+     * @ignore
+     */
+    function castObjectId (id) {
+        return FriendshipSchema.path('requester').cast(id);
+    }
+
+    /**
+     * get the order-independent key identifying the pair of two accounts
+     * @param   {ObjectId}  accountId1  - the _id of account1
+     * @param   {ObjectId}  accountId2  - the _id of account2
+     * @returns {String}
+     * @ignore
+     */
+    function pairKey (accountId1, accountId2) {
+        var ids = [ String(accountId1), String(accountId2) ].sort();
+
+        return ids[0] + ':' + ids[1];
+    }
+
+    // the date field set when a friendship is closed with each status
+    var closingDates = {
+        Denied: 'dateDenied',
+        Cancelled: 'dateCancelled',
+        Ended: 'dateEnded',
+        Expired: 'dateExpired'
+    };
+
+    /**
+     * get the date before which pending requests have expired
+     * @returns {Date}
+     * @ignore
+     */
+    function expiryDate () {
+        return new Date(Date.now() - options.requestTTL * 24 * 60 * 60 * 1000);
+    }
+
+    /**
+     * leave requests that have expired out of conditions matching pending requests when `options.requestTTL` is set
+     * @param   {Object}    conditions  - conditions matching pending requests
+     * @returns {Object} - the conditions
+     * @ignore
+     */
+    function unexpired (conditions) {
+        if (options.requestTTL) conditions.dateSent = { '$gt': expiryDate() };
+
+        return conditions;
+    }
+
+    /**
+     * get the date a number of hours ago
+     * @param   {Number}    hours   - the number of hours
+     * @returns {Date}
+     * @ignore
+     */
+    function hoursAgo (hours) {
+        return new Date(Date.now() - hours * 60 * 60 * 1000);
+    }
+
+    /**
+     * check that none of the given accounts has more than the allowed number of friends when `options.maxFriends` is 
+     * set
+     * @param   {Model}     model       - the Friendship model
+     * @param   {Array}     accountIds  - the _ids of the accounts
+     * @param   {Number}    allowed     - the number of friends each account may have
+     * @param   {Function}  done        - required callback, passed a `MaxFriendsError` when an account has more
+     * @ignore
+     */
+    function checkFriendCounts (model, accountIds, allowed, done) {
+        if (!options.maxFriends || !accountIds.length) return done();
+
+        model.getFriendCount(accountIds[0], function (err, count) {
+            if (err) return done(err);
+
+            if (count > allowed) {
+                return done(new errors.MaxFriendsError('Cannot have more than ' + options.maxFriends + ' friends'));
+            }
+
+            checkFriendCounts(model, accountIds.slice(1), allowed, done);
+        });
+    }
+
+    /**
+     * determine whether friendships closed with the given status are kept.  the request limits count requests that 
+     * were denied or cancelled, so those are kept while any limits are set, even without `options.keepHistory`.
+     * @param   {String}    status      - `'Denied'`, `'Cancelled'`, `'Ended'` or `'Expired'`
+     * @returns {Boolean}
+     * @ignore
+     */
+    function keepsClosed (status) {
+        if (options.keepHistory) return true;
+
+        return status !== 'Ended' && !!(options.maxRequests || options.denyCooldown);
+    }
+
+    /**
+     * close the friendships matching the given conditions.  when [keepsClosed]{@link keepsClosed} the closing status,
+     * they are kept with it, otherwise they are removed.
+     * @param   {Model}     model       - the Friendship model
+     * @param   {Object}    conditions  - conditions matching the friendships to close
+     * @param   {String}    status      - `'Denied'`, `'Cancelled'`, `'Ended'` or `'Expired'`
+     * @param   {Function}  done        - required callback, passed the result of the remove or update
+     * @ignore
+     */
+    function closeFriendships (model, conditions, status, done) {
+        if (!keepsClosed(status)) return model.remove(conditions, done);
+
+        var updates = {
+            status: status,
+            '$unset': { pair: 1 }
+        };
+
+        updates[closingDates[status]] = Date.now();
+
+        model.update(conditions, updates, { multi: true }, done);
+    }
+
+    /**
+     * get the labels of both accounts of a friendship of the given type, from the point of view of the account 
+     * choosing it: `friend` is what the other account is to it and `self` is what it is to the other account.  
+     * types listed as a pair, such as `[ 'parent', 'child' ]`, have a different label for each.
+     * @param   {String}    type    - the type chosen
+     * @returns {Object|null} - `self` and `friend` labels, or `null` if `type` is not one of `options.types`
+     * @ignore
+     */
+    function typeLabels (type) {
+        var labels = null;
+
+        (options.types || []).some(function (known) {
+            if (!Array.isArray(known)) {
+                if (known === type) labels = { self: type, friend: type };
+            } else if (known[0] === type) {
+                labels = { self: known[1], friend: type };
+            } else if (known[1] === type) {
+                labels = { self: known[0], friend: type };
+            }
+
+            return !!labels;
+        });
+
+        return labels;
+    }
+
+    /**
+     * get the `requesterType` and `requestedType` of a friendship of the given type, as chosen by one of its accounts
+     * @param   {String}    type            - the type, i.e. what the other account is to the choosing account
+     * @param   {Boolean}   byRequester     - whether the requester is the choosing account
+     * @returns {Object} - `requesterType` and `requestedType`
+     * @throws  {InvalidTypeError} - if `type` is not one of `options.types`
+     * @ignore
+     */
+    function sideTypes (type, byRequester) {
+        var labels = typeLabels(type);
+
+        if (!labels) throw new errors.InvalidTypeError('Unknown relationship type "' + type + '"');
+
+        return {
+            requesterType: byRequester ? labels.self : labels.friend,
+            requestedType: byRequester ? labels.friend : labels.self
+        };
+    }
+
+    /**
+     * get the stages of an aggregation finding the friends, the friends of friends and the blocked or blocking accounts
+     * of an account, as one document per account with the `statuses` it has to the account: `'Accepted'`, `'Blocked'`
+     * and/or `'FriendOfFriend'`.  the account itself is left out.
+     * @param   {Model}     model       - the Friendship model
+     * @param   {ObjectId}  accountId   - the _id of the account, cast to an ObjectId
+     * @returns {Array} - the stages
+     * @ignore
+     */
+    function friendsOfFriendsPipeline (model, accountId) {
+        var collectionName = model.collection.collectionName;
+
+        var isAccepted = { '$eq': [ '$status', 'Accepted' ] };
+
+        return [
+            // the account's friendships and blocks
+            { '$match': {
+                '$or': [
+                    { requester: accountId },
+                    { requested: accountId }
+                ],
+                status: { '$in': [ 'Accepted', 'Blocked' ] }
+            }},
+            // the _id of the other account in each friendship or block
+            { '$project': {
+                status: 1,
+                friend: { '$cond': [ { '$eq': [ '$requester', accountId ] }, '$requested', '$requester' ] }
+            }},
+            // friendships each friend has requested...
+            { '$graphLookup': {
+                from: collectionName,
+                startWith: { '$cond': [ isAccepted, '$friend', [] ] },
+                connectFromField: 'requested',
+                connectToField: 'requester',
+                maxDepth: 0,
+                restrictSearchWithMatch: { status: 'Accepted' },
+                as: 'requesterOf'
+            }},
+            // ...and friendships in which each friend was requested
+            { '$graphLookup': {
+                from: collectionName,
+                startWith: { '$cond': [ isAccepted, '$friend', [] ] },
+                connectFromField: 'requester',
+                connectToField: 'requested',
+                maxDepth: 0,
+                restrictSearchWithMatch: { status: 'Accepted' },
+                as: 'requestedOf'
+            }},
+            // the friend or blocked account itself, then each of a friend's friends
+            { '$project': {
+                related: { '$concatArrays': [
+                    [ { account: '$friend', status: '$status' } ],
+                    { '$map': { input: '$requesterOf', as: 'friendship', 'in': { account: '$$friendship.requested', status: 'FriendOfFriend' } } },
+                    { '$map': { input: '$requestedOf', as: 'friendship', 'in': { account: '$$friendship.requester', status: 'FriendOfFriend' } } }
+                ]}
+            }},
+            { '$unwind': '$related' },
+            { '$match': { 'related.account': { '$ne': accountId } } },
+            // one document per account, however many friends it is the friend of
+            { '$group': {
+                _id: '$related.account',
+                statuses: { '$addToSet': '$related.status' }
+            }}
+        ];
+    }
+
+    /**
+     * find a page of the ids of the other accounts of the friendships matching the given conditions
+     * @param   {Model}     model       - the Friendship model
+     * @param   {ObjectId}  accountId   - the _id of the account
+     * @param   {Object}    conditions  - conditions matching the friendships
+     * @param   {String}    field       - the date field to page by
+     * @param   {Object}    page        - `limit`, `after` and optional `conditions` the accounts must match
+     * @param   {Function}  done        - required callback, passed the page of ids
+     * @ignore
+     */
+    function aggregateFriendIds (model, accountId, conditions, field, page, done) {
+        try {
+            accountId = castObjectId(accountId);
+            conditions = castConditions(model, conditions);
+        } catch (err) {
+            return done(err);
+        }
+
+        var friend = { '$cond': [ { '$eq': [ '$requester', accountId ] }, '$requested', '$requester' ] };
+
+        aggregatePage(model, [ { '$match': conditions } ], friend, field, page, done);
+    }
+
+    /**
+     * find the ids of the friends of an account matching the given conditions
+     * @param   {Model}     model       - the Friendship model
+     * @param   {ObjectId}  accountId   - the _id of the account
+     * @param   {Object}    conditions  - conditions matching the friendships
+     * @param   {Object}    page        - optional `limit`, `after` and `conditions` the friends must match
+     * @param   {Function}  done        - required callback, passed an array of friendIds, or a page of them
+     * @ignore
+     */
+    function findFriendIds (model, accountId, conditions, page, done) {
+        if (page) return aggregateFriendIds(model, accountId, conditions, 'dateAccepted', page, done);
+
+        model.find(conditions, function (err, friendships) {
+            if (err) return done(err);
+
+            done(null, friendships.map(function (friendship) {
+                return otherAccount(friendship, accountId);
+            }));
+        });
+    }
+
+    /**
+     * confirm or deny the change of type a friend proposed
+     * @param   {Model}     model       - the Friendship model
+     * @param   {ObjectId}  accountId   - the _id of the account confirming or denying the change
+     * @param   {ObjectId}  friendId    - the _id of the friend who proposed it
+     * @param   {Boolean}   confirmed   - whether the change is confirmed
+     * @param   {Function}  done        - required callback, passed the friendship
+     * @ignore
+     */
+    function closeTypeChange (model, accountId, friendId, confirmed, done) {
+        var conditions = {
+            '$or': [
+                { requester: accountId, requested: friendId },
+                { requester: friendId, requested: accountId }
+            ],
+            status: 'Accepted',
+            'typeChange.proposedBy': friendId
+        };
+
+        model.findOne(conditions, function (err, friendship) {
+            if (err) return done(err);
+
+            if (!friendship) return done(new errors.TypeChangeNotFoundError());
+
+            if (confirmed) {
+                friendship.requesterType = friendship.typeChange.requesterType;
+                friendship.requestedType = friendship.typeChange.requestedType;
+            }
+
+            friendship.typeChange = undefined;
+
+            friendship.save(done);
+        });
+    }
+
+    /**
+     * find a page of friendships
+     * @param   {Model}     model       - the Friendship model
+     * @param   {Object}    conditions  - conditions matching the friendships
+     * @param   {String}    field       - the date field to page by
+     * @param   {Object}    page        - `limit` and `after`
+     * @param   {Function}  done        - required callback, passed the page
+     * @ignore
+     */
+    function findPage (model, conditions, field, page, done) {
+        var pageOptions;
+
+        try {
+            conditions = paging.conditions(conditions, field, page);
+            pageOptions = paging.options(field, page);
+        } catch (err) {
+            return done(err);
+        }
+
+        model.find(conditions, null, pageOptions, function (err, friendships) {
+            if (err) return done(err);
+
+            done(null, paging.page(friendships, field, page));
+        });
+    }
+
+    /**
+     * cast conditions to the schema of a model, as mongoose does not cast aggregation pipelines
+     * @param   {Model}     model       - the model
+     * @param   {Object}    conditions  - the conditions
+     * @returns {Object} - the cast conditions
+     * @throws  {CastError} - if a condition cannot be cast
+     * @ignore
+     */
+    function castConditions (model, conditions) {
+        return model.where(conditions).cast(model);
+    }
+
+    /**
+     * prefix the paths of conditions, e.g. to match the documents of a `$lookup`
+     * @param   {Object}    conditions  - the conditions
+     * @param   {String}    prefix      - the prefix, e.g. `'person.'`
+     * @returns {Object} - the prefixed conditions
+     * @ignore
+     */
+    function prefixConditions (conditions, prefix) {
+        var prefixed = {};
+
+        Object.keys(conditions).forEach(function (key) {
+            if ([ '$and', '$or', '$nor' ].indexOf(key) !== -1) {
+                prefixed[key] = conditions[key].map(function (clause) {
+                    return prefixConditions(clause, prefix);
+                });
+            } else {
+                prefixed[(key.charAt(0) === '$') ? key : prefix + key] = conditions[key];
+            }
+        });
+
+        return prefixed;
+    }
+
+    /**
+     * find a page of the ids of accounts related to an account inside an aggregation, so the cursor, the accounts'
+     * `page.conditions` and the limit all apply before anything is passed back
+     * @param   {Model}     model       - the Friendship model
+     * @param   {Array}     pipeline    - stages finding one document per related account
+     * @param   {Object}    friend      - expression of the _id of the related account of each document
+     * @param   {String}    field       - the date field to page by, or `'_id'`
+     * @param   {Object}    page        - `limit`, `after` and optional `conditions` the accounts must match
+     * @param   {Function}  done        - required callback, passed the page of ids
+     * @ignore
+     */
+    function aggregatePage (model, pipeline, friend, field, page, done) {
+        var personModel = db.model(options.personModelName),
+            projection = { friend: 1 },
+            pageOptions,
+            after,
+            conditions;
+
+        try {
+            pageOptions = paging.options(field, page);
+            after = castConditions(model, paging.conditions({}, field, page));
+            conditions = castConditions(personModel, utils.extend({}, page.conditions));
+        } catch (err) {
+            return done(err);
+        }
+
+        projection[field] = 1;
+
+        model.aggregate(pipeline.concat([
+            { '$match': after },
+            { '$sort': pageOptions.sort },
+            { '$addFields': { friend: friend } },
+            // accounts that were deleted or do not match the conditions are left out before the page is limited
+            { '$lookup': {
+                from: personModel.collection.name,
+                localField: 'friend',
+                foreignField: '_id',
+                as: 'person'
+            }},
+            { '$unwind': '$person' },
+            { '$match': prefixConditions(conditions, 'person.') },
+            { '$limit': pageOptions.limit },
+            { '$project': projection }
+        ])).allowDiskUse(true).exec(function (err, docs) {
+            if (err) return done(err);
+
+            var result = paging.page(docs, field, page);
+
+            result.items = result.items.map(function (doc) {
+                return doc.friend;
+            });
+
+            done(null, result);
+        });
+    }
+
+    /**
+     * get the _id of the other account of a friendship
+     * @param   {Document}  friendship  - the friendship
+     * @param   {ObjectId}  accountId   - the _id of one account of the friendship
+     * @returns {ObjectId}
+     * @ignore
+     */
+    function otherAccount (friendship, accountId) {
+        return friendship.requester.equals(accountId) ? friendship.requested : friendship.requester;
+    }
+
+    /**
+     * add or remove two accounts from each other's `friends` array when `options.syncFriends` is enabled
+     * @param   {String}    operator    - `'$addToSet'` or `'$pull'`
+     * @param   {ObjectId}  accountId1  - the _id of account1
+     * @param   {ObjectId}  accountId2  - the _id of account2
+     * @param   {Function}  done        - required callback
+     * @ignore
+     */
+    function syncFriends (operator, accountId1, accountId2, done) {
+        if (!options.syncFriends) return done();
+
+        var personModel = db.model(options.personModelName),
+            updates1 = {},
+            updates2 = {};
+
+        updates1[operator] = { friends: accountId2 };
+        updates2[operator] = { friends: accountId1 };
+
+        personModel.update({ _id: accountId1 }, updates1, function (err) {
+            if (err) return done(err);
+
+            personModel.update({ _id: accountId2 }, updates2, done);
+        });
+    }
+
     /** 
+     * Every static returns a Promise when called without a callback
      * @class FriendshipModel
      */
 
+    /**
+     * check that two account ids may be friends: both must be well-formed ObjectIds and different from each other. 
+     * when `options.checkPeopleExist` is enabled, both people must exist too.
+     * @function    FriendshipModel.validatePair
+     * @param       {ObjectId} accountId1   - the _id of account1
+     * @param       {ObjectId} accountId2   - the _id of account2
+     * @param       {Function} done         - optional callback, passed an `InvalidIdError`, `SelfRequestError` or 
+     *                                        `PersonNotFoundError` when they may not
+     */
+    FriendshipSchema.statics.validatePair = promisify(function (accountId1, accountId2, done) {
+        debug('validatePair')
+
+        var accountIds = [ accountId1, accountId2 ];
+
+        var ids = accountIds.map(function (accountId) {
+            try {
+                return castObjectId(accountId) || null;
+            } catch (err) {
+                return null;
+            }
+        });
+
+        var invalid = ids.indexOf(null);
+
+        if (invalid !== -1) return done(new errors.InvalidIdError('Invalid id "' + accountIds[invalid] + '"'));
+
+        if (ids[0].equals(ids[1])) return done(new errors.SelfRequestError());
+
+        if (!options.checkPeopleExist) return done();
+
+        db.model(options.personModelName).count({ _id: { '$in': ids } }, function (err, count) {
+            if (err) return done(err);
+
+            if (count < 2) return done(new errors.PersonNotFoundError());
+
+            done();
+        });
+    });
+
     /**
      * default relationship constants
      * @member      relationships
@@ -44,121 +662,219 @@ module.exports = function friendshipInit(mongoose, options) {
     FriendshipSchema.statics.relationships = relationships;
 
     /**
-     * get all friend requests involving a given user
+     * the options the model was compiled with, which are read whenever a static runs
+     * @member      compiledOptions
+     * @memberOf    FriendshipModel
+     * @type        {Object}
+     */
+    FriendshipSchema.statics.compiledOptions = options;
+
+    /**
+     * get the order-independent key stored in the `pair` field of pending requests and friendships
+     * @function    FriendshipModel.pairKey
+     * @param       {ObjectId} accountId1   - the _id of account1
+     * @param       {ObjectId} accountId2   - the _id of account2
+     * @returns     {String}
+     */
+    FriendshipSchema.statics.pairKey = pairKey;
+
+    /**
+     * get all friend requests involving a given user.  when paged, sent and received requests are paged together.
      * @function    FriendshipModel.getRequests
      * @param       {ObjectId} accountId    - the _id of the user
-     * @param       {Function} done         - required callback, passed requests retrieved
+     * @param       {Object}   page         - optional `{ limit, after }`.  `limit` applies to sent and received requests each.
+     * @param       {Function} done         - optional callback, passed requests retrieved, plus `hasMore` and `nextCursor` when paged
      */
-    FriendshipSchema.statics.getRequests = function (accountId, done) {
+    FriendshipSchema.statics.getRequests = promisify(function (accountId, page, done) {
         debug('getRequests')
 
-        var self = this;
+        if (typeof page === 'function') {
+            done = page;
+            page = undefined;
+        }
 
-        var requests = {
-            sent: [],
-            received: []
-        };
+        var self = this,
+            after,
+            sentPage,
+            receivedPage;
 
-        async.parallel({
-            sent: function (complete) {
-                self.getSentRequests(accountId, complete);
-            },
-            received: function (complete) {
-                self.getReceivedRequests(accountId, complete);
+        if (page) {
+            try {
+                after = paging.split(page.after, [ 'sent', 'received' ]);
+            } catch (err) {
+                return done(err);
             }
-        }, 
-        function (err, results) {
-            if (err) return done(err);
-            
-            requests.sent = results.sent;
-            requests.received = results.received;
 
-            done(null, requests);
+            sentPage = { limit: page.limit, after: after.sent };
+            receivedPage = { limit: page.limit, after: after.received };
+        }
+
+        var requests = Promise.all([
+            // a list that has no more requests is not queried again
+            (sentPage && sentPage.after === false) 
+                ? Promise.resolve(paging.empty()) 
+                : self.getSentRequests(accountId, sentPage),
+            (receivedPage && receivedPage.after === false) 
+                ? Promise.resolve(paging.empty()) 
+                : self.getReceivedRequests(accountId, receivedPage)
+        ]).then(function (results) {
+            if (!page) {
+                return {
+                    sent: results[0],
+                    received: results[1]
+                };
+            }
+
+            return {
+                sent: results[0].items,
+                received: results[1].items,
+                hasMore: results[0].hasMore || results[1].hasMore,
+                nextCursor: paging.join({ sent: results[0], received: results[1] })
+            };
         });
-    };
+
+        nodeify(requests, done);
+    });
 
     /**
-     * get requests the given user has sent
+     * get requests the given user has sent, newest first
      * @function    FriendshipModel.getSentRequests
      * @param       {ObjectId} accountId    - the _id of the user
-     * @param       {Function} done         - required callback, passed sent requests retrieved 
+     * @param       {Object}   page         - optional `{ limit, after }`
+     * @param       {Function} done         - optional callback, passed sent requests retrieved, or a page of them
      */
-    FriendshipSchema.statics.getSentRequests = function (accountId, done) {
+    FriendshipSchema.statics.getSentRequests = promisify(function (accountId, page, done) {
         debug('getSentRequests')
 
-        var conditions = {
+        if (typeof page === 'function') {
+            done = page;
+            page = undefined;
+        }
+
+        var conditions = unexpired({
             requester: accountId,
             status: 'Pending'
-        };
+        });
+
+        if (page) return findPage(this, conditions, 'dateSent', page, done);
 
         this.find(conditions, done);
-    };
+    });
 
     /**
-     * get requests received by the given user
+     * get requests received by the given user, newest first
      * @function    FriendshipModel.getReceivedRequests
      * @param       {ObjectId} accountId    - the _id of the user
-     * @param       {Function} done         - required callback, passed received requests retrieved
+     * @param       {Object}   page         - optional `{ limit, after }`
+     * @param       {Function} done         - optional callback, passed received requests retrieved, or a page of them
      */
-    FriendshipSchema.statics.getReceivedRequests = function (accountId, done) {
+    FriendshipSchema.statics.getReceivedRequests = promisify(function (accountId, page, done) {
         debug('getReceivedRequests')
 
-        var conditions = {
+        if (typeof page === 'function') {
+            done = page;
+            page = undefined;
+        }
+
+        var conditions = unexpired({
             requested: accountId,
             status: 'Pending'
-        }
+        });
+
+        if (page) return findPage(this, conditions, 'dateSent', page, done);
 
         this.find(conditions, done);
-    };
+    });
 
     /**
-     * accept a friend request 
+     * accept a friend request.  refused with a `'MAX_FRIENDS'` error when either account has `options.maxFriends` 
+     * friends already, and with the errors of [validatePair]{@link FriendshipModel.validatePair} when the ids may not 
+     * be friends.  requests accepted at the same time by an account one friend short of the limit may all be refused,
+     * as each is put back to pending when the count after accepting it is over the limit.
      * @function    FriendshipModel.acceptRequest
      * @param       {ObjectId} requesterId  - the _id of the requester of friendship
      * @param       {ObjectId} requestedId  - the _id of the user whose friendship was requested
-     * @param       {Function} done         - required callback, passed the populated friendship accepted
+     * @param       {Function} done         - optional callback, passed the populated friendship accepted
      */
-    FriendshipSchema.statics.acceptRequest = function (accountId1, accountId2, done) {
+    FriendshipSchema.statics.acceptRequest = promisify(function (accountId1, accountId2, done) {
         debug('acceptRequest')
 
         debug('accountId1', accountId1)
         debug('accountId2', accountId2)
 
 
-        var conditions = {
+        var conditions = unexpired({
             '$or': [
                 { requester: accountId1, requested: accountId2 },
                 { requester: accountId2, requested: accountId1 }
             ],
             status: 'Pending'            
-        };
+        });
         
         var updates = {
             status: 'Accepted',
             dateAccepted: Date.now()
         };
 
-        var options = { 'new': true };
+        var updateOptions = { 'new': true };
 
-        this.findOneAndUpdate(conditions, updates, options, function (err, friendship) {
-            if (err) {
-                done(err);
-            } else if (friendship) {
-                done(null, friendship);
-            } else {
-                done(new Error('Cannot accept request that does not exist!'));
-            }
+        var model = this,
+            accountIds = [ accountId1, accountId2 ];
+
+        model.validatePair(accountId1, accountId2, function (err) {
+            if (err) return done(err);
+
+            checkFriendCounts(model, accountIds, options.maxFriends - 1, accept);
         });
-    };
+
+        function accept (err) {
+            if (err) return done(err);
+
+            model.findOneAndUpdate(conditions, updates, updateOptions, function (err, friendship) {
+                if (err) {
+                    done(err);
+                } else if (friendship) {
+                    // requests accepted at the same time may all have passed the first check
+                    checkFriendCounts(model, accountIds, options.maxFriends, function (err) {
+                        if (err) return revert(friendship, err);
+
+                        syncFriends('$addToSet', friendship.requester, friendship.requested, function (err) {
+                            done(err, friendship);
+                        });
+                    });
+                } else {
+                    done(new errors.RequestNotFoundError());
+                }
+            });
+        }
+
+        function revert (friendship, error) {
+            var pending = {
+                status: 'Pending',
+                '$unset': { dateAccepted: 1 }
+            };
+
+            // only put back the friendship this call accepted, not one that has since been ended or accepted again
+            var accepted = {
+                _id: friendship._id,
+                status: 'Accepted',
+                dateAccepted: friendship.dateAccepted
+            };
+
+            model.update(accepted, pending, function (err) {
+                done(err || error);
+            });
+        }
+    });
 
     /**
      * cancel a friend request
      * @function    FriendshipModel.cancelRequest
      * @param       {ObjectId} requesterId  - the _id of the requester of friendship
      * @param       {ObjectId} requestedId  - the _id of the user whose friendship was requested
-     * @param       {Function} done         - required callback, passed the denied friendship
+     * @param       {Function} done         - optional callback, passed the denied friendship
      */
-    FriendshipSchema.statics.cancelRequest = function (accountId1, accountId2, done) {
+    FriendshipSchema.statics.cancelRequest = promisify(function (accountId1, accountId2, done) {
         debug('cancelRequest')
 
         var conditions = {
@@ -169,17 +885,17 @@ module.exports = function friendshipInit(mongoose, options) {
             status: 'Pending'            
         };
 
-        this.remove(conditions, done);
-    };
+        closeFriendships(this, conditions, 'Cancelled', done);
+    });
 
     /**
      * deny a friend request
      * @function    FriendshipModel.denyRequest
      * @param       {ObjectId} requesterId  - the _id of the requester of friendship
      * @param       {ObjectId} requestedId  - the _id of the user whose friendship was requested
-     * @param       {Function} done         - required callback, passed the denied friendship
+     * @param       {Function} done         - optional callback, passed the denied friendship
      */
-    FriendshipSchema.statics.denyRequest = function (accountId1, accountId2, done) {
+    FriendshipSchema.statics.denyRequest = promisify(function (accountId1, accountId2, done) {
         debug('denyRequest')
 
         var conditions = {
@@ -190,19 +906,91 @@ module.exports = function friendshipInit(mongoose, options) {
             status: 'Pending'            
         };
 
-        this.remove(conditions, done);
-    };
+        closeFriendships(this, conditions, 'Denied', done);
+    });
+
+    /**
+     * end a friendship between two accounts
+     * @function    FriendshipModel.endFriendship
+     * @param       {ObjectId} accountId1   - the _id of account1
+     * @param       {ObjectId} accountId2   - the _id of account2
+     * @param       {Function} done         - optional callback
+     */
+    FriendshipSchema.statics.endFriendship = promisify(function (accountId1, accountId2, done) {
+        debug('endFriendship')
+
+        var conditions = { 
+            '$or': [
+                { requester: accountId1, requested: accountId2 },
+                { requester: accountId2, requested: accountId1 }
+            ],
+            status: 'Accepted'
+        };
+
+        closeFriendships(this, conditions, 'Ended', function (err, result) {
+            if (err) return done(err);
+
+            syncFriends('$pull', accountId1, accountId2, function (err) {
+                done(err, result);
+            });
+        });
+    });
+
+    /**
+     * set an account's `friends` array from its accepted friendships.  use this to repair `friends` arrays written 
+     * before `options.syncFriends` was enabled.
+     * @function    FriendshipModel.resyncFriends
+     * @param       {ObjectId} accountId    - the _id of the account
+     * @param       {Function} done         - optional callback, passed the array of friendIds that was set
+     */
+    FriendshipSchema.statics.resyncFriends = promisify(function (accountId, done) {
+        debug('resyncFriends')
+
+        var personModel = db.model(options.personModelName);
+
+        this.getFriends(accountId, function (err, friendIds) {
+            if (err) return done(err);
+
+            personModel.update({ _id: accountId }, { '$set': { friends: friendIds } }, function (err) {
+                done(err, friendIds);
+            });
+        });
+    });
+
+    /**
+     * count the friends of an account without loading them
+     * @function    FriendshipModel.getFriendCount
+     * @param       {ObjectId} accountId    - the _id of the account
+     * @param       {Function} done         - optional callback, passed the number of friends
+     */
+    FriendshipSchema.statics.getFriendCount = promisify(function (accountId, done) {
+        debug('getFriendCount')
+
+        var conditions = { 
+            '$or': [
+                { requester: accountId },
+                { requested: accountId }
+            ],
+            status: 'Accepted'
+        };
+
+        this.count(conditions, done);
+    });
 
     /**
-     * get a list ids of friends of an account
+     * get a list ids of friends of an account.  when paged, the most recently accepted come first.
      * @function    FriendshipModel.getFriends
      * @param       {ObjectId} accountId    - the _id of the account
-     * @param       {Function} done         - required callback, passed an array of friendIds
+     * @param       {Object}   page         - optional `{ limit, after, conditions }` with `conditions` the friends must match
+     * @param       {Function} done         - optional callback, passed an array of friendIds, or a page of them
      */
-    FriendshipSchema.statics.getFriends = function (accountId, done) {
+    FriendshipSchema.statics.getFriends = promisify(function (accountId, page, done) {
         debug('getFriends')
 
-        var friendIds = [];
+        if (typeof page === 'function') {
+            done = page;
+            page = undefined;
+        }
 
         var conditions = { 
             '$or': [
@@ -212,96 +1000,232 @@ module.exports = function friendshipInit(mongoose, options) {
             status: 'Accepted'
         };
 
-        this.find(conditions, function (err, friendships) {
-            if (err) {
-                done(err);
-            } else { 
-                debug('friendships', friendships);
+        findFriendIds(this, accountId, conditions, page, done);
+    });
 
-                friendships.forEach(function (friendship) {
-                    debug('friendship', friendship);
+    /**
+     * get a list of ids of the friends of an account that are of the given type to it, e.g. its `'colleague'`s or its 
+     * `'child'`ren.  when paged, the most recently accepted come first.
+     * @function    FriendshipModel.getFriendsOfType
+     * @param       {ObjectId} accountId    - the _id of the account
+     * @param       {String}   type         - the type of the friends
+     * @param       {Object}   page         - optional `{ limit, after, conditions }` with `conditions` the friends must match
+     * @param       {Function} done         - optional callback, passed an array of friendIds, or a page of them
+     */
+    FriendshipSchema.statics.getFriendsOfType = promisify(function (accountId, type, page, done) {
+        debug('getFriendsOfType')
 
-                    if (friendship.requester.equals(accountId)) {
-                        friendIds.push(friendship.requested);
-                    } else {
-                        friendIds.push(friendship.requester);
-                    }
+        if (typeof page === 'function') {
+            done = page;
+            page = undefined;
+        }
 
-                });
+        var conditions = { 
+            '$or': [
+                { requester: accountId, requestedType: type },
+                { requested: accountId, requesterType: type }
+            ],
+            status: 'Accepted'
+        };
 
-                debug('friendIds', friendIds);
+        findFriendIds(this, accountId, conditions, page, done);
+    });
 
-                done(null, friendIds);
+    /**
+     * get the `requesterType` and `requestedType` of a request proposing the given type.  without a type, the first of 
+     * `options.types` is proposed, unless it is a pair.
+     * @function    FriendshipModel.requestTypes
+     * @param       {String}   type     - optional type proposed by the requester, i.e. what the requested is to them
+     * @returns     {Object} - `requesterType` and `requestedType`, empty when `options.types` are not configured
+     * @throws      {InvalidTypeError} - if `type` is not one of `options.types`
+     */
+    FriendshipSchema.statics.requestTypes = function (type) {
+        if (type === undefined) {
+            var types = options.types || [];
+
+            if (!types.length || Array.isArray(types[0])) return {};
+
+            type = types[0];
+        }
+
+        return sideTypes(type, true);
+    };
+
+    /**
+     * propose to change the type of a friendship.  the other account must confirm the change before it applies.
+     * @function    FriendshipModel.requestTypeChange
+     * @param       {ObjectId} accountId    - the _id of the account proposing the change
+     * @param       {ObjectId} friendId     - the _id of the friend
+     * @param       {String}   type         - the type proposed, i.e. what the friend would be to the account
+     * @param       {Function} done         - optional callback, passed the friendship
+     */
+    FriendshipSchema.statics.requestTypeChange = promisify(function (accountId, friendId, type, done) {
+        debug('requestTypeChange')
+
+        var conditions = {
+            '$or': [
+                { requester: accountId, requested: friendId },
+                { requester: friendId, requested: accountId }
+            ],
+            status: 'Accepted'
+        };
+
+        this.findOne(conditions, function (err, friendship) {
+            if (err) return done(err);
+
+            if (!friendship) return done(new errors.FriendshipNotFoundError('Cannot change the type of a friendship that does not exist'));
+
+            var types;
+
+            try {
+                types = sideTypes(type, friendship.requester.equals(accountId));
+            } catch (err) {
+                return done(err);
             }
 
+            friendship.typeChange = {
+                proposedBy: accountId,
+                requesterType: types.requesterType,
+                requestedType: types.requestedType,
+                dateProposed: Date.now()
+            };
+
+            friendship.save(done);
         });
-    };
+    });
+
+    /**
+     * confirm the change of type a friend proposed
+     * @function    FriendshipModel.confirmTypeChange
+     * @param       {ObjectId} accountId    - the _id of the account confirming the change
+     * @param       {ObjectId} friendId     - the _id of the friend who proposed it
+     * @param       {Function} done         - optional callback, passed the friendship
+     */
+    FriendshipSchema.statics.confirmTypeChange = promisify(function (accountId, friendId, done) {
+        debug('confirmTypeChange')
+
+        closeTypeChange(this, accountId, friendId, true, done);
+    });
+
+    /**
+     * deny the change of type a friend proposed
+     * @function    FriendshipModel.denyTypeChange
+     * @param       {ObjectId} accountId    - the _id of the account denying the change
+     * @param       {ObjectId} friendId     - the _id of the friend who proposed it
+     * @param       {Function} done         - optional callback, passed the friendship
+     */
+    FriendshipSchema.statics.denyTypeChange = promisify(function (accountId, friendId, done) {
+        debug('denyTypeChange')
+
+        closeTypeChange(this, accountId, friendId, false, done);
+    });
 
     /**
-     * get friendIds of this account's friends
+     * get friendIds of this account's friends.  when paged, they are sorted by `_id`, newest first.
      * @function    FriendshipModel.getFriendsOfFriends
      * @param       {ObjectId} accountId    - the _id of the account
-     * @param       {Function} done         - required callback, passed an array of friendsOfFriends
+     * @param       {Object}   page         - optional `{ limit, after, conditions }` with `conditions` the friends must match
+     * @param       {Function} done         - optional callback, passed an array of friendsOfFriends, or a page of them
+     * @see         [FriendshipModel.getFriendsAndFriendsOfFriends]{@link FriendshipModel.getFriendsAndFriendsOfFriends}
      */
-    FriendshipSchema.statics.getFriendsOfFriends = function (accountId, done) {
+    FriendshipSchema.statics.getFriendsOfFriends = promisify(function (accountId, page, done) {
         debug('getFriendsOfFriends')
 
-        var self = this, 
-            idsFound = [];
+        if (typeof page === 'function') {
+            done = page;
+            page = undefined;
+        }
 
-        // get the specified user's friends' Ids
-        this.getFriends(accountId, function (err, friendIds) {
-            if (err) {
-                done(err);
-            // if the user has no friends
-            } else if (!friendIds.length) {
-                done(null, idsFound);
-            // if the user has friends
-            } else {
+        if (page) {
+            // aggregation pipelines are not cast by mongoose
+            try {
+                accountId = castObjectId(accountId);
+            } catch (err) {
+                return done(err);
+            }
 
-                async.map(friendIds, eachFriend, function (err, results) {
-                    results.forEach(function (friendsFriends) {
+            // friends-of-friends never include blocked or blocking accounts
+            var pipeline = friendsOfFriendsPipeline(this, accountId).concat([
+                { '$match': { statuses: { '$eq': 'FriendOfFriend', '$ne': 'Blocked' } } }
+            ]);
 
-                        friendsFriends.forEach(function (friendOfFriendId) {
-                            if (idsFound.indexOf(friendOfFriendId) === -1 && !accountId.equals(friendOfFriendId)) {
-                                // add each friend of friend to the results
-                                idsFound.push(friendOfFriendId);
-                                debug('adding' + friendOfFriendId)
-                            } else {
-                                debug(friendOfFriendId + ' already added');
-                            }
-                        })
-                    });
+            return aggregatePage(this, pipeline, '$_id', '_id', page, done);
+        }
 
-                    done(null, idsFound);
-                })
+        this.getFriendsAndFriendsOfFriends(accountId, function (err, ids) {
+            if (err) return done(err);
 
-                function eachFriend (friendId, complete) {
-                    // get each friend's friendIds
-                    self.getFriends(friendId, complete);
-                };
-            }
+            done(null, ids.friendsOfFriends);
         });
-    };
+    });
+
+    /**
+     * get the friendIds, the friendIds of friends and the ids of blocked or blocking accounts of an account using a 
+     * single aggregation.  friends-of-friends never include the account itself nor blocked or blocking accounts.  
+     * requires MongoDB 3.4 or later for `$graphLookup`.
+     * @function    FriendshipModel.getFriendsAndFriendsOfFriends
+     * @param       {ObjectId} accountId    - the _id of the account
+     * @param       {Function} done         - optional callback, passed an object with `friends`, `friendsOfFriends` and `blocked` arrays
+     */
+    FriendshipSchema.statics.getFriendsAndFriendsOfFriends = promisify(function (accountId, done) {
+        debug('getFriendsAndFriendsOfFriends')
+
+        // aggregation pipelines are not cast by mongoose
+        try {
+            accountId = castObjectId(accountId);
+        } catch (err) {
+            return done(err);
+        }
+
+        this.aggregate(friendsOfFriendsPipeline(this, accountId)).allowDiskUse(true).exec(function (err, results) {
+            if (err) return done(err);
+
+            debug('results', results.length);
+
+            var ids = { friends: [], friendsOfFriends: [], blocked: [] };
+
+            results.forEach(function (related) {
+                var statuses = related.statuses;
+
+                if (statuses.indexOf('Accepted') !== -1) ids.friends.push(related._id);
+
+                if (statuses.indexOf('Blocked') !== -1) {
+                    ids.blocked.push(related._id);
+                } else if (statuses.indexOf('FriendOfFriend') !== -1) {
+                    ids.friendsOfFriends.push(related._id);
+                }
+            });
+
+            done(null, ids);
+        });
+    });
 
     /**
-     * get a list ids of pending friends of an account
+     * get a list ids of pending friends of an account.  when paged, the most recently requested come first.
      * @function    FriendshipModel.getPendingFriends
      * @param       {ObjectId} accountId    - the _id of the account
-     * @param       {Function} done         - required callback, passed an array of friendIds
+     * @param       {Object}   page         - optional `{ limit, after, conditions }` with `conditions` the friends must match
+     * @param       {Function} done         - optional callback, passed an array of friendIds, or a page of them
      */
-    FriendshipSchema.statics.getPendingFriends = function (accountId, done) {
+    FriendshipSchema.statics.getPendingFriends = promisify(function (accountId, page, done) {
         debug('getPendingFriends')
 
+        if (typeof page === 'function') {
+            done = page;
+            page = undefined;
+        }
+
         var friendIds = [];
 
-        var conditions = { 
+        var conditions = unexpired({ 
             '$or': [
                 { requester: accountId },
                 { requested: accountId }
             ],
             status: 'Pending'
-        };
+        });
+
+        if (page) return aggregateFriendIds(this, accountId, conditions, 'dateSent', page, done);
 
         this.find(conditions, function (err, pendingFriendships) {
             if (err) {
@@ -326,16 +1250,16 @@ module.exports = function friendshipInit(mongoose, options) {
             }
 
         });
-    };
+    });
 
     /**
      * determine if accountId1 and accountId2 are friends
      * @function    FriendshipModel.areFriends
      * @param       {ObjectId} accountId1   - the _id of account1
      * @param       {ObjectId} accountId2   - the _id of account2
-     * @param       {Function} done         - required callback, passed a boolean determination
+     * @param       {Function} done         - optional callback, passed a boolean determination
      */
-    FriendshipSchema.statics.areFriends = function (accountId1, accountId2, done) {
+    FriendshipSchema.statics.areFriends = promisify(function (accountId1, accountId2, done) {
         debug('areFriends')
 
         var self = this;
@@ -371,16 +1295,16 @@ module.exports = function friendshipInit(mongoose, options) {
                 done(err, answer);
             }
         });
-    };
+    });
 
     /**
      * determine if accountId1 and accountId2 have any common friends
      * @function    FriendshipModel.areFriendsOfFriends
      * @param {ObjectId} accountId1 - the _id of account1
      * @param {ObjectId} accountId2 - the _id of account2
-     * @param {Function} done       - required callback, passed a boolean determination
+     * @param {Function} done       - optional callback, passed a boolean determination
      */
-    FriendshipSchema.statics.areFriendsOfFriends = function (accountId1, accountId2, done) {
+    FriendshipSchema.statics.areFriendsOfFriends = promisify(function (accountId1, accountId2, done) {
         debug('areFriendsOfFriends')
 
         var self = this;
@@ -424,161 +1348,1286 @@ module.exports = function friendshipInit(mongoose, options) {
                 done(err, answer);
             }
         });
-    };
+    });
 
     /**
-     * determine if two users are pending friends
-     * @param  {ObjectId}   accountId1 - the _id of account1
-     * @param  {ObjectId}   accountId2 - the _id of account2
-     * @param  {Function} done       - required callback.  passed an err, if any, or null then the friendship _id or false
+     * get the ids of the friends two accounts have in common using a single aggregation.  when paged, they are sorted by
+     * `_id`, newest first.
+     * @function    FriendshipModel.getMutualFriends
+     * @param       {ObjectId} accountId1   - the _id of account1
+     * @param       {ObjectId} accountId2   - the _id of account2
+     * @param       {Object}   page         - optional `{ limit, after, conditions }` with `conditions` the friends must match
+     * @param       {Function} done         - optional callback, passed an array of friendIds, or a page of them
      */
-    FriendshipSchema.statics.arePendingFriends = function (accountId1, accountId2, done) {
-        debug('arePendingFriends')
+    FriendshipSchema.statics.getMutualFriends = promisify(function (accountId1, accountId2, page, done) {
+        debug('getMutualFriends')
+
+        if (typeof page === 'function') {
+            done = page;
+            page = undefined;
+        }
 
-        var friendshipModel = mongoose.model(options.friendshipModelName);
+        // aggregation pipelines are not cast by mongoose
+        try {
+            accountId1 = castObjectId(accountId1);
+            accountId2 = castObjectId(accountId2);
+        } catch (err) {
+            return done(err);
+        }
 
-        friendshipModel.getFriendship(accountId1, accountId2, function (err, friendship) {
+        var accountIds = [ accountId1, accountId2 ],
+            isRequester = { '$in': [ '$requester', accountIds ] };
+
+        var pipeline = [
+            // the friendships of both accounts
+            { '$match': {
+                '$or': [
+                    { requester: { '$in': accountIds } },
+                    { requested: { '$in': accountIds } }
+                ],
+                status: 'Accepted'
+            }},
+            { '$project': {
+                account: { '$cond': [ isRequester, '$requester', '$requested' ] },
+                friend: { '$cond': [ isRequester, '$requested', '$requester' ] }
+            }},
+            // the friends of both accounts
+            { '$group': {
+                _id: '$friend',
+                accounts: { '$addToSet': '$account' }
+            }},
+            { '$match': { 'accounts.1': { '$exists': true } } }
+        ];
+
+        if (page) return aggregatePage(this, pipeline, '$_id', '_id', page, done);
+
+        this.aggregate(pipeline, function (err, friends) {
             if (err) return done(err);
 
-            if (friendship && friendship.status === 'Pending') {
-                done(null, friendship._id);
-            } else {
-                done(null, false);
-            }
+            done(null, friends.map(function (friend) {
+                return friend._id;
+            }));
         });
-    }
+    });
 
     /**
-     * get the numeric relationship of two accounts
-     * @function    FriendshipModel.getRelationship
-     * @param  {ObjectId} accountId1    - the _id of account 1
-     * @param  {ObjectId} accountId2    - the _id of account 2
-     * @param  {Function} done          - required callback 
+     * count the friends two accounts have in common
+     * @function    FriendshipModel.getMutualFriendCount
+     * @param       {ObjectId} accountId1   - the _id of account1
+     * @param       {ObjectId} accountId2   - the _id of account2
+     * @param       {Function} done         - optional callback, passed the number of mutual friends
      */
-    FriendshipSchema.statics.getRelationship = function (accountId1, accountId2, done) {
-        debug('getRelationship');
-
-        var self = this;
+    FriendshipSchema.statics.getMutualFriendCount = promisify(function (accountId1, accountId2, done) {
+        debug('getMutualFriendCount')
 
-        async.parallel({
-            friends: function (finished) {
-                self.areFriends(accountId1, accountId2, finished);
-            },
-            pending: function (finished) {
-                self.arePendingFriends(accountId1, accountId2, finished);
-            },
-            friendsOfFriends: function (finished) {
-                self.areFriendsOfFriends(accountId1, accountId2, finished);
-            }
-        }, function (err, answers) {
+        this.getMutualFriends(accountId1, accountId2, function (err, friendIds) {
             if (err) return done(err);
 
-            if (answers.friends)            return done(null, relationships.FRIENDS);
-            if (answers.pending)            return done(null, relationships.PENDING_FRIENDS);
-            if (answers.friendsOfFriends)   return done(null, relationships.FRIENDS_OF_FRIENDS);
-
-            done(null, relationships.NOT_FRIENDS);
-
+            done(null, friendIds.length);
         });
-    };
+    });
 
     /**
-     *  get the friendship document of two accounts
-     * @function    FriendshipModel.getFriendship
-     * @param       {ObjectId} accountId1   - the _id of account1
-     * @param       {ObjectId} accountId2   - the _id of account2
-     * @param       {Function} done         - required callback, passed err and a Friendship document, if found
+     * suggest friends-of-friends an account may know, best first.  friends, pending friends, blocked or blocking 
+     * accounts and accounts that denied or were denied a request are never suggested.
+     * @function    FriendshipModel.getSuggestions
+     * @param       {ObjectId} accountId        - the _id of the account
+     * @param       {Object}   params           - optional parameters
+     * @param       {Number}   params.limit     - the maximum number of suggestions. Default: `10`
+     * @param       {String}   params.algorithm - `'mutual'` ranks by mutual friend count, `'jaccard'` by the share of all 
+     *                                            friends that are mutual and `'adamic-adar'` favors mutual friends who 
+     *                                            have few friends. Default: `'mutual'`
+     * @param       {Function} done             - optional callback, passed an array of suggestions, each with the 
+     *                                            suggested `_id`, its `score` and the `mutualFriends` ids explaining it
      */
-    FriendshipSchema.statics.getFriendship = function (accountId1, accountId2, done) {
-        debug('getFriendship')
+    FriendshipSchema.statics.getSuggestions = promisify(function (accountId, params, done) {
+        debug('getSuggestions')
+
+        if (typeof params === 'function') {
+            done = params;
+            params = undefined;
+        }
+
+        params = params || {};
 
-        var friendshipModel = mongoose.model(options.friendshipModelName);
+        var limit = params.limit || 10,
+            algorithm = params.algorithm || 'mutual',
+            score = suggestionScores[algorithm];
+
+        if (!score) return done(new errors.UnknownAlgorithmError('Unknown suggestion algorithm "' + algorithm + '"'));
+
+        // aggregation pipelines are not cast by mongoose
+        try {
+            accountId = castObjectId(accountId);
+        } catch (err) {
+            return done(err);
+        }
+
+        var self = this;
 
         var conditions = {
             '$or': [
-                { requester: accountId1, requested: accountId2 },
-                { requester: accountId2, requested: accountId1 }
-            ]
+                { requester: accountId },
+                { requested: accountId }
+            ],
+            status: { '$in': [ 'Accepted', 'Pending', 'Blocked', 'Denied' ] }
         };
 
-        friendshipModel.findOne(conditions, done);
-    };
+        this.find(conditions, function (err, friendships) {
+            if (err) return done(err);
 
-    /**
-     * check to see if the given user is the requester in a given friendship
-     * @function    FriendshipModel.isRequester
-     * @param       {ObjectId}   friendshipId - the _id of the friendship document
-     * @param       {ObjectId}   accountId    - the _id of the account
-     * @param       {Function}   done         - required callback
-     */
-    FriendshipSchema.statics.isRequester = function (friendshipId, accountId, done) {
-        debug('isRequester')
+            var friendIds = [],
+                excludedIds = [ accountId ];
+
+            friendships.forEach(function (friendship) {
+                var otherId = otherAccount(friendship, accountId);
+
+                if (friendship.status === 'Accepted') friendIds.push(otherId);
+
+                excludedIds.push(otherId);
+            });
+
+            if (!friendIds.length) return done(null, []);
+
+            self.aggregate([
+                // the friendships of the account's friends...
+                { '$match': {
+                    '$or': [
+                        { requester: { '$in': friendIds } },
+                        { requested: { '$in': friendIds } }
+                    ],
+                    status: 'Accepted'
+                }},
+                // ...seen from both sides...
+                { '$project': { sides: [
+                    { friend: '$requester', candidate: '$requested' },
+                    { friend: '$requested', candidate: '$requester' }
+                ]}},
+                { '$unwind': '$sides' },
+                // ...give the candidates and the mutual friends they are suggested by
+                { '$match': {
+                    'sides.friend': { '$in': friendIds },
+                    'sides.candidate': { '$nin': excludedIds }
+                }},
+                { '$group': {
+                    _id: '$sides.candidate',
+                    mutualFriends: { '$addToSet': '$sides.friend' }
+                }}
+            ], function (err, candidates) {
+                if (err) return done(err);
+
+                var degreeIds = (algorithm === 'jaccard')
+                    ? candidates.map(function (candidate) { return candidate._id; })
+                    : friendIds;
+
+                // the mutual algorithm does not need to know how many friends anyone has
+                if (algorithm === 'mutual') return rank(candidates, {});
+
+                getDegrees(degreeIds, function (err, degrees) {
+                    if (err) return done(err);
+
+                    rank(candidates, degrees);
+                });
+            });
+
+            function rank (candidates, degrees) {
+                var suggestions = candidates.map(function (candidate) {
+                    return {
+                        _id: candidate._id,
+                        score: score(candidate, friendIds.length, degrees),
+                        mutualFriends: candidate.mutualFriends
+                    };
+                });
 
-        var friendshipModel = mongoose.model(options.friendshipModelName);
+                suggestions.sort(function (a, b) {
+                    return (b.score - a.score) 
+                        || (b.mutualFriends.length - a.mutualFriends.length) 
+                        || String(a._id).localeCompare(String(b._id));
+                });
 
-        friendshipModel.findById(friendshipId, function (err, friendship) {
-            if (err) return done(err);
-            
-            if (!friendship) {
-                done(new Error('Invalid friendshipId!'));
-            } else {
-                done(null, friendship.requester.equals(accountId));
+                done(null, suggestions.slice(0, limit));
             }
         });
-    };
+
+        // count the friends of each of the given accounts
+        function getDegrees (ids, next) {
+            self.aggregate([
+                { '$match': {
+                    '$or': [
+                        { requester: { '$in': ids } },
+                        { requested: { '$in': ids } }
+                    ],
+                    status: 'Accepted'
+                }},
+                { '$project': { accounts: [ '$requester', '$requested' ] } },
+                { '$unwind': '$accounts' },
+                { '$match': { accounts: { '$in': ids } } },
+                { '$group': { _id: '$accounts', degree: { '$sum': 1 } } }
+            ], function (err, results) {
+                if (err) return next(err);
+
+                var degrees = {};
+
+                results.forEach(function (result) {
+                    degrees[result._id] = result.degree;
+                });
+
+                next(null, degrees);
+            });
+        }
+    });
 
     /**
-     * check to see if the given user is the requested in a given friendship
-     * @function    FriendshipModel.isRequested
-     * @param       {ObjectId} friendshipId - the _id of the friendship
-     * @param       {ObjectId} accountId - the _id of the account
-     * @param       {Function} done - required callback
+     * determine if two users are pending friends
+     * @param  {ObjectId}   accountId1 - the _id of account1
+     * @param  {ObjectId}   accountId2 - the _id of account2
+     * @param  {Function} done       - optional callback.  passed an err, if any, or null then the friendship _id or false
      */
-    FriendshipSchema.statics.isRequested = function (friendshipId, accountId, done) {
-        debug('isRequested')
-
-        var friendshipModel = mongoose.model(options.friendshipModelName);
+    FriendshipSchema.statics.arePendingFriends = promisify(function (accountId1, accountId2, done) {
+        debug('arePendingFriends')
 
-        friendshipModel.findById(friendshipId, function (err, friendship) {
+        FriendshipModel.getFriendship(accountId1, accountId2, function (err, friendship) {
             if (err) return done(err);
-            
-            if (!friendship) {
-                done(new Error('Invalid friendshipId!'));
+
+            if (friendship && friendship.status === 'Pending') {
+                done(null, friendship._id);
             } else {
-                done(null, friendship.requested.equals(accountId));
+                done(null, false);
             }
         });
-    };
+    });
 
     /**
-     * @class  FriendshipDocument
+     * get the numeric relationship of two accounts.  follows are only considered when `options.follow` is enabled.
+     * @function    FriendshipModel.getRelationship
+     * @param  {ObjectId} accountId1    - the _id of account 1
+     * @param  {ObjectId} accountId2    - the _id of account 2
+     * @param  {Function} done          - optional callback 
      */
+    FriendshipSchema.statics.getRelationship = promisify(function (accountId1, accountId2, done) {
+        debug('getRelationship');
+
+        var self = this;
+
+        var answers = Promise.all([
+            self.areFriends(accountId1, accountId2),
+            self.arePendingFriends(accountId1, accountId2),
+            self.areFriendsOfFriends(accountId1, accountId2),
+            self.areBlocked(accountId1, accountId2),
+            options.follow && self.isFollowing(accountId1, accountId2),
+            options.follow && self.isFollowing(accountId2, accountId1)
+        ]).then(function (answers) {
+            if (answers[3])                 return relationships.BLOCKED;
+            if (answers[0])                 return relationships.FRIENDS;
+            if (answers[1])                 return relationships.PENDING_FRIENDS;
+            if (answers[4] && answers[5])   return relationships.MUTUAL_FOLLOW;
+            if (answers[4])                 return relationships.FOLLOWING;
+            if (answers[5])                 return relationships.FOLLOWER;
+            if (answers[2])                 return relationships.FRIENDS_OF_FRIENDS;
+
+            return relationships.NOT_FRIENDS;
+        });
+
+        nodeify(answers, done);
+    });
 
     /**
-     * check to see if the given user is the requester in this relationship
-     * @function    FriendshipDocument.isRequester
-     * @param       {ObjectId} accountId - the _id of the account
-     * @param       {Function} done      - required callback
-     * @see         [FriendshipModel.isRequester]{@link FriendshipModel.isRequester}
+     * get the numeric relationship of an account with each of many accounts, as 
+     * [getRelationship]{@link FriendshipModel.getRelationship} would, in three queries however many there are
+     * @function    FriendshipModel.getRelationships
+     * @param       {ObjectId} accountId    - the _id of the viewing account
+     * @param       {Array}    accountIds   - the _ids of the other accounts
+     * @param       {Function} done         - optional callback, passed an object mapping each of `accountIds` to its 
+     *                                        relationship with the viewing account
      */
-    FriendshipSchema.methods.isRequester = function (accountId, done) {
-        this.constructor.isRequester(this._id, accountId, done);
-    };
+    FriendshipSchema.statics.getRelationships = promisify(function (accountId, accountIds, done) {
+        debug('getRelationships');
 
-    /**
+        if (!accountIds.length) return done(null, {});
+
+        var self = this,
+            answers = {};
+
+        accountIds.forEach(function (otherId) {
+            answers[otherId] = { friendsOfFriends: false };
+        });
+
+        var conditions = {
+            '$or': [
+                { requester: accountId, requested: { '$in': accountIds } },
+                { requested: accountId, requester: { '$in': accountIds } }
+            ],
+            status: { '$in': [ 'Accepted', 'Pending', 'Blocked', 'Following' ] }
+        };
+
+        // everything directly between the viewing account and the others
+        this.find(conditions, 'requester requested status dateSent', function (err, friendships) {
+            if (err) return done(err);
+
+            var expired = options.requestTTL && expiryDate();
+
+            friendships.forEach(function (friendship) {
+                var answer = answers[otherAccount(friendship, accountId)];
+
+                if (!answer) return;
+
+                if (friendship.status === 'Pending' && expired && friendship.dateSent <= expired) return;
+
+                if (friendship.status === 'Following') {
+                    if (friendship.requester.equals(accountId)) {
+                        answer.following = true;
+                    } else {
+                        answer.follower = true;
+                    }
+                } else {
+                    answer[friendship.status] = true;
+                }
+            });
+
+            findFriendsOfFriends();
+        });
+
+        // the others who have a friend in common with the viewing account
+        function findFriendsOfFriends () {
+            self.getFriends(accountId, function (err, friendIds) {
+                if (err) return done(err);
+
+                if (!friendIds.length) return decide();
+
+                var conditions = {
+                    '$or': [
+                        { requester: { '$in': friendIds }, requested: { '$in': accountIds } },
+                        { requested: { '$in': friendIds }, requester: { '$in': accountIds } }
+                    ],
+                    status: 'Accepted'
+                };
+
+                self.find(conditions, 'requester requested', function (err, friendships) {
+                    if (err) return done(err);
+
+                    friendships.forEach(function (friendship) {
+                        [ friendship.requester, friendship.requested ].forEach(function (id) {
+                            if (answers[id]) answers[id].friendsOfFriends = true;
+                        });
+                    });
+
+                    decide();
+                });
+            });
+        }
+
+        function decide () {
+            var result = {};
+
+            Object.keys(answers).forEach(function (otherId) {
+                var answer = answers[otherId],
+                    following = options.follow && answer.following,
+                    follower = options.follow && answer.follower;
+
+                if (answer.Blocked)                 result[otherId] = relationships.BLOCKED;
+                else if (answer.Accepted)           result[otherId] = relationships.FRIENDS;
+                else if (answer.Pending)            result[otherId] = relationships.PENDING_FRIENDS;
+                else if (following && follower)     result[otherId] = relationships.MUTUAL_FOLLOW;
+                else if (following)                 result[otherId] = relationships.FOLLOWING;
+                else if (follower)                  result[otherId] = relationships.FOLLOWER;
+                else if (answer.friendsOfFriends)   result[otherId] = relationships.FRIENDS_OF_FRIENDS;
+                else                                result[otherId] = relationships.NOT_FRIENDS;
+            });
+
+            done(null, result);
+        }
+    });
+
+    /**
+     * get the shortest chain of friendships connecting two accounts.  searches breadth-first from both 
+     * accounts at once, querying one level of accepted friendships at a time.
+     * @function    FriendshipModel.getShortestPath
+     * @param       {ObjectId}  accountId1          - the _id of account1
+     * @param       {ObjectId}  accountId2          - the _id of account2
+     * @param       {Object}    options             - optional
+     * @param       {Number}    options.maxDepth    - the maximum number of friendships to traverse. Default: `options.maxDepth`
+     * @param       {Function}  done                - optional callback, passed an array of _ids from account1 to account2, or `null` if they are not connected
+     */
+    FriendshipSchema.statics.getShortestPath = promisify(function (accountId1, accountId2, searchOptions, done) {
+        debug('getShortestPath')
+
+        if (typeof searchOptions === 'function') {
+            done = searchOptions;
+            searchOptions = undefined;
+        }
+
+        searchOptions = searchOptions || {};
+
+        var self = this,
+            maxDepth = (searchOptions && searchOptions.maxDepth) || options.maxDepth,
+            depth = 0;
+
+        try {
+            accountId1 = castObjectId(accountId1);
+            accountId2 = castObjectId(accountId2);
+        } catch (err) {
+            return done(err);
+        }
+
+        if (accountId1.equals(accountId2)) return done(null, [ accountId1 ]);
+
+        // each search maps the _ids it has visited to the _id from which they were reached
+        var forward = newSearch(accountId1), 
+            backward = newSearch(accountId2);
+
+        expand();
+
+        function newSearch (accountId) {
+            var search = {
+                frontier: [ accountId ],
+                ids: {},
+                parents: {}
+            };
+
+            search.ids[accountId] = accountId;
+            search.parents[accountId] = null;
+
+            return search;
+        }
+
+        function expand () {
+            if (depth >= maxDepth || !forward.frontier.length || !backward.frontier.length) {
+                return done(null, null);
+            }
+
+            // expand whichever search has the smaller frontier
+            var search = (forward.frontier.length <= backward.frontier.length) ? forward : backward,
+                other = (search === forward) ? backward : forward;
+
+            var conditions = {
+                '$or': [
+                    { requester: { '$in': search.frontier } },
+                    { requested: { '$in': search.frontier } }
+                ],
+                status: 'Accepted'
+            };
+
+            self.find(conditions, 'requester requested', function (err, friendships) {
+                if (err) return done(err);
+
+                var frontier = {},
+                    meeting = null;
+
+                search.frontier.forEach(function (id) {
+                    frontier[id] = true;
+                });
+
+                depth++;
+                search.frontier = [];
+
+                friendships.forEach(function (friendship) {
+                    visit(friendship.requester, friendship.requested);
+                    visit(friendship.requested, friendship.requester);
+                });
+
+                if (meeting === null) return expand();
+
+                var path = chain(forward, meeting).reverse().concat(chain(backward, meeting).slice(1));
+
+                debug('path', path);
+
+                done(null, path);
+
+                function visit (fromId, toId) {
+                    // only follow friendships from the frontier to _ids not yet visited
+                    if (!frontier.hasOwnProperty(fromId)) return;
+                    if (search.parents.hasOwnProperty(toId)) return;
+
+                    search.ids[toId] = toId;
+                    search.parents[toId] = fromId.toString();
+                    search.frontier.push(toId);
+
+                    if (meeting === null && other.parents.hasOwnProperty(toId)) {
+                        meeting = toId.toString();
+                    }
+                }
+            });
+        }
+
+        function chain (search, key) {
+            var ids = [];
+
+            while (key !== null) {
+                ids.push(search.ids[key]);
+                key = search.parents[key];
+            }
+
+            return ids;
+        }
+    });
+
+    /**
+     * get the number of friendships separating two accounts
+     * @function    FriendshipModel.getDegreeOfSeparation
+     * @param       {ObjectId}  accountId1          - the _id of account1
+     * @param       {ObjectId}  accountId2          - the _id of account2
+     * @param       {Object}    options             - optional
+     * @param       {Number}    options.maxDepth    - the maximum number of friendships to traverse. Default: `options.maxDepth`
+     * @param       {Function}  done                - optional callback, passed the degree of separation, or `null` if they are not connected
+     * @see         [FriendshipModel.getShortestPath]{@link FriendshipModel.getShortestPath}
+     */
+    FriendshipSchema.statics.getDegreeOfSeparation = promisify(function (accountId1, accountId2, searchOptions, done) {
+        debug('getDegreeOfSeparation')
+
+        if (typeof searchOptions === 'function') {
+            done = searchOptions;
+            searchOptions = undefined;
+        }
+
+        searchOptions = searchOptions || {};
+
+        this.getShortestPath(accountId1, accountId2, searchOptions, function (err, path) {
+            if (err) return done(err);
+
+            done(null, path ? path.length -1 : null);
+        });
+    });
+
+    /**
+     *  get the friendship document of two accounts
+     * @function    FriendshipModel.getFriendship
+     * @param       {ObjectId} accountId1   - the _id of account1
+     * @param       {ObjectId} accountId2   - the _id of account2
+     * @param       {Function} done         - optional callback, passed err and a Friendship document, if found
+     */
+    FriendshipSchema.statics.getFriendship = promisify(function (accountId1, accountId2, done) {
+        debug('getFriendship')
+
+        var conditions = {
+            '$or': [
+                { requester: accountId1, requested: accountId2 },
+                { requester: accountId2, requested: accountId1 }
+            ],
+            status: { '$in': [ 'Pending', 'Accepted' ] }
+        };
+
+        // expired requests are left out, friendships are not
+        if (options.requestTTL) {
+            conditions['$and'] = [ { '$or': [ { status: 'Accepted' }, unexpired({ status: 'Pending' }) ] } ];
+        }
+
+        FriendshipModel.findOne(conditions, done);
+    });
+
+    /**
+     * block an account.  any friendship, pending request or follow between the two accounts is removed.
+     * @function    FriendshipModel.block
+     * @param       {ObjectId} blockerId    - the _id of the account doing the blocking
+     * @param       {ObjectId} blockedId    - the _id of the account being blocked
+     * @param       {Function} done         - optional callback, passed the block
+     */
+    FriendshipSchema.statics.block = promisify(function (blockerId, blockedId, done) {
+        debug('block')
+
+        var self = this;
+
+        var conditions = {
+            '$or': [
+                { requester: blockerId, requested: blockedId },
+                { requester: blockedId, requested: blockerId }
+            ],
+            status: { '$in': [ 'Pending', 'Accepted', 'Following' ] }
+        };
+
+        var friendship = {
+            '$or': conditions['$or'],
+            status: 'Accepted'
+        };
+
+        // a friendship ended by a block is closed like any other, so it is kept when `options.keepHistory` is enabled
+        closeFriendships(this, friendship, 'Ended', function (err) {
+            if (err) return done(err);
+
+            self.remove(conditions, function (err) {
+                if (err) return done(err);
+
+                syncFriends('$pull', blockerId, blockedId, function (err) {
+                    if (err) return done(err);
+
+                    upsertBlock();
+                });
+            });
+        });
+
+        function upsertBlock () {
+            var block = { 
+                requester: blockerId, 
+                requested: blockedId, 
+                status: 'Blocked' 
+            };
+
+            var updates = {
+                '$setOnInsert': { dateBlocked: Date.now() }
+            };
+
+            var options = { 'new': true, upsert: true, setDefaultsOnInsert: true };
+
+            self.findOneAndUpdate(block, updates, options, done);
+        }
+    });
+
+    /**
+     * unblock an account
+     * @function    FriendshipModel.unblock
+     * @param       {ObjectId} blockerId    - the _id of the account that did the blocking
+     * @param       {ObjectId} blockedId    - the _id of the blocked account
+     * @param       {Function} done         - optional callback
+     */
+    FriendshipSchema.statics.unblock = promisify(function (blockerId, blockedId, done) {
+        debug('unblock')
+
+        var conditions = {
+            requester: blockerId,
+            requested: blockedId,
+            status: 'Blocked'
+        };
+
+        this.remove(conditions, done);
+    });
+
+    /**
+     * get a list of ids of accounts the given account has blocked
+     * @function    FriendshipModel.getBlocked
+     * @param       {ObjectId} accountId    - the _id of the account
+     * @param       {Function} done         - optional callback, passed an array of blocked ids
+     */
+    FriendshipSchema.statics.getBlocked = promisify(function (accountId, done) {
+        debug('getBlocked')
+
+        var conditions = {
+            requester: accountId,
+            status: 'Blocked'
+        };
+
+        this.find(conditions, function (err, blocks) {
+            if (err) return done(err);
+
+            done(null, blocks.map(function (block) {
+                return block.requested;
+            }));
+        });
+    });
+
+    /**
+     * determine if blockerId has blocked blockedId
+     * @function    FriendshipModel.isBlocked
+     * @param       {ObjectId} blockerId    - the _id of the account that may have blocked
+     * @param       {ObjectId} blockedId    - the _id of the account that may be blocked
+     * @param       {Function} done         - optional callback, passed a boolean determination
+     */
+    FriendshipSchema.statics.isBlocked = promisify(function (blockerId, blockedId, done) {
+        debug('isBlocked')
+
+        var conditions = {
+            requester: blockerId,
+            requested: blockedId,
+            status: 'Blocked'
+        };
+
+        this.findOne(conditions, function (err, block) {
+            if (err) return done(err);
+
+            done(null, !!block);
+        });
+    });
+
+    /**
+     * determine if either account has blocked the other
+     * @function    FriendshipModel.areBlocked
+     * @param       {ObjectId} accountId1   - the _id of account1
+     * @param       {ObjectId} accountId2   - the _id of account2
+     * @param       {Function} done         - optional callback, passed a boolean determination
+     */
+    FriendshipSchema.statics.areBlocked = promisify(function (accountId1, accountId2, done) {
+        debug('areBlocked')
+
+        var conditions = {
+            '$or': [
+                { requester: accountId1, requested: accountId2 },
+                { requester: accountId2, requested: accountId1 }
+            ],
+            status: 'Blocked'
+        };
+
+        this.findOne(conditions, function (err, block) {
+            if (err) return done(err);
+
+            done(null, !!block);
+        });
+    });
+
+    /**
+     * follow an account.  unlike friendship, following does not require the approval of the followed account.
+     * @function    FriendshipModel.follow
+     * @param       {ObjectId} followerId   - the _id of the account following
+     * @param       {ObjectId} followedId   - the _id of the account being followed
+     * @param       {Function} done         - optional callback, passed the follow
+     */
+    FriendshipSchema.statics.follow = promisify(function (followerId, followedId, done) {
+        debug('follow')
+
+        var self = this;
+
+        this.areBlocked(followerId, followedId, function (err, blocked) {
+            if (err) return done(err);
+
+            if (blocked) return done(new errors.BlockedError('Follower and followed have a block between them'));
+
+            var follow = {
+                requester: followerId,
+                requested: followedId,
+                status: 'Following'
+            };
+
+            var updates = {
+                '$setOnInsert': { dateSent: Date.now() }
+            };
+
+            var options = { 'new': true, upsert: true, setDefaultsOnInsert: true };
+
+            self.findOneAndUpdate(follow, updates, options, done);
+        });
+    });
+
+    /**
+     * stop following an account
+     * @function    FriendshipModel.unfollow
+     * @param       {ObjectId} followerId   - the _id of the account following
+     * @param       {ObjectId} followedId   - the _id of the account being followed
+     * @param       {Function} done         - optional callback
+     */
+    FriendshipSchema.statics.unfollow = promisify(function (followerId, followedId, done) {
+        debug('unfollow')
+
+        var conditions = {
+            requester: followerId,
+            requested: followedId,
+            status: 'Following'
+        };
+
+        this.remove(conditions, done);
+    });
+
+    /**
+     * get a list of ids of accounts following the given account
+     * @function    FriendshipModel.getFollowers
+     * @param       {ObjectId} accountId    - the _id of the account
+     * @param       {Function} done         - optional callback, passed an array of follower ids
+     */
+    FriendshipSchema.statics.getFollowers = promisify(function (accountId, done) {
+        debug('getFollowers')
+
+        var conditions = {
+            requested: accountId,
+            status: 'Following'
+        };
+
+        this.find(conditions, function (err, follows) {
+            if (err) return done(err);
+
+            done(null, follows.map(function (follow) {
+                return follow.requester;
+            }));
+        });
+    });
+
+    /**
+     * get a list of ids of accounts the given account follows
+     * @function    FriendshipModel.getFollowing
+     * @param       {ObjectId} accountId    - the _id of the account
+     * @param       {Function} done         - optional callback, passed an array of followed ids
+     */
+    FriendshipSchema.statics.getFollowing = promisify(function (accountId, done) {
+        debug('getFollowing')
+
+        var conditions = {
+            requester: accountId,
+            status: 'Following'
+        };
+
+        this.find(conditions, function (err, follows) {
+            if (err) return done(err);
+
+            done(null, follows.map(function (follow) {
+                return follow.requested;
+            }));
+        });
+    });
+
+    /**
+     * determine if followerId follows followedId
+     * @function    FriendshipModel.isFollowing
+     * @param       {ObjectId} followerId   - the _id of the account that may be following
+     * @param       {ObjectId} followedId   - the _id of the account that may be followed
+     * @param       {Function} done         - optional callback, passed a boolean determination
+     */
+    FriendshipSchema.statics.isFollowing = promisify(function (followerId, followedId, done) {
+        debug('isFollowing')
+
+        var conditions = {
+            requester: followerId,
+            requested: followedId,
+            status: 'Following'
+        };
+
+        this.findOne(conditions, function (err, follow) {
+            if (err) return done(err);
+
+            done(null, !!follow);
+        });
+    });
+
+    /**
+     * check to see if the given user is the requester in a given friendship
+     * @function    FriendshipModel.isRequester
+     * @param       {ObjectId}   friendshipId - the _id of the friendship document
+     * @param       {ObjectId}   accountId    - the _id of the account
+     * @param       {Function}   done         - optional callback
+     */
+    FriendshipSchema.statics.isRequester = promisify(function (friendshipId, accountId, done) {
+        debug('isRequester')
+
+        FriendshipModel.findById(friendshipId, function (err, friendship) {
+            if (err) return done(err);
+            
+            if (!friendship) {
+                done(new errors.FriendshipNotFoundError());
+            } else {
+                done(null, friendship.requester.equals(accountId));
+            }
+        });
+    });
+
+    /**
+     * check to see if the given user is the requested in a given friendship
+     * @function    FriendshipModel.isRequested
+     * @param       {ObjectId} friendshipId - the _id of the friendship
+     * @param       {ObjectId} accountId - the _id of the account
+     * @param       {Function} done - optional callback
+     */
+    FriendshipSchema.statics.isRequested = promisify(function (friendshipId, accountId, done) {
+        debug('isRequested')
+
+        FriendshipModel.findById(friendshipId, function (err, friendship) {
+            if (err) return done(err);
+            
+            if (!friendship) {
+                done(new errors.FriendshipNotFoundError());
+            } else {
+                done(null, friendship.requested.equals(accountId));
+            }
+        });
+    });
+
+    /**
+     * check whether a new request from the requester to the requested is allowed by the request limits.  the error 
+     * passed for a refused request has one of these `code`s:
+     * 
+     * - `'MAX_FRIENDS'` - the requester or the requested already has `options.maxFriends` friends
+     * - `'REQUEST_COOLDOWN'` - the requested denied, or the requester cancelled, a request from the requester to the
+     *   requested less than `options.denyCooldown` days ago
+     * - `'TOO_MANY_PENDING_REQUESTS'` - the requester already has `options.maxPendingRequests` requests pending
+     * - `'REQUEST_RATE_LIMITED'` - the requester sent `options.maxRequests` requests in the last `options.requestWindow` hours
+     * @function    FriendshipModel.checkRequestLimits
+     * @param       {ObjectId} requesterId  - the _id of the account sending the request
+     * @param       {ObjectId} requestedId  - the _id of the account to whom the request would be sent
+     * @param       {Function} done         - optional callback, passed an error when the request is refused
+     */
+    FriendshipSchema.statics.checkRequestLimits = promisify(function (requesterId, requestedId, done) {
+        debug('checkRequestLimits')
+
+        var model = this;
+
+        checkFriendCounts(model, [ requesterId, requestedId ], options.maxFriends - 1, function (err) {
+            if (err) return done(err);
+
+            checkCooldown();
+        });
+
+        function checkCooldown () {
+            if (!options.denyCooldown) return checkPending();
+
+            var since = hoursAgo(options.denyCooldown * 24);
+
+            // cancelling a request and sending it again would get around the cooldown of a denial
+            var conditions = {
+                requester: requesterId,
+                requested: requestedId,
+                '$or': [
+                    { status: 'Denied', dateDenied: { '$gt': since } },
+                    { status: 'Cancelled', dateCancelled: { '$gt': since } }
+                ]
+            };
+
+            model.count(conditions, function (err, closed) {
+                if (err) return done(err);
+
+                if (closed) {
+                    return done(new errors.RequestCooldownError());
+                }
+
+                checkPending();
+            });
+        }
+
+        function checkPending () {
+            if (!options.maxPendingRequests) return checkRate();
+
+            var conditions = unexpired({
+                requester: requesterId,
+                status: 'Pending'
+            });
+
+            model.count(conditions, function (err, pending) {
+                if (err) return done(err);
+
+                if (pending >= options.maxPendingRequests) {
+                    return done(new errors.TooManyPendingRequestsError());
+                }
+
+                checkRate();
+            });
+        }
+
+        function checkRate () {
+            if (!options.maxRequests) return done();
+
+            // denied, cancelled and expired requests count too.  blocks and follows have a requester and dateSent
+            // too, but are not requests
+            var conditions = {
+                requester: requesterId,
+                status: { '$nin': [ 'Blocked', 'Following' ] },
+                dateSent: { '$gt': hoursAgo(options.requestWindow) }
+            };
+
+            model.count(conditions, function (err, sent) {
+                if (err) return done(err);
+
+                if (sent >= options.maxRequests) {
+                    return done(new errors.RequestRateLimitedError());
+                }
+
+                done();
+            });
+        }
+    });
+
+    /**
+     * close pending requests older than `options.requestTTL` days, so that new requests may be sent between the same 
+     * accounts.  they are marked `'Expired'` when `options.keepHistory` is enabled, or while `options.maxRequests` or
+     * `options.denyCooldown` is set, as the request limits keep closed requests, and removed otherwise.  run this 
+     * periodically; expired requests are left out of every query in the meantime.  does nothing when 
+     * `options.requestTTL` is not set.
+     * @function    FriendshipModel.expireStaleRequests
+     * @param       {Object}   conditions   - optional conditions limiting the requests to expire
+     * @param       {Function} done         - optional callback, passed the result of the remove or update
+     */
+    FriendshipSchema.statics.expireStaleRequests = promisify(function (conditions, done) {
+        debug('expireStaleRequests')
+
+        if (typeof conditions === 'function') {
+            done = conditions;
+            conditions = undefined;
+        }
+
+        conditions = conditions || {};
+
+        if (!options.requestTTL) return done(null, null);
+
+        var stale = {
+            '$and': [
+                conditions,
+                { status: 'Pending', dateSent: { '$lte': expiryDate() } }
+            ]
+        };
+
+        closeFriendships(this, stale, 'Expired', done);
+    });
+
+    /**
+     * get every request, friendship, block and follow there has been between two accounts, oldest first.  denied and 
+     * cancelled requests and ended friendships are only kept when `options.keepHistory` is enabled.
+     * @function    FriendshipModel.getFriendshipHistory
+     * @param       {ObjectId} accountId1   - the _id of account1
+     * @param       {ObjectId} accountId2   - the _id of account2
+     * @param       {Function} done         - optional callback, passed an array of friendships
+     */
+    FriendshipSchema.statics.getFriendshipHistory = promisify(function (accountId1, accountId2, done) {
+        debug('getFriendshipHistory')
+
+        var conditions = {
+            '$or': [
+                { requester: accountId1, requested: accountId2 },
+                { requester: accountId2, requested: accountId1 }
+            ]
+        };
+
+        this.find(conditions, null, { sort: { dateSent: 1, _id: 1 } }, done);
+    });
+
+    /**
+     * migrate friendships saved before the `pair` key existed.  duplicate pending requests and friendships between
+     * the same two accounts are merged into the oldest one: an accepted friendship wins over pending requests, and
+     * pending requests crossing in both directions are merged into an accepted friendship.  then every remaining
+     * pending request and friendship is given its `pair` key.  finally the indexes are built, including the unique
+     * `pair` index.  build no indexes before this has run: see the README on turning `autoIndex` off while upgrading.
+     * @function    FriendshipModel.mergeDuplicates
+     * @param       {Function} done     - optional callback, passed `{ merged, removed, updated }` counts
+     */
+    FriendshipSchema.statics.mergeDuplicates = promisify(function (done) {
+        debug('mergeDuplicates')
+
+        var self = this;
+
+        var result = { merged: 0, removed: 0, updated: 0 };
+
+        var pipeline = [
+            { '$match': { status: { '$in': [ 'Pending', 'Accepted' ] } } },
+            { '$sort': { dateSent: 1 } },
+            { '$group': {
+                _id: {
+                    low: { '$cond': [ { '$lt': [ '$requester', '$requested' ] }, '$requester', '$requested' ] },
+                    high: { '$cond': [ { '$lt': [ '$requester', '$requested' ] }, '$requested', '$requester' ] }
+                },
+                friendships: { '$push': { _id: '$_id', requester: '$requester', requested: '$requested', status: '$status' } },
+                count: { '$sum': 1 }
+            }},
+            { '$match': { count: { '$gt': 1 } } }
+        ];
+
+        this.aggregate(pipeline, function (err, groups) {
+            if (err) return done(err);
+
+            debug('duplicate groups', groups.length);
+
+            (function mergeNext (index) {
+                if (index === groups.length) return setPairs();
+
+                mergeGroup(groups[index].friendships, function (err) {
+                    if (err) return done(err);
+
+                    result.merged++;
+                    mergeNext(index + 1);
+                });
+            })(0);
+        });
+
+        function mergeGroup (friendships, next) {
+            var accepted = friendships.filter(function (friendship) {
+                    return friendship.status === 'Accepted';
+                }),
+                keeper = accepted[0] || friendships[0],
+                crossing = friendships.some(function (friendship) {
+                    return !friendship.requester.equals(keeper.requester);
+                }),
+                duplicateIds = friendships.filter(function (friendship) {
+                    return friendship !== keeper;
+                }).map(function (friendship) {
+                    return friendship._id;
+                });
+
+            self.remove({ _id: { '$in': duplicateIds } }, function (err) {
+                if (err) return next(err);
+
+                result.removed += duplicateIds.length;
+
+                if (keeper.status === 'Accepted' || !crossing) return next();
+
+                var updates = {
+                    status: 'Accepted',
+                    dateAccepted: Date.now()
+                };
+
+                self.update({ _id: keeper._id }, updates, function (err) {
+                    if (err) return next(err);
+
+                    syncFriends('$addToSet', keeper.requester, keeper.requested, next);
+                });
+            });
+        }
+
+        function setPairs () {
+            var conditions = {
+                status: { '$in': [ 'Pending', 'Accepted' ] },
+                pair: { '$exists': false }
+            };
+
+            self.find(conditions, 'requester requested', function (err, friendships) {
+                if (err) return done(err);
+
+                (function setNext (index) {
+                    if (index === friendships.length) return buildIndexes();
+
+                    var friendship = friendships[index],
+                        updates = { pair: pairKey(friendship.requester, friendship.requested) };
+
+                    self.update({ _id: friendship._id }, updates, function (err) {
+                        if (err) return done(err);
+
+                        result.updated++;
+                        setNext(index + 1);
+                    });
+                })(0);
+            });
+        }
+
+        // the unique `pair` index can only be built once the duplicates are gone
+        function buildIndexes () {
+            self.ensureIndexes(function (err) {
+                done(err, result);
+            });
+        }
+    });
+
+    /**
+     * close every request, friendship, block and follow of an account, e.g. once it has been deleted.  friendships
+     * are kept as `'Ended'` and requests as `'Cancelled'` when `options.keepHistory` is enabled; blocks, follows and
+     * everything else are removed.  with `options.syncFriends`, the account is pulled from its friends' `friends`.
+     * @function    FriendshipModel.removeAccount
+     * @param       {ObjectId|Array} accountId  - the _id of the account, or an array of the _ids of many accounts
+     * @param       {Function} done             - optional callback
+     */
+    FriendshipSchema.statics.removeAccount = promisify(function (accountId, done) {
+        debug('removeAccount')
+
+        var self = this,
+            accountIds = [].concat(accountId);
+
+        var involved = {
+            '$or': [
+                { requester: { '$in': accountIds } },
+                { requested: { '$in': accountIds } }
+            ]
+        };
+
+        function withStatus (status) {
+            return { '$and': [ involved, { status: status } ] };
+        }
+
+        if (!options.keepHistory) return this.remove(involved, pullFromFriends);
+
+        closeFriendships(this, withStatus('Accepted'), 'Ended', function (err) {
+            if (err) return done(err);
+
+            closeFriendships(self, withStatus('Pending'), 'Cancelled', function (err) {
+                if (err) return done(err);
+
+                self.remove(withStatus({ '$in': [ 'Blocked', 'Following' ] }), pullFromFriends);
+            });
+        });
+
+        function pullFromFriends (err) {
+            if (err || !options.syncFriends) return done(err);
+
+            var personModel = db.model(options.personModelName);
+
+            var conditions = { friends: { '$in': accountIds } },
+                updates = { '$pull': { friends: { '$in': accountIds } } };
+
+            personModel.update(conditions, updates, { multi: true }, function (err) {
+                done(err);
+            });
+        }
+    });
+
+    /**
+     * close the requests, friendships, blocks and follows of accounts that no longer exist, and remove their friend
+     * lists, as `removeAccount` does.  use this to repair data from before people's friendships were closed as they
+     * were deleted, or after people were deleted without mongoose middleware, e.g. through `Model.collection`.
+     * @function    FriendshipModel.purgeOrphanedFriendships
+     * @param       {Function} done     - optional callback, passed an array of the ids of the accounts purged
+     * @see         [FriendshipModel.removeAccount]{@link FriendshipModel.removeAccount}
+     */
+    FriendshipSchema.statics.purgeOrphanedFriendships = promisify(function (done) {
+        debug('purgeOrphanedFriendships')
+
+        var self = this;
+
+        var personModel = db.model(options.personModelName),
+            friendListModel = db.model(options.friendListModelName);
+
+        var pipeline = [
+            // closed friendships are history, even when an account is gone
+            { '$match': { status: { '$in': [ 'Pending', 'Accepted', 'Blocked', 'Following' ] } } },
+            { '$project': { accountId: [ '$requester', '$requested' ] } },
+            { '$unwind': '$accountId' },
+            // an orphan may be in many friendships, as either requester or requested
+            { '$group': { _id: '$accountId' } },
+            // look each account up on the server, rather than sending every id back in an `$in`
+            { '$lookup': {
+                from: personModel.collection.name,
+                localField: '_id',
+                foreignField: '_id',
+                as: 'person'
+            }},
+            { '$match': { person: { '$size': 0 } } },
+            { '$project': { _id: 1 } }
+        ];
+
+        this.aggregate(pipeline).allowDiskUse(true).exec(function (err, orphans) {
+            if (err) return done(err);
+
+            var orphanIds = orphans.map(function (orphan) {
+                return orphan._id;
+            });
+
+            debug('orphanIds', orphanIds);
+
+            // purge the orphans a batch at a time, rather than one at a time or all in one enormous `$in`
+            (function purgeNext (index) {
+                if (index >= orphanIds.length) return done(null, orphanIds);
+
+                var batch = orphanIds.slice(index, index + BATCH_SIZE);
+
+                self.removeAccount(batch, function (err) {
+                    if (err) return done(err);
+
+                    friendListModel.removeAccount(batch, function (err) {
+                        if (err) return done(err);
+
+                        purgeNext(index + BATCH_SIZE);
+                    });
+                });
+            })(0);
+        });
+    });
+
+    /**
+     * @class  FriendshipDocument
+     */
+
+    /**
+     * check to see if the given user is the requester in this relationship
+     * @function    FriendshipDocument.isRequester
+     * @param       {ObjectId} accountId - the _id of the account
+     * @param       {Function} done      - optional callback
+     * @see         [FriendshipModel.isRequester]{@link FriendshipModel.isRequester}
+     */
+    FriendshipSchema.methods.isRequester = function (accountId, done) {
+        return this.constructor.isRequester(this._id, accountId, done);
+    };
+
+    /**
      * check to see if the given user is the requested in this relationship
      * @function    FriendshipDocument.isRequested
      * @param       {ObjectId} accountId    - the _id of the account
-     * @param       {Function} done         - required callback
+     * @param       {Function} done         - optional callback
      * @see         [FriendshipModel.isRequested]{@link FriendshipModel.isRequested}
      */
     FriendshipSchema.methods.isRequested = function (accountId, done) {
-        this.constructor.isRequested(this._id, accountId, done);
+        return this.constructor.isRequested(this._id, accountId, done);
     };
 
     // "compile" the Friendship model
-    FriendshipModel = mongoose.model(options.friendshipModelName, FriendshipSchema, options.friendshipCollectionName);
+    FriendshipModel = db.model(options.friendshipModelName, FriendshipSchema, options.friendshipCollectionName);
     
     // return the model
     return FriendshipModel;
 };
+
+module.exports.conflictingOption = conflictingOption;
@@ -5,7 +5,10 @@
  */
 
 var debug = require('debug')('friends-of-friends'),
+    errors = require('./errors'),
+    EventEmitter = require('events').EventEmitter,
     relationships = require('./relationships'),
+    util = require('util'),
     utils = require('techjeffharris-utils');
 
 module.exports = FriendsOfFriends
@@ -35,7 +38,16 @@ module.exports = FriendsOfFriends
  * // again, works with or without 'new'
  * var FriendsOfFriends = require('friends-of-friends')(mongoose, options);
  * ```
+ *
+ * Each FriendsOfFriends Object is an EventEmitter that emits an event whenever a friendship changes
+ * through the plugged-in Person Model or its documents
+ * ```javascript
+ * fof.on('request:accepted', function (event) {
+ *     notify(event.requesterId, event.friendship.requested.username + ' accepted your request');
+ * });
+ * ```
  * @class FriendsOfFriends
+ * @extends EventEmitter
  * @param {Object} mongoose - required: mongoose instance used in your application
  * @param {Object} options  - optional object containing configurable options
  */
@@ -48,13 +60,32 @@ function FriendsOfFriends(mongoose, options) {
       return new FriendsOfFriends(mongoose, options);
     } 
 
+    EventEmitter.call(this);
+
     var friendship = require('./friendship'),
+        friendList = require('./friendList'),
         plugin = require('./plugin');
 
     var defaults = { 
         personModelName:            'Person',
         friendshipModelName:        'Friendship', 
         friendshipCollectionName:   undefined,
+        friendListModelName:        undefined,
+        connection:                 undefined,
+        friendshipFields:           undefined,
+        maxDepth:                   6,
+        follow:                     false,
+        syncFriends:                false,
+        keepHistory:                false,
+        requestTTL:                 undefined,
+        maxRequests:                undefined,
+        requestWindow:              24,
+        denyCooldown:               undefined,
+        maxPendingRequests:         undefined,
+        maxFriends:                 undefined,
+        checkPeopleExist:           false,
+        types:                      undefined,
+        visibility:                 undefined
     };
 
     /**
@@ -64,11 +95,34 @@ function FriendsOfFriends(mongoose, options) {
      * @property    {String} personModelName            - The modelName of the Person Schema. Default: `'Person'`
      * @property    {String} friendshipModelName        - The name to call the model to be compiled from the Friendship Schema. Default: `'Friendship'`
      * @property    {String|undefined} friendshipCollectionName   - The name to use for the Friendship Collection. Default: `undefined`.
+     * @property    {String} friendListModelName        - The name to call the model to be compiled from the FriendList Schema. Default: `'FriendList'`, or `friendshipModelName + 'List'` when `friendshipModelName` is not the default
+     * @property    {Connection|undefined} connection   - The mongoose connection on which the Friendship and Person models are compiled, e.g. from `mongoose.createConnection()`. Default: `undefined`, the default mongoose connection
+     * @property    {Object|undefined} friendshipFields - Extra fields to add to the Friendship Schema, in mongoose Schema definition syntax. They may be sent with friend requests. Default: `undefined`
+     * @property    {Number} maxDepth                   - The maximum number of friendships to traverse when searching for the shortest path between two people. Default: `6`
+     * @property    {Boolean} follow                    - Enable one-way follows alongside mutual friendship. Default: `false`
+     * @property    {Boolean} syncFriends               - Keep the `friends` array of each person in sync with their accepted friendships. Default: `false`
+     * @property    {Boolean} keepHistory               - Keep denied and cancelled requests and ended friendships instead of removing them. Default: `false`
+     * @property    {Number|undefined} requestTTL       - The number of days after which pending requests expire. Default: `undefined`, requests never expire
+     * @property    {Number|undefined} maxRequests      - The number of requests a person may send every `requestWindow` hours. Default: `undefined`, no limit
+     * @property    {Number} requestWindow              - The number of hours over which `maxRequests` are counted. Default: `24`
+     * @property    {Number|undefined} denyCooldown     - The number of days a person must wait to send another request to someone who denied them, or after cancelling one. Default: `undefined`, no cooldown
+     * @property    {Number|undefined} maxPendingRequests - The number of requests a person may have pending at once. Default: `undefined`, no limit
+     * @property    {Number|undefined} maxFriends       - The number of friends a person may have. Default: `undefined`, no limit
+     * @property    {Boolean} checkPeopleExist          - Check that both people exist before sending or accepting a request. Default: `false`
+     * @property    {Array|undefined} types             - The types of relationship friendships may have, e.g. `['friend', 'family', ['parent', 'child']]`. Pairs have a different label for each side. The first is the default, unless it is a pair. Default: `undefined`
+     * @property    {Object|undefined} visibility       - The least close relationship a viewer must have to see each field of a Person, e.g. `{ email: 'FRIENDS' }`. Usually passed to the plugin. Default: `undefined`, every field is visible
      */
     this.options = utils.extend(defaults, options);
 
+    // each Friendship model gets its own FriendList model, which reads the options of the instance that compiled it
+    if (!this.options.friendListModelName) {
+        this.options.friendListModelName = (this.options.friendshipModelName === 'Friendship')
+            ? 'FriendList'
+            : this.options.friendshipModelName + 'List';
+    }
+
     /**
-     * The Friendship model 
+     * The Friendship model.  Instances with different `friendshipModelName`s or `connection`s each have their own.
      * @member      {Model}     friendship
      * @memberOf    FriendsOfFriends
      * @see         {@link FriendshipModel}
@@ -76,15 +130,109 @@ function FriendsOfFriends(mongoose, options) {
      */
     this.Friendship = friendship(mongoose, this.options);
 
+    /**
+     * The FriendList model, holding the named lists people sort their friends into
+     * @member      {Model}     FriendList
+     * @memberOf    FriendsOfFriends
+     * @see         {@link FriendListModel}
+     */
+    this.FriendList = friendList(mongoose, this.options);
+
     /**
      * Adds friends-of-friends functionality to an existing Schema
      * @function    FriendsOfFriends.plugin
      * @param       {Schema} schema     - The mongoose Schema that gets plugged
      * @param       {Object} options    - Options passed to the plugin
+     * @throws      {OptionsConflictError} - when an option of the Friendship model differs from `FriendsOfFriends.options`
      * @see         {@link AccountModel}
      */
-    this.plugin = plugin(mongoose);
+    this.plugin = plugin(mongoose, this);
+
+    /**
+     * The before-hooks registered for each action
+     * @member      {Object} hooks
+     * @memberOf    FriendsOfFriends
+     * @see         [FriendsOfFriends.before]{@link FriendsOfFriends.before}
+     */
+    this.hooks = {};
+
+};
+
+util.inherits(FriendsOfFriends, EventEmitter);
+
+// expose the error classes, e.g. FriendsOfFriends.RequestExistsError
+Object.keys(errors).forEach(function (name) {
+    FriendsOfFriends[name] = errors[name];
+});
+
+/**
+ * Events emitted once an action succeeds.  Listeners are passed an event Object with the populated `friendship` 
+ * document and the `requesterId` and `requestedId` of the people involved.  For blocks, the requester is the blocker; 
+ * for follows, the requester is the follower.
+ * @constant
+ * @member      {Object} events
+ * @memberOf    FriendsOfFriends
+ * @property    {String}    friendRequest   - Value: `'request:sent'`
+ * @property    {String}    acceptRequest   - Value: `'request:accepted'`
+ * @property    {String}    denyRequest     - Value: `'request:denied'`
+ * @property    {String}    cancelRequest   - Value: `'request:cancelled'`
+ * @property    {String}    endFriendship   - Value: `'friendship:ended'`
+ * @property    {String}    block           - Value: `'person:blocked'`
+ * @property    {String}    unblock         - Value: `'person:unblocked'`
+ * @property    {String}    follow          - Value: `'person:followed'`
+ * @property    {String}    unfollow        - Value: `'person:unfollowed'`
+ */
+FriendsOfFriends.prototype.events = {
+    friendRequest:  'request:sent',
+    acceptRequest:  'request:accepted',
+    denyRequest:    'request:denied',
+    cancelRequest:  'request:cancelled',
+    endFriendship:  'friendship:ended',
+    block:          'person:blocked',
+    unblock:        'person:unblocked',
+    follow:         'person:followed',
+    unfollow:       'person:unfollowed'
+};
+
+/**
+ * Register a hook to be run before an action.  Hooks are run in the order they were registered and are passed the 
+ * two person ids in the order the action takes them, e.g. `(requesterId, requestedId, next)`.  Passing an error to 
+ * `next` vetoes the action, and the error is passed to the action's callback.
+ * ```javascript
+ * fof.before('friendRequest', function (requesterId, requestedId, next) {
+ *     Person.findById(requesterId, function (err, requester) {
+ *         if (err) return next(err);
+ *
+ *         next(requester.verified ? null : new Error('Only verified people may send friend requests'));
+ *     });
+ * });
+ * ```
+ * @param   {String}    action  - The name of the action, i.e. a key of [FriendsOfFriends.events]{@link FriendsOfFriends.events}
+ * @param   {Function}  hook    - The hook to run before the action
+ * @return  {FriendsOfFriends}
+ */
+FriendsOfFriends.prototype.before = function (action, hook) {
+    if (!this.events[action]) throw new errors.UnknownActionError('Cannot hook unknown action "' + action + '"');
 
+    this.hooks[action] = this.hooks[action] || [];
+    this.hooks[action].push(hook);
+
+    return this;
+};
+
+/**
+ * Remove a hook registered with [FriendsOfFriends.before]{@link FriendsOfFriends.before}
+ * @param   {String}    action  - The name of the action
+ * @param   {Function}  hook    - The hook to remove
+ * @return  {FriendsOfFriends}
+ */
+FriendsOfFriends.prototype.removeBefore = function (action, hook) {
+    var hooks = this.hooks[action] || [],
+        index = hooks.indexOf(hook);
+
+    if (index !== -1) hooks.splice(index, 1);
+
+    return this;
 };
 
 /** 
@@ -92,17 +240,33 @@ function FriendsOfFriends(mongoose, options) {
  * @constant
  * @member      {Object} relationships
  * @memberOf    FriendsOfFriends
+ * @property    {String}    '-1'                - Value: `'BLOCKED'`
  * @property    {String}    '0'                 - Value: `'NOT_FRIENDS'`
  * @property    {String}    '1'                 - Value: `'FRIENDS_OF_FRIENDS'`
  * @property    {String}    '2'                 - Value: `'PENDING_FRIENDS'`
  * @property    {String}    '3'                 - Value: `'FRIENDS'`
+ * @property    {String}    '4'                 - Value: `'FOLLOWER'`
+ * @property    {String}    '5'                 - Value: `'FOLLOWING'`
+ * @property    {String}    '6'                 - Value: `'MUTUAL_FOLLOW'`
+ * @property    {Number}    BLOCKED             - Value: `-1`
  * @property    {Number}    NOT_FRIENDS         - Value: `0`
  * @property    {Number}    FRIENDS_OF_FRIENDS  - Value: `1`
  * @property    {Number}    PENDING_FRIENDS     - Value: `2`
  * @property    {Number}    FRIENDS             - Value: `3`
+ * @property    {Number}    FOLLOWER            - Value: `4`
+ * @property    {Number}    FOLLOWING           - Value: `5`
+ * @property    {Number}    MUTUAL_FOLLOW       - Value: `6`
  */
 FriendsOfFriends.prototype.relationships = relationships;
 
+/**
+ * The error classes, by name.  Each is also a property of FriendsOfFriends itself.
+ * @member      {Object} errors
+ * @memberOf    FriendsOfFriends
+ * @see         {@link FriendsOfFriendsError}
+ */
+FriendsOfFriends.prototype.errors = errors;
+
 /**
  * Return the value of a property of `this.options`
  * @param   {String} property - The property to get
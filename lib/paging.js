@@ -0,0 +1,220 @@
+
+// var debug = require('debug')('friends-of-friends:paging');
+
+var errors = require('./errors');
+
+/**
+ * The number of items in a page when `paging.limit` is not given
+ * @type {Number}
+ */
+exports.DEFAULT_LIMIT = 20;
+
+// the hex String of an ObjectId, as encoded in a cursor
+var OBJECT_ID = /^[0-9a-f]{24}$/i;
+
+/**
+ * Get the number of items in a page, which may be given as a String
+ * @param   {Object}    paging  - `limit` and `after`
+ * @returns {Number} - the limit, or [DEFAULT_LIMIT]{@link DEFAULT_LIMIT} when none is given
+ * @throws  {InvalidLimitError} - if `paging.limit` is not a positive integer
+ */
+exports.limit = function limit (paging) {
+    if (paging.limit === undefined || paging.limit === null) return exports.DEFAULT_LIMIT;
+
+    var number = (typeof paging.limit === 'string' && paging.limit.trim()) ? Number(paging.limit) : paging.limit;
+
+    if (typeof number !== 'number' || number % 1 !== 0 || number < 1) {
+        throw new errors.InvalidLimitError('Invalid limit "' + paging.limit + '"');
+    }
+
+    return number;
+};
+
+/**
+ * Encode the position after a document as an opaque cursor.  A document without a date is encoded with a `null` date.
+ * @param   {Document}  doc     - the last document of a page
+ * @param   {String}    field   - the date field the page is sorted by, or `'_id'`
+ * @returns {String} - the cursor
+ */
+exports.encode = function encode (doc, field) {
+    var position = [ String(doc._id) ];
+
+    if (field !== '_id') {
+        position.unshift(doc[field] instanceof Date ? doc[field].getTime() : null);
+    }
+
+    return Buffer.from(JSON.stringify(position)).toString('base64');
+};
+
+/**
+ * Decode a cursor created by [encode]{@link encode}
+ * @param   {String}    cursor  - the cursor
+ * @param   {String}    field   - the date field the page is sorted by, or `'_id'`
+ * @returns {Object} - the `value` of `field`, `null` for a document without a date, and the `id` of the document the 
+ *                     cursor points after
+ * @throws  {InvalidCursorError} - if the cursor is malformed, or its id is not an ObjectId
+ */
+exports.decode = function decode (cursor, field) {
+    var position;
+
+    try {
+        position = JSON.parse(Buffer.from(String(cursor), 'base64').toString());
+    } catch (err) {
+        position = null;
+    }
+
+    if (!Array.isArray(position) || position.length !== (field === '_id' ? 1 : 2)) {
+        throw new errors.InvalidCursorError();
+    }
+
+    // the id is used in queries, so it must be an ObjectId rather than anything a client puts in a cursor
+    var id = position[position.length - 1];
+
+    if (typeof id !== 'string' || !OBJECT_ID.test(id)) throw new errors.InvalidCursorError();
+
+    if (field === '_id') return { id: position[0] };
+
+    if (position[0] !== null && typeof position[0] !== 'number') throw new errors.InvalidCursorError();
+
+    return { 
+        value: (position[0] === null) ? null : new Date(position[0]), 
+        id: position[1] 
+    };
+};
+
+/**
+ * Restrict conditions to the documents after the cursor of `paging.after`, if any.  Documents are sorted by `field`,
+ * newest first, then by `_id`.  Documents without a date sort last, as MongoDB sorts `null` before any date.
+ * @param   {Object}    conditions  - the conditions of the query
+ * @param   {String}    field       - the date field the page is sorted by, or `'_id'`
+ * @param   {Object}    paging      - `limit` and `after`
+ * @returns {Object} - the restricted conditions
+ * @throws  {InvalidCursorError} - if `paging.after` is malformed
+ */
+exports.conditions = function pageConditions (conditions, field, paging) {
+    if (!paging.after) return conditions;
+
+    var position = exports.decode(paging.after, field),
+        after,
+        before = {},
+        undated = {},
+        tied = {};
+
+    if (field === '_id') {
+        after = { _id: { '$lt': position.id } };
+    } else if (position.value === null) {
+        // only undated documents follow an undated one
+        undated[field] = null;
+        undated._id = { '$lt': position.id };
+
+        after = undated;
+    } else {
+        before[field] = { '$lt': position.value };
+
+        undated[field] = null;
+
+        tied[field] = position.value;
+        tied._id = { '$lt': position.id };
+
+        after = { '$or': [ before, undated, tied ] };
+    }
+
+    return { '$and': [ conditions, after ] };
+};
+
+/**
+ * Get the query options that sort and limit a page.  One more document than `paging.limit` is fetched to tell whether
+ * there are more.
+ * @param   {String}    field   - the date field the page is sorted by, or `'_id'`
+ * @param   {Object}    paging  - `limit` and `after`
+ * @returns {Object} - `sort` and `limit` query options
+ * @throws  {InvalidLimitError} - if `paging.limit` is not a positive integer
+ */
+exports.options = function options (field, paging) {
+    var sort = {};
+
+    sort[field] = -1;
+    sort._id = -1;
+
+    return {
+        sort: sort,
+        limit: exports.limit(paging) + 1
+    };
+};
+
+/**
+ * Build a page from the documents fetched with [options]{@link options}
+ * @param   {Array}     docs    - the documents fetched
+ * @param   {String}    field   - the date field the page is sorted by, or `'_id'`
+ * @param   {Object}    paging  - `limit` and `after`
+ * @returns {Object} - the page's `items`, whether there are more (`hasMore`) and the `nextCursor` to get them with
+ * @throws  {InvalidLimitError} - if `paging.limit` is not a positive integer
+ */
+exports.page = function page (docs, field, paging) {
+    var limit = exports.limit(paging),
+        items = docs.slice(0, limit),
+        hasMore = docs.length > limit;
+
+    return {
+        items: items,
+        hasMore: hasMore,
+        nextCursor: hasMore ? exports.encode(items[items.length -1], field) : null
+    };
+};
+
+/**
+ * Get a page with no items
+ * @returns {Object}
+ */
+exports.empty = function empty () {
+    return {
+        items: [],
+        hasMore: false,
+        nextCursor: null
+    };
+};
+
+/**
+ * Join the pages of several lists paged together into one opaque cursor.  Lists without more items are marked as 
+ * such so they are not queried again.
+ * @param   {Object}    pages   - the page of each list, by name
+ * @returns {String|null} - the cursor, or `null` when no list has more items
+ */
+exports.join = function join (pages) {
+    var cursors = {},
+        hasMore = false;
+
+    Object.keys(pages).forEach(function (name) {
+        cursors[name] = pages[name].hasMore ? pages[name].nextCursor : false;
+        hasMore = hasMore || pages[name].hasMore;
+    });
+
+    return hasMore ? Buffer.from(JSON.stringify(cursors)).toString('base64') : null;
+};
+
+/**
+ * Split a cursor created by [join]{@link join} into the cursor of each list
+ * @param   {String}    cursor  - the joined cursor, if any
+ * @param   {Array}     names   - the names of the lists
+ * @returns {Object} - the cursor of each list by name: `undefined` for the first page, `false` when it has no more
+ * @throws  {InvalidCursorError} - if the cursor is malformed
+ */
+exports.split = function split (cursor, names) {
+    var cursors;
+
+    if (!cursor) return {};
+
+    try {
+        cursors = JSON.parse(Buffer.from(String(cursor), 'base64').toString());
+    } catch (err) {
+        cursors = null;
+    }
+
+    var valid = cursors && typeof cursors === 'object' && names.every(function (name) {
+        return cursors[name] === false || typeof cursors[name] === 'string';
+    });
+
+    if (!valid) throw new errors.InvalidCursorError();
+
+    return cursors;
+};
@@ -1,23 +1,286 @@
 
-var async = require('async'),
-    debug = require('debug')('friends-of-friends:plugin'),
+var debug = require('debug')('friends-of-friends:plugin'),
+    errors = require('./errors'),
+    friendship = require('./friendship'),
+    paging = require('./paging'),
+    promises = require('./promises'),
     relationships = require('./relationships'),
     utils = require('techjeffharris-utils');
 
-module.exports = function pluginInit (mongoose) {
+var promisify = promises.promisify;
+
+// how close each relationship is.  follows say nothing of friendship, so they are as close as strangers.
+var closeness = {};
+
+closeness[relationships.BLOCKED]            = -1;
+closeness[relationships.NOT_FRIENDS]        = 0;
+closeness[relationships.FOLLOWER]           = 0;
+closeness[relationships.FOLLOWING]          = 0;
+closeness[relationships.MUTUAL_FOLLOW]      = 0;
+closeness[relationships.FRIENDS_OF_FRIENDS] = 1;
+closeness[relationships.PENDING_FRIENDS]    = 2;
+closeness[relationships.FRIENDS]            = 3;
+
+// how many people a query deletes at a time
+var BATCH_SIZE = 1000;
+
+module.exports = function pluginInit (mongoose, fof) {
 
     return function friendshipPlugin (schema, pluginOptions) {
 
         // debug('schema', schema)
+
+        // the Friendship model is already compiled, so options read by its statics must be given to FriendsOfFriends
+        var conflict = friendship.conflictingOption(fof.Friendship.compiledOptions || fof.options, pluginOptions || {});
+
+        if (conflict) {
+            throw new errors.OptionsConflictError('The "' + conflict + '" option must be given to FriendsOfFriends, ' +
+                'not to the plugin');
+        }
+
+        // options given to the plugin, such as `visibility`, override those of the FriendsOfFriends instance
+        pluginOptions = utils.extend(utils.extend({}, fof.options), pluginOptions);
+
+        // the connection on which both the Friendship and Person models are compiled
+        var db = pluginOptions.connection || mongoose;
         
-        // add an array of refs to the user's friends
+        // add an array of refs to the user's friends, kept in sync when `syncFriends` is enabled
         schema.add({
             friends: [ { type: mongoose.Schema.Types.ObjectId, ref: pluginOptions.personModelName }]
         });
 
         debug('pluginOptions', pluginOptions);
 
-        Friendship = require('./friendship')(mongoose, pluginOptions);
+        var Friendship = fof.Friendship,
+            FriendList = fof.FriendList;
+
+        Object.keys(pluginOptions.visibility || {}).forEach(function (path) {
+            var minimum = pluginOptions.visibility[path];
+
+            if (closeness[typeof minimum === 'string' ? relationships[minimum] : minimum] === undefined) {
+                throw new errors.InvalidVisibilityError('Unknown relationship "' + minimum + '" for the visibility of "' + path + '"');
+            }
+        });
+
+        // the details that may be sent with a request
+        var requestFields = [ 'message', 'source', 'metadata' ].concat(Object.keys(pluginOptions.friendshipFields || {}));
+
+        /**
+         * run the before-hooks registered for an action in order, stopping at the first hook to veto it
+         * @param   {String}    action      - the name of the action
+         * @param   {ObjectId}  personId1   - the first person id passed to the action
+         * @param   {ObjectId}  personId2   - the second person id passed to the action
+         * @param   {Function}  done        - required callback, passed the veto, if any
+         * @ignore
+         */
+        function runHooks (action, personId1, personId2, done) {
+            var hooks = (fof.hooks[action] || []).slice();
+
+            (function runNext (index) {
+                if (index === hooks.length) return done();
+
+                hooks[index](personId1, personId2, function (err) {
+                    if (err) return done(err);
+
+                    runNext(index + 1);
+                });
+            })(0);
+        }
+
+        /**
+         * emit the event of an action that succeeded
+         * @param   {String}    action      - the name of the action
+         * @param   {Object}    friendship  - the populated friendship
+         * @ignore
+         */
+        function emitEvent (action, friendship) {
+            fof.emit(fof.events[action], {
+                friendship: friendship,
+                requesterId: friendship.populated('requester') || friendship.requester,
+                requestedId: friendship.populated('requested') || friendship.requested
+            });
+        }
+
+        /**
+         * populate a friendship and emit the event of the action that produced it
+         * @param   {String}    action      - the name of the action
+         * @param   {Function}  done        - required callback, passed the populated friendship
+         * @returns {Function}  callback to be passed the unpopulated friendship
+         * @ignore
+         */
+        function populateAndEmit (action, done) {
+            return function (err, friendship) {
+                if (err) return done(err);
+
+                db.model(pluginOptions.personModelName).populate(friendship, 'requester requested', function (err, populatedFriendship) {
+                    if (err) return done(err);
+
+                    emitEvent(action, populatedFriendship);
+                    done(null, populatedFriendship);
+                });
+            };
+        }
+
+        /**
+         * look up the friendship an action removes, perform the removal, then emit the action's event with the 
+         * friendship that was removed
+         * @param   {String}    action      - the name of the action
+         * @param   {Object}    conditions  - conditions matching the friendship to be removed
+         * @param   {Function}  remove      - performs the removal, passed a callback
+         * @param   {Function}  done        - required callback, passed the result of the removal
+         * @ignore
+         */
+        function removeAndEmit (action, conditions, remove, done) {
+            Friendship.findOne(conditions, function (err, friendship) {
+                if (err) return done(err);
+
+                remove(function (err, result) {
+                    if (err || !friendship) return done(err, result);
+
+                    populateAndEmit(action, function (err) {
+                        done(err, result);
+                    })(null, friendship);
+                });
+            });
+        }
+
+        /**
+         * get the JSON of a person without the fields a viewer with the given relationship may not see
+         * @param   {Document}  person          - the person
+         * @param   {Number}    relationship    - the relationship of the viewer with the person, or `null` for the
+         *                                        person themselves
+         * @returns {Object}
+         * @ignore
+         */
+        function visibleJSON (person, relationship) {
+            var json = person.toJSON(),
+                visibility = pluginOptions.visibility || {};
+
+            if (relationship === null) return json;
+
+            Object.keys(visibility).forEach(function (path) {
+                var minimum = visibility[path];
+
+                if (typeof minimum === 'string') minimum = relationships[minimum];
+
+                if (closeness[relationship] >= closeness[minimum]) return;
+
+                // strip nested paths such as 'contact.email' too
+                var keys = path.split('.'),
+                    parent = json;
+
+                for (var i = 0; parent && i < keys.length - 1; i++) {
+                    parent = parent[keys[i]];
+                }
+
+                if (parent) delete parent[keys[keys.length - 1]];
+            });
+
+            return json;
+        }
+
+        /**
+         * get the params of a page of related people, with the conditions they must match applied before the limit
+         * @param   {Object}    page        - `limit` and `after`
+         * @param   {Object}    conditions  - conditions the people must match
+         * @returns {Object} - `limit`, `after` and `conditions`
+         * @ignore
+         */
+        function pageOfPeople (page, conditions) {
+            return utils.extend(utils.extend({}, page), { conditions: conditions });
+        }
+
+        /**
+         * find the people on a page of ids, keeping the order of the ids
+         * @param   {Object}    page        - the page of ids
+         * @param   {Object}    projection  - the projection of the query
+         * @param   {Object}    options     - the options of the query
+         * @param   {Function}  done        - required callback, passed the page of people
+         * @ignore
+         */
+        function findPeopleOnPage (page, projection, options, done) {
+            var conditions = { _id: { '$in': page.items } };
+
+            db.model(pluginOptions.personModelName).find(conditions, projection, options, function (err, people) {
+                if (err) return done(err);
+
+                var peopleById = {};
+
+                people.forEach(function (person) {
+                    peopleById[person._id] = person;
+                });
+
+                done(null, {
+                    items: page.items.map(function (id) {
+                        return peopleById[id];
+                    }).filter(Boolean),
+                    hasMore: page.hasMore,
+                    nextCursor: page.nextCursor
+                });
+            });
+        }
+
+        /**
+         * find people, or a page of people by `_id` when `page` is given
+         * @param   {Object}    conditions  - conditions the people must match
+         * @param   {Object}    projection  - the projection of the query
+         * @param   {Object}    options     - the options of the query
+         * @param   {Object}    page        - optional `{ limit, after }`
+         * @param   {Function}  done        - required callback, passed the people or the page of people
+         * @ignore
+         */
+        function findPeople (conditions, projection, options, page, done) {
+            var personModel = db.model(pluginOptions.personModelName);
+
+            if (!page) return personModel.find(conditions, projection, options, done);
+
+            try {
+                conditions = paging.conditions(conditions, '_id', page);
+                options = utils.extend(options, paging.options('_id', page));
+            } catch (err) {
+                return done(err);
+            }
+
+            personModel.find(conditions, projection, options, function (err, people) {
+                if (err) return done(err);
+
+                done(null, paging.page(people, '_id', page));
+            });
+        }
+
+        /**
+         * populate the requests of a list or a page
+         * @param   {Array|Object}  requests    - the requests, or the page of requests
+         * @param   {Function}      done        - required callback, passed the populated requests or page
+         * @ignore
+         */
+        function populateRequests (requests, done) {
+            var personModel = db.model(pluginOptions.personModelName);
+
+            if (Array.isArray(requests)) return personModel.populate(requests, 'requester requested', done);
+
+            personModel.populate(requests.items, 'requester requested', function (err) {
+                done(err, requests);
+            });
+        }
+
+        /**
+         * get conditions matching the friendship between two people with the given status, in either direction
+         * @param   {ObjectId}  personId1   - the _id of person 1
+         * @param   {ObjectId}  personId2   - the _id of person 2
+         * @param   {String}    status      - the status of the friendship
+         * @returns {Object}
+         * @ignore
+         */
+        function pairConditions (personId1, personId2, status) {
+            return {
+                '$or': [
+                    { requester: personId1, requested: personId2 },
+                    { requester: personId2, requested: personId1 }
+                ],
+                status: status
+            };
+        }
 
         /**
          *  Functions called on the Person Model itself
@@ -30,6 +293,15 @@ module.exports = function pluginInit (mongoose) {
          *  
          * });
          * ```
+         * 
+         * When the callback is omitted, a Promise is returned instead:
+         * ```javascript
+         * Model.getFriends(Jeff._id).then(function (friends) {
+         *
+         *     console.log('friends', friends);
+         *
+         * });
+         * ```
          *  
          * @class PersonModel
          */
@@ -55,187 +327,302 @@ module.exports = function pluginInit (mongoose) {
         schema.statics.relationships = relationships;
 
         /**
-         * sends a friend request to a another user
+         * sends a friend request to a another user.  if the requested person has already sent a request to the 
+         * requester, that request is accepted instead.  a request that has expired may be sent again.  new requests 
+         * are refused with a machine-readable `code` when they break a request limit, and when the ids are malformed, 
+         * the same or, with `checkPeopleExist`, not those of existing people.
          * @function    PersonModel.friendRequest
          * @param       {ObjectId} requesterId    - the ObjectId of the person sending the request
          * @param       {ObjectId} requested_Id   - the ObjectId of the person to whom the request will be sent
-         * @param       {Function} done           - required callback
+         * @param       {Object}   details        - optional `message`, `source` and `metadata` of the request, the 
+         *                                            `type` of relationship proposed, and values of any `friendshipFields`
+         * @param       {Function} done           - optional callback
+         * @see         [FriendshipModel.checkRequestLimits]{@link FriendshipModel.checkRequestLimits}
+         * @see         [FriendshipModel.validatePair]{@link FriendshipModel.validatePair}
          */
-        schema.statics.friendRequest = function (requesterId, requestedId, done) {
+        schema.statics.friendRequest = promisify(function (requesterId, requestedId, details, done) {
             debug('PersonModel.friendRequest');
 
-            var personModel = mongoose.model(pluginOptions.personModelName);
+            if (typeof details === 'function') {
+                done = details;
+                details = {};
+            }
+
+            var personModel = db.model(pluginOptions.personModelName);
 
             var conditions = { 
                 requester: requesterId, 
                 requested: requestedId 
             };
 
-            // check for existing friendship or request
-            Friendship.findOne(conditions, function (err, friendship) {
-                if (err) {
-                    done(err);
-                } else if (friendship) {
-                    var error = new Error( (friendship.status === 'Pending')
-                        ? 'A pending request already exists'
-                        : 'Requester and requested are already friends'
-                    );
+            var request = utils.extend({}, conditions);
 
-                    personModel.populate(friendship, 'requester requested', function (err, populatedFriendship) {
-                        if (err) return done (err)
+            details = details || {};
 
-                        done(error, populatedFriendship)
-                    })
-                } else {
-                    new Friendship(conditions).save(function (err, pendingFriendship) {
-                        personModel.populate(pendingFriendship, 'requester requested', done);
-                    })
-                }
+            requestFields.forEach(function (field) {
+                if (details[field] !== undefined) request[field] = details[field];
+            });
+
+            // the type proposed, confirmed when the request is accepted
+            try {
+                request = utils.extend(request, Friendship.requestTypes(details.type));
+            } catch (err) {
+                return done(err);
+            }
+
+            Friendship.validatePair(requesterId, requestedId, function (err) {
+                if (err) return done(err);
+
+                runHooks('friendRequest', requesterId, requestedId, checkBlocks);
             });
-        };
+
+            function checkBlocks (err) {
+                if (err) return done(err);
+
+                // blocks stop requests in both directions
+                Friendship.areBlocked(requesterId, requestedId, function (err, blocked) {
+                    if (err) return done(err);
+
+                    if (blocked) return done(new errors.BlockedError());
+
+                    // an expired request between them must make way for the new one
+                    Friendship.expireStaleRequests(pairConditions(requesterId, requestedId, 'Pending'), function (err) {
+                        if (err) return done(err);
+
+                        sendRequest();
+                    });
+                });
+            }
+
+            function sendRequest (retried) {
+                // check for existing friendship or request in either direction
+                Friendship.getFriendship(requesterId, requestedId, function (err, friendship) {
+                    if (err) {
+                        done(err);
+                    } else if (!friendship) {
+                        Friendship.checkRequestLimits(requesterId, requestedId, function (err) {
+                            if (err) return done(err);
+
+                            new Friendship(request).save(function (err, pendingFriendship) {
+                                // a request between the same two people was saved since we checked
+                                if (err && err.code === 11000 && !retried) return sendRequest(true);
+
+                                populateAndEmit('friendRequest', done)(err, pendingFriendship);
+                            })
+                        });
+                    } else if (friendship.status === 'Pending' && friendship.requester.equals(requestedId)) {
+                        // the requested person already asked the requester, so the requests cross and are accepted
+                        personModel.acceptRequest(requestedId, requesterId, done);
+                    } else {
+                        var error = (friendship.status === 'Pending')
+                            ? new errors.RequestExistsError()
+                            : new errors.AlreadyFriendsError();
+
+                        personModel.populate(friendship, 'requester requested', function (err, populatedFriendship) {
+                            if (err) return done (err)
+
+                            done(error, populatedFriendship)
+                        })
+                    }
+                });
+            }
+        });
 
         /**
          *  get all friend requests for a given user
          * @function    PersonModel.getRequests
          * @param       {ObjectId} personId  - the _id of the user
-         * @param       {Function} done       - required callback, passed requests retrieved
+         * @param       {Object}   page      - optional `{ limit, after }`
+         * @param       {Function} done       - optional callback, passed requests retrieved, plus `hasMore` and `nextCursor` when paged
          * @see         [FriendshipModel.getRequests]{@link FriendshipModel.getRequests}
          */
-        schema.statics.getRequests = function (personId, done) {
+        schema.statics.getRequests = promisify(function (personId, page, done) {
             debug('PersonModel.getRequests')
-            var personModel = mongoose.model(pluginOptions.personModelName);
 
-            Friendship.getRequests(personId, function (err, requests) {
+            if (typeof page === 'function') {
+                done = page;
+                page = undefined;
+            }
+
+            var personModel = db.model(pluginOptions.personModelName);
+
+            Friendship.getRequests(personId, page, function (err, requests) {
                 if (err) {
                     done(err)
                 } else {
                     personModel.populate(requests, 'sent.requester sent.requested received.requester received.requested', done);
                 }
             });
-        };
+        });
 
         /**
          *  get requests the given user has sent
          * @function    PersonModel.getSentRequests
          * @param       {ObjectId} personId    - the _id of the user
-         * @param       {Function} done         - required callback, passed sent requests retrieved 
+         * @param       {Object}   page         - optional `{ limit, after }`
+         * @param       {Function} done         - optional callback, passed sent requests retrieved, or a page of them
          * @see         [FriendshipModel.getSentRequests]{@link FriendshipModel.getSentRequests}
          */
-        schema.statics.getSentRequests = function (personId, done) {
+        schema.statics.getSentRequests = promisify(function (personId, page, done) {
             debug('PersonModel.getSentRequests')
 
-            var personModel = mongoose.model(pluginOptions.personModelName);
+            if (typeof page === 'function') {
+                done = page;
+                page = undefined;
+            }
 
-            Friendship.getSentRequests(personId, function (err, sentRequests) {
+            Friendship.getSentRequests(personId, page, function (err, sentRequests) {
                 if (err) {
                     done(err)
                 } else {
-                    personModel.populate(sentRequests, 'requester requested', done);
+                    populateRequests(sentRequests, done);
                 }
             })
-        };
+        });
 
         /**
          *  get requests received by the given user
          * @function    PersonModel.getReceivedRequests
          * @param       {ObjectId} personId - the _id of the user
-         * @param       {Function} done - required callback, passed received requests retrieved
+         * @param       {Object}   page     - optional `{ limit, after }`
+         * @param       {Function} done - optional callback, passed received requests retrieved, or a page of them
          * @see         [FriendshipModel.getReceivedRequests]{@link FriendshipModel.getReceivedRequests}
          */
-        schema.statics.getReceivedRequests = function (personId, done) {
+        schema.statics.getReceivedRequests = promisify(function (personId, page, done) {
             debug('PersonModel.getReceivedRequests')
 
-            var personModel = mongoose.model(pluginOptions.personModelName);
+            if (typeof page === 'function') {
+                done = page;
+                page = undefined;
+            }
 
-            Friendship.getReceivedRequests(personId, function (err, receivedRequests) {
+            Friendship.getReceivedRequests(personId, page, function (err, receivedRequests) {
                 if (err) {
                     done(err);
                 } else {
-                    personModel.populate(receivedRequests, 'requester requested', done);
+                    populateRequests(receivedRequests, done);
                 } 
             });
-        };
+        });
 
         /**
-         *  accept a friend request 
+         *  accept a friend request, confirming the type of relationship it proposed
          * @function    PersonModel.acceptRequest
          * @param       {ObjectId} requesterId  - the _id of the requester of friendship
          * @param       {ObjectId} requestedId  - the _id of the user whose friendship was requested
-         * @param       {Function} done         - required callback, passed the populated friendship
+         * @param       {Function} done         - optional callback, passed the populated friendship
          * @see         [FriendshipModel.acceptRequest]{@link FriendshipModel.acceptRequest}
          */
-        schema.statics.acceptRequest = function (requesterId, requestedId, done) {
+        schema.statics.acceptRequest = promisify(function (requesterId, requestedId, done) {
             debug('PersonModel.acceptRequest')
 
-            var personModel = mongoose.model(pluginOptions.personModelName);
+            runHooks('acceptRequest', requesterId, requestedId, function (err) {
+                if (err) return done(err);
 
-            Friendship.acceptRequest(requesterId, requestedId, function (err, friendship) {
-                if (err) {
-                    done(err);
-                } else {
-                    personModel.populate(friendship, 'requester requested', done);
-                }
+                Friendship.acceptRequest(requesterId, requestedId, populateAndEmit('acceptRequest', done));
             });
-        };
+        });
 
         /**
          *  cancel a friend request
          * @function    PersonModel.cancelRequest
          * @param       {ObjectId} requesterId  - the _id of the requester of friendship
          * @param       {ObjectId} requestedId  - the _id of the user whose friendship was requested
-         * @param       {Function} done         - required callback, passed the denied friendship
+         * @param       {Function} done         - optional callback, passed the denied friendship
          * @see         [FriendshipModel.cancelRequest]{@link FriendshipModel.cancelRequest}
          */
-        schema.statics.cancelRequest = function (requesterId, requestedId, done) {
-             Friendship.cancelRequest(requesterId, requestedId, done);
-        };
+        schema.statics.cancelRequest = promisify(function (requesterId, requestedId, done) {
+            debug('PersonModel.cancelRequest');
+
+            runHooks('cancelRequest', requesterId, requestedId, function (err) {
+                if (err) return done(err);
+
+                removeAndEmit('cancelRequest', pairConditions(requesterId, requestedId, 'Pending'), function (next) {
+                    Friendship.cancelRequest(requesterId, requestedId, next);
+                }, done);
+            });
+        });
 
         /**
          *  deny a friend request
          * @function    PersonModel.denyRequest
          * @param       {ObjectId} requesterId  - the _id of the requester of friendship
          * @param       {ObjectId} requestedId  - the _id of the user whose friendship was requested
-         * @param       {Function} done         - required callback, passed the denied friendship
+         * @param       {Function} done         - optional callback, passed the denied friendship
          * @see         [FriendshipModel.denyRequest]{@link FriendshipModel.denyRequest}
          */
-        schema.statics.denyRequest = function (requesterId, requestedId, done) {
-             Friendship.denyRequest(requesterId, requestedId, done);
-        };
+        schema.statics.denyRequest = promisify(function (requesterId, requestedId, done) {
+            debug('PersonModel.denyRequest');
+
+            runHooks('denyRequest', requesterId, requestedId, function (err) {
+                if (err) return done(err);
+
+                removeAndEmit('denyRequest', pairConditions(requesterId, requestedId, 'Pending'), function (next) {
+                    Friendship.denyRequest(requesterId, requestedId, next);
+                }, done);
+            });
+        });
 
         /**
-         * end a friendship between two persons
+         * end a friendship between two persons, removing each from the other's lists of friends
          * @function    PersonModel.endFriendship
          * @param       {ObjectId}   personId1 - the _id of person 1
          * @param       {ObjectId}   personId2 - the _id of person 2
-         * @param       {Function} done       - required callback
+         * @param       {Function} done       - optional callback
          * @see         [FriendshipModel.endFriendship]{@link FriendshipModel.endFriendship}
          */
-        schema.statics.endFriendship = function (personId1, personId2, done) {
-            var conditions = { 
-                '$or': [
-                    { requester: personId1, requested: personId2 },
-                    { requester: personId2, requested: personId1 }
-                ],
-                status: 'Accepted'
-            };
+        schema.statics.endFriendship = promisify(function (personId1, personId2, done) {
+            debug('PersonModel.endFriendship');
+
+            runHooks('endFriendship', personId1, personId2, function (err) {
+                if (err) return done(err);
+
+                removeAndEmit('endFriendship', pairConditions(personId1, personId2, 'Accepted'), function (next) {
+                    Friendship.endFriendship(personId1, personId2, function (err, result) {
+                        if (err) return next(err);
+
+                        // they are no longer friends, so they leave each other's lists
+                        FriendList.removeFromLists(personId1, personId2, function (err) {
+                            next(err, result);
+                        });
+                    });
+                }, done);
+            });
+        });
 
-            Friendship.remove(conditions, done)
-        };
+        /**
+         * set a person's `friends` array from their accepted friendships
+         * @function    PersonModel.resyncFriends
+         * @param       {ObjectId}   personId  - the _id of the person
+         * @param       {Function}   done      - optional callback, passed the array of friendIds that was set
+         * @see         [FriendshipModel.resyncFriends]{@link FriendshipModel.resyncFriends}
+         */
+        schema.statics.resyncFriends = promisify(function (personId, done) {
+            debug('PersonModel.resyncFriends');
+
+            Friendship.resyncFriends(personId, done);
+        });
 
         /**
          *  get a perons's friends
          * @function    PersonModel.getFriends
          * @param       {ObjectId}  personId       - the _id of the person
          * @param       {Object}    findParams     - optional mongoose `Model.find()` parameters. @see [Model.find](http://mongoosejs.com/docs/api.html#model_Model.find)
-         * @param       {Function}  done            - required callback, passed an array of friends
+         *                                              plus an optional `page` of `{ limit, after }`, the name of a 
+         *                                              `list` to get only the friends in and the `type` of friends to 
+         *                                              get.  `conditions` and `list` apply before a page is limited.
+         * @param       {Function}  done            - optional callback, passed an array of friends, or a page of them
          * @see         [FriendshipModel.getFriends]{@link FriendshipModel.getFriends}
          */
-        schema.statics.getFriends = function (personId, findParams, done) {
+        schema.statics.getFriends = promisify(function (personId, findParams, done) {
             debug('PersonModel.getFriends')
 
              if (typeof findParams === 'function') {
                 done = findParams;
-            }
+                findParams = undefined;
+             }
+
+            findParams = findParams || {};
 
             var conditions = utils.extend({}, findParams.conditions);
 
@@ -245,17 +632,47 @@ module.exports = function pluginInit (mongoose) {
 
             var options = utils.extend({}, findParams.options);
 
-            var personModel = mongoose.model(pluginOptions.personModelName);
+            var personModel = db.model(pluginOptions.personModelName);
+
+            if (!findParams.list) return findFriends();
+
+            FriendList.getList(personId, findParams.list, function (err, list) {
+                if (err) return done(err);
+
+                findFriends(list);
+            });
+
+            function findFriends (list) {
+                var findFriendIds = (findParams.type === undefined)
+                    ? Friendship.getFriends.bind(Friendship, personId)
+                    : Friendship.getFriendsOfType.bind(Friendship, personId, findParams.type);
+
+                var page = findParams.page && pageOfPeople(findParams.page, list
+                    ? { '$and': [ conditions, { _id: { '$in': list.members } } ] }
+                    : conditions);
+
+                findFriendIds(page, function (err, friendIds) {
+                    if (err) return done(err);
+
+                    if (page) return findPeopleOnPage(friendIds, projection, options, done);
+
+                    if (list) {
+                        friendIds = inList(friendIds, list);
+                    }
 
-            Friendship.getFriends(personId, function (err, friendIds) {
-                if (err) {
-                    done(err);
-                } else {
                     conditions._id = { '$in': friendIds };
                     personModel.find(conditions, projection, options, done);
-                }
-            });
-        };
+                });
+            }
+
+            function inList (friendIds, list) {
+                return friendIds.filter(function (friendId) {
+                    return list.members.some(function (memberId) {
+                        return memberId.equals(friendId);
+                    });
+                });
+            }
+        });
 
         /**
          *  get a person's friends-of-friends.  friends-of-friends are non-friends with whom this person has at least one mutual friend.
@@ -263,16 +680,20 @@ module.exports = function pluginInit (mongoose) {
          * @function    PersonModel.getFriendsOfFriends
          * @param       {ObjectId}  personId       - the _id of the person
          * @param       {Object}    findParams     - optional mongoose find params. @see [Model.find](http://mongoosejs.com/docs/api.html#model_Model.find)
-         * @param       {Function}  done            - required callback, passed an array of friendsOfFriends
+         *                                              plus an optional `page` of `{ limit, after }`
+         * @param       {Function}  done            - optional callback, passed an array of friendsOfFriends, or a page of them
          * @see         [FriendshipModel.getFriendsOfFriends]{@link FriendshipModel.getFriendsOfFriends}
          */
-        schema.statics.getFriendsOfFriends = function (personId, findParams, done) {
+        schema.statics.getFriendsOfFriends = promisify(function (personId, findParams, done) {
             debug('PersonModel.getFriendsOfFriends')
 
             if (typeof findParams === 'function') {
                 done = findParams;
+                findParams = undefined;
             }
 
+            findParams = findParams || {};
+
             var conditions = utils.extend({}, findParams.conditions);
             
             var projection = (typeof findParams.projection === 'string') 
@@ -281,7 +702,15 @@ module.exports = function pluginInit (mongoose) {
 
             var options = utils.extend({}, findParams.options);
 
-            var personModel = mongoose.model(pluginOptions.personModelName);
+            var personModel = db.model(pluginOptions.personModelName);
+
+            if (findParams.page) {
+                return Friendship.getFriendsOfFriends(personId, pageOfPeople(findParams.page, conditions), function (err, page) {
+                    if (err) return done(err);
+
+                    findPeopleOnPage(page, projection, options, done);
+                });
+            }
 
             // get the specified user's friendsOfFriends
             Friendship.getFriendsOfFriends(personId, function (err, friendIdsOfFriends) {
@@ -292,7 +721,7 @@ module.exports = function pluginInit (mongoose) {
                     personModel.find(conditions, projection, options, done);
                 }
             });
-        };
+        });
 
         /**
          *  get a person's pending friends
@@ -300,16 +729,20 @@ module.exports = function pluginInit (mongoose) {
          * @function    PersonModel.getPendingFriends
          * @param       {ObjectId}  personId       - the _id of the person
          * @param       {Object}    findParams     - optional mongoose find params. @see [Model.find](http://mongoosejs.com/docs/api.html#model_Model.find)
-         * @param       {Function}  done            - required callback, passed an array of friendsOfFriends
+         *                                              plus an optional `page` of `{ limit, after }`
+         * @param       {Function}  done            - optional callback, passed an array of pending friends, or a page of them
          * @see         [FriendshipModel.getPendingFriends]{@link FriendshipModel.getPendingFriends}
          */
-        schema.statics.getPendingFriends = function (personId, findParams, done) {
+        schema.statics.getPendingFriends = promisify(function (personId, findParams, done) {
             debug('PersonModel.getFriendsOfFriends')
 
             if (typeof findParams === 'function') {
                 done = findParams;
+                findParams = undefined;
             }
 
+            findParams = findParams || {};
+
             var conditions = utils.extend({}, findParams.conditions);
             
             var projection = (typeof findParams.projection === 'string') 
@@ -318,33 +751,41 @@ module.exports = function pluginInit (mongoose) {
 
             var options = utils.extend({}, findParams.options);
 
-            var personModel = mongoose.model(pluginOptions.personModelName);
+            var personModel = db.model(pluginOptions.personModelName);
 
-            Friendship.getPendingFriends(personId, function (err, pendingFriendIds) {
+            var page = findParams.page && pageOfPeople(findParams.page, conditions);
+
+            Friendship.getPendingFriends(personId, page, function (err, pendingFriendIds) {
                 if (err) {
                     done(err);
+                } else if (page) {
+                    findPeopleOnPage(pendingFriendIds, projection, options, done);
                 } else {
                     conditions._id = { '$in': pendingFriendIds };
                     personModel.find(conditions, projection, options, done);
                 }
             })
-        }
+        });
 
         /**
          * get all users that are not the given user's friends
          * @function    PersonModel.getNonFriends
          * @param       {ObjectId}  personId   - the _id of the user 
          * @param       {Object}    findParams - optional mongoose find params. @see [Model.find](http://mongoosejs.com/docs/api.html#model_Model.find)
-         * @param       {Function}  done        - required callback
+         *                                          plus an optional `page` of `{ limit, after }`
+         * @param       {Function}  done        - optional callback, passed an array of non-friends, or a page of them
          * @see         [FriendshipModel.getNonFriends]{@link FriendshipModel.getNonFriends}
          */
-        schema.statics.getNonFriends = function (personId, findParams, done) {
+        schema.statics.getNonFriends = promisify(function (personId, findParams, done) {
             debug('PersonModel.getNonFriends');
 
             if (typeof findParams === 'function') {
                 done = findParams;
+                findParams = undefined;
             }
 
+            findParams = findParams || {};
+
             var conditions = utils.extend({}, findParams.conditions);
             
             var projection = (typeof findParams.projection === 'string') 
@@ -353,119 +794,665 @@ module.exports = function pluginInit (mongoose) {
 
             var options = utils.extend({}, findParams.options);
 
-            var personModel = mongoose.model(pluginOptions.personModelName);
+            Friendship.getFriendsAndFriendsOfFriends(personId, function (err, ids) {
+                if (err) return done(err);
 
-            async.parallel({
-                friends: function (complete) {
-                    Friendship.getFriends(personId, complete);
-                },
-                friendsOfFriends: function (complete) {
-                    Friendship.getFriendsOfFriends(personId, complete);
-                }
-            }, function (err, results) {
+                debug('friendIds of ' + personId, ids.friends)
+                debug('blocked ids of ' + personId, ids.blocked)
 
-                debug('friendIds of ' + personId, results.friendIds)
-                debug('friendIds of ' + personId + '\'s friends', results.friendIdsOfFriends)
                 conditions._id = { 
                     '$ne' : personId,
-                    '$nin': results.friends
+                    '$nin': ids.friends.concat(ids.blocked)
                 };
 
-                personModel.find(conditions, projection, options, done);
-          
+                findPeople(conditions, projection, options, findParams.page, done);
             });
-        }; 
+        }); 
+
+        /**
+         *  count the friends of a person without loading them
+         * @function    PersonModel.getFriendCount
+         * @param       {ObjectId} personId     - the _id of the person
+         * @param       {Function} done         - optional callback, passed the number of friends
+         * @see         [FriendshipModel.getFriendCount]{@link FriendshipModel.getFriendCount}
+         */
+        schema.statics.getFriendCount = promisify(function (personId, done) {
+            debug('PersonModel.getFriendCount')
+
+            Friendship.getFriendCount(personId, done);
+        });
 
         /**
          *  determine if personId1 and personId2 are friends
          * @function    PersonModel.areFriends
          * @param       {ObjectId} personId1   - the _id of person1
          * @param       {ObjectId} personId2   - the _id of person2
-         * @param       {Function} done         - required callback, passed a boolean determination
+         * @param       {Function} done         - optional callback, passed a boolean determination
          * @see         [FriendshipModel.areFriends]{@link FriendshipModel.areFriends}
          */
-        schema.statics.areFriends = function (personId1, personId2, done) {
+        schema.statics.areFriends = promisify(function (personId1, personId2, done) {
              Friendship.areFriends(personId1, personId2, done);
-        };
+        });
 
         /**
          *  determine if personId1 and personId2 have any common friends
          * @function    PersonModel.areFriendsOfFriends
          * @param       {ObjectId} personId1   - the _id of person1
          * @param       {ObjectId} personId2   - the _id of person2
-         * @param       {Function} done         - required callback, passed a boolean determination
+         * @param       {Function} done         - optional callback, passed a boolean determination
          * @see         [FriendshipModel.areFriendsOfFriends]{@link FriendshipModel.areFriendsOfFriends}
          */
-        schema.statics.areFriendsOfFriends = function (personId1, personId2, done) {
+        schema.statics.areFriendsOfFriends = promisify(function (personId1, personId2, done) {
              Friendship.areFriendsOfFriends(personId1, personId2, done);
-        };
+        });
 
         /**
-         *  determine if personId1 and personId2 have a pending friendship 
-         * @param  {ObjectId}   personId1 - the _id of person 1
-         * @param  {ObjectId}   personId2 - the _id of person 2
-         * @param  {Function} done       - required callback, passed an error or null and a boolean determination
+         *  get the friends two people have in common
+         * @function    PersonModel.getMutualFriends
+         * @param       {ObjectId}  personId1      - the _id of person1
+         * @param       {ObjectId}  personId2      - the _id of person2
+         * @param       {Object}    findParams     - optional mongoose find params. @see [Model.find](http://mongoosejs.com/docs/api.html#model_Model.find)
+         *                                              plus an optional `page` of `{ limit, after }`
+         * @param       {Function}  done            - optional callback, passed an array of mutual friends, or a page of them
+         * @see         [FriendshipModel.getMutualFriends]{@link FriendshipModel.getMutualFriends}
          */
-        schema.statics.arePendingFriends = function (personId1, personId2, done) {
-            debug('PersonModel.arePendingFriends')
-            Friendship.arePendingFriends(personId1, personId2, done);
-        };
+        schema.statics.getMutualFriends = promisify(function (personId1, personId2, findParams, done) {
+            debug('PersonModel.getMutualFriends')
 
-        /**
-         *  get the friendship document itself
-         * @function    PersonModel.getFriendship
-         * @param       {ObjectId} personId1   - the _id of person1
-         * @param       {ObjectId} personId2   - the _id of person2
-         * @param       {Function} done         - required callback, passed err and a Friendship document, if found
-         * @see         [FriendshipModel.getFriendship]{@link FriendshipModel.getFriendship}
-         */
-        schema.statics.getFriendship = function (personId1, personId2, done) {
-            debug('PersonModel.getFriendship')
+            if (typeof findParams === 'function') {
+                done = findParams;
+                findParams = undefined;
+            }
 
-            var personModel = mongoose.model(pluginOptions.personModelName);
+            findParams = findParams || {};
 
-            Friendship.getFriendship(personId1, personId2, function (err, friendship) {
-                personModel.populate(friendship, 'requester requested', done);
+            var conditions = utils.extend({}, findParams.conditions);
+            
+            var projection = (typeof findParams.projection === 'string') 
+                ? findParams.projection
+                : utils.extend({}, findParams.projection)
+
+            var options = utils.extend({}, findParams.options);
+
+            var personModel = db.model(pluginOptions.personModelName);
+
+            if (findParams.page) {
+                return Friendship.getMutualFriends(personId1, personId2, pageOfPeople(findParams.page, conditions), function (err, page) {
+                    if (err) return done(err);
+
+                    findPeopleOnPage(page, projection, options, done);
+                });
+            }
+
+            Friendship.getMutualFriends(personId1, personId2, function (err, mutualFriendIds) {
+                if (err) {
+                    done(err);
+                } else {
+                    conditions._id = { '$in': mutualFriendIds };
+                    personModel.find(conditions, projection, options, done);
+                }
             });
-        };
+        });
 
         /**
-         *  get the numeric relationship between two users
-         * @function    PersonModel.getRelationship
+         *  count the friends two people have in common
+         * @function    PersonModel.getMutualFriendCount
          * @param       {ObjectId} personId1   - the _id of person1
          * @param       {ObjectId} personId2   - the _id of person2
-         * @param       {Function} done         - required callback, passed err and a Relationship value
-         * @see         [FriendshipModel.getRelationship]{@link FriendshipModel.getRelationship}
+         * @param       {Function} done         - optional callback, passed the number of mutual friends
+         * @see         [FriendshipModel.getMutualFriendCount]{@link FriendshipModel.getMutualFriendCount}
          */
-        schema.statics.getRelationship = function (personId1, personId2, done) {
-            debug('PersonModel.getRelationship');
+        schema.statics.getMutualFriendCount = promisify(function (personId1, personId2, done) {
+            debug('PersonModel.getMutualFriendCount')
 
-            Friendship.getRelationship(personId1, personId2, done);
-        };
+            Friendship.getMutualFriendCount(personId1, personId2, done);
+        });
 
         /**
-         * check to see if the given user is the requester in a given friendship
-         * @function    PersonModel.isRequester
-         * @param       {ObjectId}   friendshipId - the _id of the friendship document
-         * @param       {ObjectId}   personId    - the _id of the person
-         * @param       {Function}   done         - required callback
+         *  suggest friends-of-friends a person may know, best first
+         * @function    PersonModel.getSuggestions
+         * @param       {ObjectId} personId     - the _id of the person
+         * @param       {Object}   params       - optional `limit` and `algorithm`. @see [FriendshipModel.getSuggestions]{@link FriendshipModel.getSuggestions}
+         * @param       {Function} done         - optional callback, passed an array of suggestions, each with the 
+         *                                        suggested `person`, its `score` and the `mutualFriends` explaining it
+         * @see         [FriendshipModel.getSuggestions]{@link FriendshipModel.getSuggestions}
          */
-        schema.statics.isRequester = function (friendshipId, personId, done) {
-            debug('PersonModel.isRequester');
-            Friendship.isRequester(friendshipId, personId, done);
-        };
+        schema.statics.getSuggestions = promisify(function (personId, params, done) {
+            debug('PersonModel.getSuggestions')
+
+            if (typeof params === 'function') {
+                done = params;
+                params = undefined;
+            }
+
+            params = params || {};
+
+            var personModel = db.model(pluginOptions.personModelName);
+
+            Friendship.getSuggestions(personId, params, function (err, suggestions) {
+                if (err) return done(err);
+
+                var ids = [];
+
+                suggestions.forEach(function (suggestion) {
+                    ids = ids.concat(suggestion._id, suggestion.mutualFriends);
+                });
+
+                personModel.find({ _id: { '$in': ids } }, function (err, people) {
+                    if (err) return done(err);
+
+                    var peopleById = {};
+
+                    people.forEach(function (person) {
+                        peopleById[person._id] = person;
+                    });
+
+                    done(null, suggestions.filter(function (suggestion) {
+                        return peopleById[suggestion._id];
+                    }).map(function (suggestion) {
+                        return {
+                            person: peopleById[suggestion._id],
+                            score: suggestion.score,
+                            mutualFriends: suggestion.mutualFriends.map(function (friendId) {
+                                return peopleById[friendId];
+                            }).filter(Boolean)
+                        };
+                    }));
+                });
+            });
+        });
+
+        /**
+         *  determine if personId1 and personId2 have a pending friendship 
+         * @param  {ObjectId}   personId1 - the _id of person 1
+         * @param  {ObjectId}   personId2 - the _id of person 2
+         * @param  {Function} done       - optional callback, passed an error or null and a boolean determination
+         */
+        schema.statics.arePendingFriends = promisify(function (personId1, personId2, done) {
+            debug('PersonModel.arePendingFriends')
+            Friendship.arePendingFriends(personId1, personId2, done);
+        });
+
+        /**
+         *  get the friendship document itself
+         * @function    PersonModel.getFriendship
+         * @param       {ObjectId} personId1   - the _id of person1
+         * @param       {ObjectId} personId2   - the _id of person2
+         * @param       {Function} done         - optional callback, passed err and a Friendship document, if found
+         * @see         [FriendshipModel.getFriendship]{@link FriendshipModel.getFriendship}
+         */
+        schema.statics.getFriendship = promisify(function (personId1, personId2, done) {
+            debug('PersonModel.getFriendship')
+
+            var personModel = db.model(pluginOptions.personModelName);
+
+            Friendship.getFriendship(personId1, personId2, function (err, friendship) {
+                if (err) return done(err);
+
+                personModel.populate(friendship, 'requester requested', done);
+            });
+        });
+
+        /**
+         *  get every request, friendship, block and follow there has been between two people, oldest first
+         * @function    PersonModel.getFriendshipHistory
+         * @param       {ObjectId} personId1   - the _id of person1
+         * @param       {ObjectId} personId2   - the _id of person2
+         * @param       {Function} done         - optional callback, passed an array of populated friendships
+         * @see         [FriendshipModel.getFriendshipHistory]{@link FriendshipModel.getFriendshipHistory}
+         */
+        schema.statics.getFriendshipHistory = promisify(function (personId1, personId2, done) {
+            debug('PersonModel.getFriendshipHistory')
+
+            var personModel = db.model(pluginOptions.personModelName);
+
+            Friendship.getFriendshipHistory(personId1, personId2, function (err, friendships) {
+                if (err) return done(err);
+
+                personModel.populate(friendships, 'requester requested', done);
+            });
+        });
+
+        /**
+         *  get the numeric relationship between two users
+         * @function    PersonModel.getRelationship
+         * @param       {ObjectId} personId1   - the _id of person1
+         * @param       {ObjectId} personId2   - the _id of person2
+         * @param       {Function} done         - optional callback, passed err and a Relationship value
+         * @see         [FriendshipModel.getRelationship]{@link FriendshipModel.getRelationship}
+         */
+        schema.statics.getRelationship = promisify(function (personId1, personId2, done) {
+            debug('PersonModel.getRelationship');
+
+            Friendship.getRelationship(personId1, personId2, done);
+        });
+
+        /**
+         *  get the numeric relationship of a person with each of many people in a few queries, e.g. to render a list 
+         *  of people
+         * @function    PersonModel.getRelationships
+         * @param       {ObjectId} viewerId     - the _id of the viewing person
+         * @param       {Array}    personIds    - the _ids of the other people
+         * @param       {Function} done         - optional callback, passed an object mapping each of `personIds` to a 
+         *                                        Relationship value
+         * @see         [FriendshipModel.getRelationships]{@link FriendshipModel.getRelationships}
+         */
+        schema.statics.getRelationships = promisify(function (viewerId, personIds, done) {
+            debug('PersonModel.getRelationships');
+
+            Friendship.getRelationships(viewerId, personIds, done);
+        });
+
+        /**
+         *  set the `relationship` property of each of the given people to their relationship with the viewing person. 
+         *  the property is not part of the schema, so it is not saved, nor included by `toObject` or `toJSON`; use 
+         *  lean queries to send it to clients.
+         * @function    PersonModel.annotateRelationships
+         * @param       {ObjectId} viewerId     - the _id of the viewing person
+         * @param       {Array}    people       - Person documents or plain objects with an `_id`
+         * @param       {Function} done         - optional callback, passed the annotated people
+         * @see         [PersonModel.getRelationships]{@link PersonModel.getRelationships}
+         */
+        schema.statics.annotateRelationships = promisify(function (viewerId, people, done) {
+            debug('PersonModel.annotateRelationships');
+
+            var personIds = people.map(function (person) {
+                return person._id;
+            });
+
+            Friendship.getRelationships(viewerId, personIds, function (err, relationshipsById) {
+                if (err) return done(err);
+
+                people.forEach(function (person) {
+                    person.relationship = relationshipsById[person._id];
+                });
+
+                done(null, people);
+            });
+        });
+
+        /**
+         *  find people and get their JSON without the fields the viewer may not see according to the `visibility`
+         *  option.  a person sees all their own fields.
+         * @function    PersonModel.findVisible
+         * @param       {ObjectId} viewerId     - the _id of the viewing person
+         * @param       {Object}   conditions   - optional conditions the people must match
+         * @param       {Function} done         - optional callback, passed an array of JSON objects
+         * @see         [PersonModel.getRelationships]{@link PersonModel.getRelationships}
+         */
+        schema.statics.findVisible = promisify(function (viewerId, conditions, done) {
+            debug('PersonModel.findVisible');
+
+            if (typeof conditions === 'function') {
+                done = conditions;
+                conditions = undefined;
+            }
+
+            conditions = conditions || {};
+
+            var personModel = db.model(pluginOptions.personModelName);
+
+            personModel.find(conditions, function (err, people) {
+                if (err) return done(err);
+
+                var personIds = people.map(function (person) {
+                    return person._id;
+                });
+
+                Friendship.getRelationships(viewerId, personIds, function (err, relationshipsById) {
+                    if (err) return done(err);
+
+                    done(null, people.map(function (person) {
+                        var self = person._id.equals(viewerId);
+
+                        return visibleJSON(person, self ? null : relationshipsById[person._id]);
+                    }));
+                });
+            });
+        });
+
+        /**
+         *  get the shortest chain of people connecting two people through their friendships
+         * @function    PersonModel.getShortestPath
+         * @param       {ObjectId} personId1        - the _id of person1
+         * @param       {ObjectId} personId2        - the _id of person2
+         * @param       {Object}   options          - optional
+         * @param       {Number}   options.maxDepth - the maximum number of friendships to traverse
+         * @param       {Function} done             - optional callback, passed an array of people from person1 to person2, or `null` if they are not connected
+         * @see         [FriendshipModel.getShortestPath]{@link FriendshipModel.getShortestPath}
+         */
+        schema.statics.getShortestPath = promisify(function (personId1, personId2, options, done) {
+            debug('PersonModel.getShortestPath');
+
+            if (typeof options === 'function') {
+                done = options;
+                options = undefined;
+            }
+
+            options = options || {};
+
+            var personModel = db.model(pluginOptions.personModelName);
+
+            Friendship.getShortestPath(personId1, personId2, options, function (err, path) {
+                if (err) return done(err);
+
+                if (!path) return done(null, null);
+
+                personModel.find({ _id: { '$in': path } }, function (err, people) {
+                    if (err) return done(err);
+
+                    var peopleById = {};
+
+                    people.forEach(function (person) {
+                        peopleById[person._id] = person;
+                    });
+
+                    // keep the order of the path
+                    done(null, path.map(function (personId) {
+                        return peopleById[personId];
+                    }));
+                });
+            });
+        });
+
+        /**
+         *  get the number of friendships separating two people
+         * @function    PersonModel.getDegreeOfSeparation
+         * @param       {ObjectId} personId1        - the _id of person1
+         * @param       {ObjectId} personId2        - the _id of person2
+         * @param       {Object}   options          - optional
+         * @param       {Number}   options.maxDepth - the maximum number of friendships to traverse
+         * @param       {Function} done             - optional callback, passed the degree of separation, or `null` if they are not connected
+         * @see         [FriendshipModel.getDegreeOfSeparation]{@link FriendshipModel.getDegreeOfSeparation}
+         */
+        schema.statics.getDegreeOfSeparation = promisify(function (personId1, personId2, options, done) {
+            debug('PersonModel.getDegreeOfSeparation');
+
+            Friendship.getDegreeOfSeparation(personId1, personId2, options, done);
+        });
+
+        /**
+         *  block a person.  any friendship, pending request or follow between them is removed, as are they from each 
+         *  other's lists of friends, and neither may send the other a friend request until the block is removed.  a 
+         *  friendship or request closed by the block runs the `endFriendship` or `cancelRequest` hooks and emits their
+         *  events, as if it had been ended or cancelled first.
+         * @function    PersonModel.block
+         * @param       {ObjectId} blockerId    - the _id of the person doing the blocking
+         * @param       {ObjectId} blockedId    - the _id of the person being blocked
+         * @param       {Function} done         - optional callback, passed the populated block
+         * @see         [FriendshipModel.block]{@link FriendshipModel.block}
+         */
+        schema.statics.block = promisify(function (blockerId, blockedId, done) {
+            debug('PersonModel.block');
+
+            var closing = { Accepted: 'endFriendship', Pending: 'cancelRequest' };
+
+            runHooks('block', blockerId, blockedId, function (err) {
+                if (err) return done(err);
+
+                Friendship.find(pairConditions(blockerId, blockedId, { '$in': Object.keys(closing) }), function (err, closed) {
+                    if (err) return done(err);
+
+                    (function runNext (index) {
+                        if (index < closed.length) {
+                            var friendship = closed[index];
+
+                            return runHooks(closing[friendship.status], friendship.requester, friendship.requested, function (err) {
+                                if (err) return done(err);
+
+                                runNext(index + 1);
+                            });
+                        }
+
+                        // populate what the block closes while it still exists, then emit once it is closed
+                        db.model(pluginOptions.personModelName).populate(closed, 'requester requested', function (err) {
+                            if (err) return done(err);
+
+                            Friendship.block(blockerId, blockedId, function (err, block) {
+                                if (err) return done(err);
+
+                                FriendList.removeFromLists(blockerId, blockedId, function (err) {
+                                    if (err) return done(err);
+
+                                    closed.forEach(function (friendship) {
+                                        emitEvent(closing[friendship.status], friendship);
+                                    });
+
+                                    populateAndEmit('block', done)(null, block);
+                                });
+                            });
+                        });
+                    })(0);
+                });
+            });
+        });
+
+        /**
+         *  unblock a person
+         * @function    PersonModel.unblock
+         * @param       {ObjectId} blockerId    - the _id of the person that did the blocking
+         * @param       {ObjectId} blockedId    - the _id of the blocked person
+         * @param       {Function} done         - optional callback
+         * @see         [FriendshipModel.unblock]{@link FriendshipModel.unblock}
+         */
+        schema.statics.unblock = promisify(function (blockerId, blockedId, done) {
+            debug('PersonModel.unblock');
+
+            var conditions = { requester: blockerId, requested: blockedId, status: 'Blocked' };
+
+            runHooks('unblock', blockerId, blockedId, function (err) {
+                if (err) return done(err);
+
+                removeAndEmit('unblock', conditions, function (next) {
+                    Friendship.unblock(blockerId, blockedId, next);
+                }, done);
+            });
+        });
+
+        /**
+         *  get the people a person has blocked
+         * @function    PersonModel.getBlocked
+         * @param       {ObjectId}  personId       - the _id of the person
+         * @param       {Object}    findParams     - optional mongoose find params. @see [Model.find](http://mongoosejs.com/docs/api.html#model_Model.find)
+         * @param       {Function}  done           - optional callback, passed an array of blocked people
+         * @see         [FriendshipModel.getBlocked]{@link FriendshipModel.getBlocked}
+         */
+        schema.statics.getBlocked = promisify(function (personId, findParams, done) {
+            debug('PersonModel.getBlocked');
+
+            if (typeof findParams === 'function') {
+                done = findParams;
+                findParams = undefined;
+            }
+
+            findParams = findParams || {};
+
+            var conditions = utils.extend({}, findParams.conditions);
+            
+            var projection = (typeof findParams.projection === 'string') 
+                ? findParams.projection
+                : utils.extend({}, findParams.projection)
+
+            var options = utils.extend({}, findParams.options);
+
+            var personModel = db.model(pluginOptions.personModelName);
+
+            Friendship.getBlocked(personId, function (err, blockedIds) {
+                if (err) {
+                    done(err);
+                } else {
+                    conditions._id = { '$in': blockedIds };
+                    personModel.find(conditions, projection, options, done);
+                }
+            });
+        });
+
+        /**
+         *  determine if blockerId has blocked blockedId
+         * @function    PersonModel.isBlocked
+         * @param       {ObjectId} blockerId    - the _id of the person that may have blocked
+         * @param       {ObjectId} blockedId    - the _id of the person that may be blocked
+         * @param       {Function} done         - optional callback, passed a boolean determination
+         * @see         [FriendshipModel.isBlocked]{@link FriendshipModel.isBlocked}
+         */
+        schema.statics.isBlocked = promisify(function (blockerId, blockedId, done) {
+            debug('PersonModel.isBlocked');
+
+            Friendship.isBlocked(blockerId, blockedId, done);
+        });
+
+        /**
+         * check to see if the given user is the requester in a given friendship
+         * @function    PersonModel.isRequester
+         * @param       {ObjectId}   friendshipId - the _id of the friendship document
+         * @param       {ObjectId}   personId    - the _id of the person
+         * @param       {Function}   done         - optional callback
+         */
+        schema.statics.isRequester = promisify(function (friendshipId, personId, done) {
+            debug('PersonModel.isRequester');
+            Friendship.isRequester(friendshipId, personId, done);
+        });
 
         /**
          * check to see if the given user is the requested in a given friendship
          * @function    PersonModel.isRequested
          * @param       {ObjectId}   friendshipId - the _id of the friendship document
          * @param       {ObjectId}   personId    - the _id of the person
-         * @param       {Function}   done         - required callback
+         * @param       {Function}   done         - optional callback
          */
-        schema.statics.isRequested = function (friendshipId, personId, done) {
+        schema.statics.isRequested = promisify(function (friendshipId, personId, done) {
             debug('PersonModel.isRequested');
             Friendship.isRequested(friendshipId, personId, done);
-        };
+        });
+
+        /**
+         *  propose to change the type of a friendship.  the friend must confirm the change before it applies.
+         * @function    PersonModel.requestTypeChange
+         * @param       {ObjectId} personId     - the _id of the person proposing the change
+         * @param       {ObjectId} friendId     - the _id of the friend
+         * @param       {String}   type         - the type proposed, i.e. what the friend would be to the person
+         * @param       {Function} done         - optional callback, passed the friendship
+         * @see         [FriendshipModel.requestTypeChange]{@link FriendshipModel.requestTypeChange}
+         */
+        schema.statics.requestTypeChange = promisify(function (personId, friendId, type, done) {
+            debug('PersonModel.requestTypeChange');
+
+            Friendship.requestTypeChange(personId, friendId, type, done);
+        });
+
+        /**
+         *  confirm the change of type a friend proposed
+         * @function    PersonModel.confirmTypeChange
+         * @param       {ObjectId} personId     - the _id of the person confirming the change
+         * @param       {ObjectId} friendId     - the _id of the friend who proposed it
+         * @param       {Function} done         - optional callback, passed the friendship
+         * @see         [FriendshipModel.confirmTypeChange]{@link FriendshipModel.confirmTypeChange}
+         */
+        schema.statics.confirmTypeChange = promisify(function (personId, friendId, done) {
+            debug('PersonModel.confirmTypeChange');
+
+            Friendship.confirmTypeChange(personId, friendId, done);
+        });
+
+        /**
+         *  deny the change of type a friend proposed
+         * @function    PersonModel.denyTypeChange
+         * @param       {ObjectId} personId     - the _id of the person denying the change
+         * @param       {ObjectId} friendId     - the _id of the friend who proposed it
+         * @param       {Function} done         - optional callback, passed the friendship
+         * @see         [FriendshipModel.denyTypeChange]{@link FriendshipModel.denyTypeChange}
+         */
+        schema.statics.denyTypeChange = promisify(function (personId, friendId, done) {
+            debug('PersonModel.denyTypeChange');
+
+            Friendship.denyTypeChange(personId, friendId, done);
+        });
+
+        /**
+         *  create a named list to sort a person's friends into, such as "Close Friends" or "Family"
+         * @function    PersonModel.createList
+         * @param       {ObjectId} personId     - the _id of the person
+         * @param       {String}   name         - the name of the list
+         * @param       {Function} done         - optional callback, passed the list created
+         * @see         [FriendListModel.createList]{@link FriendListModel.createList}
+         */
+        schema.statics.createList = promisify(function (personId, name, done) {
+            debug('PersonModel.createList');
+
+            FriendList.createList(personId, name, done);
+        });
+
+        /**
+         *  rename one of a person's lists of friends
+         * @function    PersonModel.renameList
+         * @param       {ObjectId} personId     - the _id of the person
+         * @param       {String}   name         - the name of the list
+         * @param       {String}   newName      - the new name of the list
+         * @param       {Function} done         - optional callback, passed the renamed list
+         * @see         [FriendListModel.renameList]{@link FriendListModel.renameList}
+         */
+        schema.statics.renameList = promisify(function (personId, name, newName, done) {
+            debug('PersonModel.renameList');
+
+            FriendList.renameList(personId, name, newName, done);
+        });
+
+        /**
+         *  delete one of a person's lists of friends
+         * @function    PersonModel.deleteList
+         * @param       {ObjectId} personId     - the _id of the person
+         * @param       {String}   name         - the name of the list
+         * @param       {Function} done         - optional callback, passed the deleted list
+         * @see         [FriendListModel.deleteList]{@link FriendListModel.deleteList}
+         */
+        schema.statics.deleteList = promisify(function (personId, name, done) {
+            debug('PersonModel.deleteList');
+
+            FriendList.deleteList(personId, name, done);
+        });
+
+        /**
+         *  get a person's lists of friends
+         * @function    PersonModel.getLists
+         * @param       {ObjectId} personId     - the _id of the person
+         * @param       {Function} done         - optional callback, passed an array of lists
+         * @see         [FriendListModel.getLists]{@link FriendListModel.getLists}
+         */
+        schema.statics.getLists = promisify(function (personId, done) {
+            debug('PersonModel.getLists');
+
+            FriendList.getLists(personId, done);
+        });
+
+        /**
+         *  add a friend to one of a person's lists.  only accepted friends may be added.
+         * @function    PersonModel.addToList
+         * @param       {ObjectId} personId     - the _id of the person
+         * @param       {String}   name         - the name of the list
+         * @param       {ObjectId} friendId     - the _id of the friend
+         * @param       {Function} done         - optional callback, passed the list
+         * @see         [FriendListModel.addToList]{@link FriendListModel.addToList}
+         */
+        schema.statics.addToList = promisify(function (personId, name, friendId, done) {
+            debug('PersonModel.addToList');
+
+            FriendList.addToList(personId, name, friendId, done);
+        });
+
+        /**
+         *  remove a friend from one of a person's lists
+         * @function    PersonModel.removeFromList
+         * @param       {ObjectId} personId     - the _id of the person
+         * @param       {String}   name         - the name of the list
+         * @param       {ObjectId} friendId     - the _id of the friend
+         * @param       {Function} done         - optional callback, passed the list
+         * @see         [FriendListModel.removeFromList]{@link FriendListModel.removeFromList}
+         */
+        schema.statics.removeFromList = promisify(function (personId, name, friendId, done) {
+            debug('PersonModel.removeFromList');
+
+            FriendList.removeFromList(personId, name, friendId, done);
+        });
 
         /**
          *  Document-accessible properties and methods
@@ -487,219 +1474,1131 @@ module.exports = function pluginInit (mongoose) {
          *  send a request to another person
          * @function    PersonDocument.friendRequest
          * @param       {ObjectId} requestedId  - the _id of the person to whom the request will be sent
-         * @param       {Function} done         - required callback, passed the populated request sent 
+         * @param       {Object}   details      - optional `message`, `source` and `metadata` of the request
+         * @param       {Function} done         - optional callback, passed the populated request sent 
          * @see         [PersonModel.friendRequest]{@link PersonModel.friendRequest}
          */
-        schema.methods.friendRequest = function (requestedId, done) {
+        schema.methods.friendRequest = function (requestedId, details, done) {
             debug('PersonDocument.friendRequest')
-            this.constructor.friendRequest(this._id, requestedId, done);
+            return this.constructor.friendRequest(this._id, requestedId, details, done);
         };
 
         /**
          *  get friend requests
          * @function    PersonDocument.getRequests
-         * @param       {Function} done - required callback, passed the populated requests retrieved
+         * @param       {Object}   page - optional `{ limit, after }`
+         * @param       {Function} done - optional callback, passed the populated requests retrieved, or a page of them
          * @see         [PersonModel.getRequests]{@link PersonModel.getRequests}
          */
-        schema.methods.getRequests = function (done) {
+        schema.methods.getRequests = function (page, done) {
             debug('PersonDocument.getRequests');
-            this.constructor.getRequests(this._id, done);
+            return this.constructor.getRequests(this._id, page, done);
         };
 
         /**
          * get friend requests the user has sent
          * @function    PersonDocument.getSentRequests
-         * @param       {Function} done - required callback, passed the populated requests retrieved
+         * @param       {Object}   page - optional `{ limit, after }`
+         * @param       {Function} done - optional callback, passed the populated requests retrieved, or a page of them
          * @see         [PersonModel.getSentRequests]{@link PersonModel.getSentRequests}
          */
-        schema.methods.getSentRequests = function (done) {
+        schema.methods.getSentRequests = function (page, done) {
             debug('PersonDocument.getSentRequests');
-            this.constructor.getSentRequests(this._id, done);
+            return this.constructor.getSentRequests(this._id, page, done);
         };
 
         /**
          *  get friend requests the user has received
          * @function    PersonDocument.getReceivedRequests
-         * @param       {Function} done - required callback, passed the populated requests retrieved
+         * @param       {Object}   page - optional `{ limit, after }`
+         * @param       {Function} done - optional callback, passed the populated requests retrieved, or a page of them
          * @see         [PersonModel.getReceivedRequests]{@link PersonModel.getReceivedRequests}
          */
-        schema.methods.getReceivedRequests = function (done) {
+        schema.methods.getReceivedRequests = function (page, done) {
             debug('PersonDocument.getReceivedRequests');
-            this.constructor.getReceivedRequests(this._id, done);
+            return this.constructor.getReceivedRequests(this._id, page, done);
         };
 
         /**
          *  accept a friend request received from the specified user
          * @function    PersonDocument.acceptRequest
          * @param       {ObjectId} requesterId  - the _id of the person from whom the request was received
-         * @param       {Function} done         - required callback, passed the populated request that was accepted
+         * @param       {Function} done         - optional callback, passed the populated request that was accepted
          * @see         [PersonModel.acceptRequest]{@link PersonModel.acceptRequest}
          */
         schema.methods.acceptRequest = function (requesterId, done) {
             debug('PersonDocument.acceptRequest');
-            this.constructor.acceptRequest(requesterId, this._id, done);
+            return this.constructor.acceptRequest(requesterId, this._id, done);
         };
 
         /**
          *  cancel a friend request sent to the specified user
          * @function    PersonDocument.cancelRequest
          * @param       {ObjectId} requestedId  - the _id of the person to whom the request was sent
-         * @param       {Function} done         - required callback, passed the populated request that was denied
+         * @param       {Function} done         - optional callback, passed the populated request that was denied
          * @see         [PersonModel.cancelRequest]{@link PersonModel.cancelRequest}
          */
         schema.methods.cancelRequest = function (requestedId, done) {
             debug('PersonDocument.cancelRequest');
-            this.constructor.cancelRequest(this._id, requestedId, done);
+            return this.constructor.cancelRequest(this._id, requestedId, done);
         };
 
         /**
          *  deny a friend request received from the specified user
          * @function    PersonDocument.denyRequest
          * @param       {ObjectId} requesterId  - the _id of the person from whom the request was received
-         * @param       {Function} done         - required callback, passed the populated request that was denied
+         * @param       {Function} done         - optional callback, passed the populated request that was denied
          * @see         [PersonModel.denyRequest]{@link PersonModel.denyRequest}
          */
         schema.methods.denyRequest = function (requesterId, done) {
             debug('PersonDocument.denyRequest');
-            this.constructor.denyRequest(requesterId, this._id, done);
+            return this.constructor.denyRequest(requesterId, this._id, done);
         };
 
         /**
          * end a friendship with the specified user
          * @param   {ObjectId}   personId - the _id of the person 
-         * @param   {Function}   done      - required callback
+         * @param   {Function}   done      - optional callback
          * @see     [PersonModel.endFriendship]{@link PersonModel.endFriendship}
          */
         schema.methods.endFriendship = function (personId, done) {
             debug('PersonDocument.endFriendship');
-            this.constructor.endFriendship(this._id, personId, done);
+            return this.constructor.endFriendship(this._id, personId, done);
+        };
+
+        /**
+         * set this document's `friends` array from its accepted friendships
+         * @function    PersonDocument.resyncFriends
+         * @param       {Function}   done - optional callback, passed the array of friendIds that was set
+         * @see         [PersonModel.resyncFriends]{@link PersonModel.resyncFriends}
+         */
+        schema.methods.resyncFriends = function (done) {
+            debug('PersonDocument.resyncFriends');
+            return this.constructor.resyncFriends(this._id, done);
         };
 
         /**
          *  get this document's friends
          * @function    PersonDocument.getFriends
-         * @param       {Function} done - required callback, passed an array of friends
+         * @param       {Function} done - optional callback, passed an array of friends
          * @see         [PersonModel.getFriends]{@link PersonModel.getFriends}
          */
         schema.methods.getFriends = function (findParams, done) {
             debug('PersonDocument.getFriends');
-            this.constructor.getFriends(this._id, findParams, done);
+            return this.constructor.getFriends(this._id, findParams, done);
+        };
+
+        /**
+         *  count this document's friends
+         * @function    PersonDocument.getFriendCount
+         * @param       {Function} done - optional callback, passed the number of friends
+         * @see         [PersonModel.getFriendCount]{@link PersonModel.getFriendCount}
+         */
+        schema.methods.getFriendCount = function (done) {
+            debug('PersonDocument.getFriendCount');
+            return this.constructor.getFriendCount(this._id, done);
         };
 
         /**
          *  get friends of this document's friends
          * @function    PersonDocument.getFriendsOfFriends
-         * @param       {Function} done - required callback, passed an array of friendsOfFriends
+         * @param       {Function} done - optional callback, passed an array of friendsOfFriends
          * @see         [PersonModel.getFriendsOfFriends]{@link PersonModel.getFriendsOfFriends}
          */
         schema.methods.getFriendsOfFriends = function (findParams, done) {
             debug('PersonDocument.getFriendsOfFriends');
-            this.constructor.getFriendsOfFriends(this._id, findParams, done);
+            return this.constructor.getFriendsOfFriends(this._id, findParams, done);
         };
 
         /**
          *  get this person's pending friends
          * @function    PersonDocument.getPendingFriends
          * @param       {ObjectId} personId    - the _id of the person
-         * @param       {Function} done         - required callback, passed an array of friendsOfFriends
+         * @param       {Function} done         - optional callback, passed an array of friendsOfFriends
          * @see         [PersonModel.getPendingFriends]{@link PersonModel.getPendingFriends}
          */
         schema.methods.getPendingFriends = function (findParams, done) {
             debug('PersonDocument.getPendingFriends');
-            this.constructor.getPendingFriends(this._id, findParams, done);
+            return this.constructor.getPendingFriends(this._id, findParams, done);
         };
 
         /**
          *  get persons which are not this document's friends
          * @function    PersonDocument.getNonFriends
-         * @param       {Function} done - required callback, passed an array of friendsOfFriends
+         * @param       {Function} done - optional callback, passed an array of friendsOfFriends
          * @see         [PersonModel.getNonFriends]{@link PersonModel.getNonFriends}
          */
         schema.methods.getNonFriends = function (findParams, done) {
             debug('PersonDocument.getNonFriends');
-            this.constructor.getNonFriends(this._id, findParams, done);
+            return this.constructor.getNonFriends(this._id, findParams, done);
         };
 
         /**
          *  determine if this document is friends with the specified person
          * @function    PersonDocument.isFriend
          * @param       {ObjectId} personId    - the _id of the user to check for friendship
-         * @param       {Function} done         - required callback, passed a boolean determination
+         * @param       {Function} done         - optional callback, passed a boolean determination
          * @see         [PersonModel.isFriend]{@link PersonModel.isFriend}
          */
         schema.methods.isFriend = function (personId, done) {
             debug('PersonDocument.isFriend');
-            this.constructor.areFriends(this._id, personId, done);
+            return this.constructor.areFriends(this._id, personId, done);
         };
 
         /**
          *  determine if this document shares any friends with the specified person
          * @function    PersonDocument.isFriendOfFriends
          * @param       {ObjectId} personId    - the _id of the user to check for friendship
-         * @param       {Function} done         - required callback, passed a boolean determination
+         * @param       {Function} done         - optional callback, passed a boolean determination
          * @see         [PersonModel.isFriendOfFriends]{@link PersonModel.isFriendOfFriends}
          */
         schema.methods.isFriendOfFriends = function (personId, done) {
             debug('PersonDocument.isFriendOfFriends');
-            this.constructor.areFriendsOfFriends(this._id, personId, done);
+            return this.constructor.areFriendsOfFriends(this._id, personId, done);
+        };
+
+        /**
+         *  get the friends this document has in common with the specified person
+         * @function    PersonDocument.getMutualFriends
+         * @param       {ObjectId} personId    - the _id of the person
+         * @param       {Object}   findParams  - optional mongoose find params
+         * @param       {Function} done         - optional callback, passed an array of mutual friends
+         * @see         [PersonModel.getMutualFriends]{@link PersonModel.getMutualFriends}
+         */
+        schema.methods.getMutualFriends = function (personId, findParams, done) {
+            debug('PersonDocument.getMutualFriends');
+            return this.constructor.getMutualFriends(this._id, personId, findParams, done);
+        };
+
+        /**
+         *  count the friends this document has in common with the specified person
+         * @function    PersonDocument.getMutualFriendCount
+         * @param       {ObjectId} personId    - the _id of the person
+         * @param       {Function} done         - optional callback, passed the number of mutual friends
+         * @see         [PersonModel.getMutualFriendCount]{@link PersonModel.getMutualFriendCount}
+         */
+        schema.methods.getMutualFriendCount = function (personId, done) {
+            debug('PersonDocument.getMutualFriendCount');
+            return this.constructor.getMutualFriendCount(this._id, personId, done);
+        };
+
+        /**
+         *  suggest friends-of-friends this document may know, best first
+         * @function    PersonDocument.getSuggestions
+         * @param       {Object}   params       - optional `limit` and `algorithm`
+         * @param       {Function} done         - optional callback, passed an array of suggestions
+         * @see         [PersonModel.getSuggestions]{@link PersonModel.getSuggestions}
+         */
+        schema.methods.getSuggestions = function (params, done) {
+            debug('PersonDocument.getSuggestions');
+            return this.constructor.getSuggestions(this._id, params, done);
         };
 
         /**
          * determine if this document has a pending friendship with the specified person
          * @param  {ObjectId}   personId - the _id of the person
-         * @param  {Function} done      - required callback, passed a boolean determination
+         * @param  {Function} done      - optional callback, passed a boolean determination
          */
         schema.methods.isPendingFriend = function (personId, done) {
             debug('PersonDocument.isPendingFriend');
-            this.constructor.arePendingFriends(this._id, personId, done);
+            return this.constructor.arePendingFriends(this._id, personId, done);
         };
 
         /**
          *  get the friendship document of this document and the specified person
          * @function    PersonDocument.getFriendship
          * @param       {ObjectId} personId    - the _id of the friend
-         * @param       {Function} done         - required callback, passed the populated friendship
+         * @param       {Function} done         - optional callback, passed the populated friendship
          * @see         [AccofuntModel.getFriendship]{@link PersonModel.getFriendship}
          */
         schema.methods.getFriendship = function (personId, done) {
             debug('PersonDocument.getFriendship');
-            this.constructor.getFriendship(this._id, personId, done);
+            return this.constructor.getFriendship(this._id, personId, done);
+        };
+
+        /**
+         *  get the history of this document and the specified person
+         * @function    PersonDocument.getFriendshipHistory
+         * @param       {ObjectId} personId    - the _id of the person
+         * @param       {Function} done         - optional callback, passed an array of populated friendships
+         * @see         [PersonModel.getFriendshipHistory]{@link PersonModel.getFriendshipHistory}
+         */
+        schema.methods.getFriendshipHistory = function (personId, done) {
+            debug('PersonDocument.getFriendshipHistory');
+            return this.constructor.getFriendshipHistory(this._id, personId, done);
         };
 
         /**
          *  get the relationship of this document and the specified person
          * @function    PersonDocument.getRelationship
          * @param       {ObjectId} personId    - the _id of the friend
-         * @param       {Function} done         - required callback, passed the relationship value
+         * @param       {Function} done         - optional callback, passed the relationship value
          * @see         [PersonModel.getRelationship]{@link PersonModel.getRelationship}
          */
         schema.methods.getRelationship = function (personId, done) {
             debug('PersonDocument.getRelationship');
-            this.constructor.getRelationship(this._id, personId, done);
+            return this.constructor.getRelationship(this._id, personId, done);
+        };
+
+        /**
+         *  get the relationship of this document with each of the specified people
+         * @function    PersonDocument.getRelationships
+         * @param       {Array}    personIds    - the _ids of the people
+         * @param       {Function} done         - optional callback, passed an object mapping each id to a relationship value
+         * @see         [PersonModel.getRelationships]{@link PersonModel.getRelationships}
+         */
+        schema.methods.getRelationships = function (personIds, done) {
+            debug('PersonDocument.getRelationships');
+            return this.constructor.getRelationships(this._id, personIds, done);
+        };
+
+        /**
+         *  set the `relationship` property of each of the given people to their relationship with this document
+         * @function    PersonDocument.annotateRelationships
+         * @param       {Array}    people       - Person documents or plain objects with an `_id`
+         * @param       {Function} done         - optional callback, passed the annotated people
+         * @see         [PersonModel.annotateRelationships]{@link PersonModel.annotateRelationships}
+         */
+        schema.methods.annotateRelationships = function (people, done) {
+            debug('PersonDocument.annotateRelationships');
+            return this.constructor.annotateRelationships(this._id, people, done);
+        };
+
+        /**
+         *  get the JSON of this document without the fields the viewer may not see according to the `visibility`
+         *  option
+         * @function    PersonDocument.toJSONFor
+         * @param       {ObjectId} viewerId     - the _id of the viewing person
+         * @param       {Function} done         - optional callback, passed the JSON object
+         * @see         [PersonModel.findVisible]{@link PersonModel.findVisible}
+         */
+        schema.methods.toJSONFor = promisify(function (viewerId, done) {
+            debug('PersonDocument.toJSONFor');
+
+            var person = this;
+
+            if (person._id.equals(viewerId)) return done(null, visibleJSON(person, null));
+
+            this.constructor.getRelationship(viewerId, person._id, function (err, relationship) {
+                if (err) return done(err);
+
+                done(null, visibleJSON(person, relationship));
+            });
+        });
+
+        /**
+         *  get the shortest chain of people connecting this document and the specified person
+         * @function    PersonDocument.getShortestPath
+         * @param       {ObjectId} personId     - the _id of the person
+         * @param       {Object}   options      - optional
+         * @param       {Function} done         - optional callback, passed an array of people
+         * @see         [PersonModel.getShortestPath]{@link PersonModel.getShortestPath}
+         */
+        schema.methods.getShortestPath = function (personId, options, done) {
+            debug('PersonDocument.getShortestPath');
+            return this.constructor.getShortestPath(this._id, personId, options, done);
+        };
+
+        /**
+         *  get the number of friendships separating this document and the specified person
+         * @function    PersonDocument.getDegreeOfSeparation
+         * @param       {ObjectId} personId     - the _id of the person
+         * @param       {Object}   options      - optional
+         * @param       {Function} done         - optional callback, passed the degree of separation
+         * @see         [PersonModel.getDegreeOfSeparation]{@link PersonModel.getDegreeOfSeparation}
+         */
+        schema.methods.getDegreeOfSeparation = function (personId, options, done) {
+            debug('PersonDocument.getDegreeOfSeparation');
+            return this.constructor.getDegreeOfSeparation(this._id, personId, options, done);
+        };
+
+        /**
+         *  block the specified person
+         * @function    PersonDocument.block
+         * @param       {ObjectId} personId     - the _id of the person to block
+         * @param       {Function} done         - optional callback, passed the populated block
+         * @see         [PersonModel.block]{@link PersonModel.block}
+         */
+        schema.methods.block = function (personId, done) {
+            debug('PersonDocument.block');
+            return this.constructor.block(this._id, personId, done);
+        };
+
+        /**
+         *  unblock the specified person
+         * @function    PersonDocument.unblock
+         * @param       {ObjectId} personId     - the _id of the person to unblock
+         * @param       {Function} done         - optional callback
+         * @see         [PersonModel.unblock]{@link PersonModel.unblock}
+         */
+        schema.methods.unblock = function (personId, done) {
+            debug('PersonDocument.unblock');
+            return this.constructor.unblock(this._id, personId, done);
+        };
+
+        /**
+         *  get the people this document has blocked
+         * @function    PersonDocument.getBlocked
+         * @param       {Object}   findParams   - optional mongoose find params
+         * @param       {Function} done         - optional callback, passed an array of blocked people
+         * @see         [PersonModel.getBlocked]{@link PersonModel.getBlocked}
+         */
+        schema.methods.getBlocked = function (findParams, done) {
+            debug('PersonDocument.getBlocked');
+            return this.constructor.getBlocked(this._id, findParams, done);
+        };
+
+        /**
+         *  determine if this document has blocked the specified person
+         * @function    PersonDocument.isBlocked
+         * @param       {ObjectId} personId     - the _id of the person
+         * @param       {Function} done         - optional callback, passed a boolean determination
+         * @see         [PersonModel.isBlocked]{@link PersonModel.isBlocked}
+         */
+        schema.methods.isBlocked = function (personId, done) {
+            debug('PersonDocument.isBlocked');
+            return this.constructor.isBlocked(this._id, personId, done);
         };
 
         /**
          * check to see if the given user is the requester in this relationship
          * @function    PersonDocument.isRequester
          * @param       {ObjectId} personId - the _id of the person
-         * @param       {Function} done      - required callback
+         * @param       {Function} done      - optional callback
          * @see         [PersonModel.isRequester]{@link PersonModel.isRequester}
          */
         schema.methods.isRequester = function (friendshipId, done) {
             debug('PersonDocument.isRequester');
-            this.constructor.isRequester(friendshipId, this._id, done);
+            return this.constructor.isRequester(friendshipId, this._id, done);
         };
 
         /**
          * check to see if the given user is the requested in this relationship
          * @function    PersonDocument.isRequested
          * @param       {ObjectId} personId - the _id of the person
-         * @param       {Function} done      - required callback
+         * @param       {Function} done      - optional callback
          * @see         [PersonModel.isRequested]{@link PersonModel.isRequested}
          */
         schema.methods.isRequested = function (friendshipId, done) {
             debug('PersonDocument.isRequested');
-            this.constructor.isRequested(friendshipId, this._id, done);
+            return this.constructor.isRequested(friendshipId, this._id, done);
+        }
+
+        /**
+         *  propose to change the type of this document's friendship with the specified friend
+         * @function    PersonDocument.requestTypeChange
+         * @param       {ObjectId} friendId - the _id of the friend
+         * @param       {String}   type     - the type proposed, i.e. what the friend would be to this document
+         * @param       {Function} done     - optional callback, passed the friendship
+         * @see         [PersonModel.requestTypeChange]{@link PersonModel.requestTypeChange}
+         */
+        schema.methods.requestTypeChange = function (friendId, type, done) {
+            debug('PersonDocument.requestTypeChange');
+            return this.constructor.requestTypeChange(this._id, friendId, type, done);
+        };
+
+        /**
+         *  confirm the change of type the specified friend proposed
+         * @function    PersonDocument.confirmTypeChange
+         * @param       {ObjectId} friendId - the _id of the friend who proposed it
+         * @param       {Function} done     - optional callback, passed the friendship
+         * @see         [PersonModel.confirmTypeChange]{@link PersonModel.confirmTypeChange}
+         */
+        schema.methods.confirmTypeChange = function (friendId, done) {
+            debug('PersonDocument.confirmTypeChange');
+            return this.constructor.confirmTypeChange(this._id, friendId, done);
+        };
+
+        /**
+         *  deny the change of type the specified friend proposed
+         * @function    PersonDocument.denyTypeChange
+         * @param       {ObjectId} friendId - the _id of the friend who proposed it
+         * @param       {Function} done     - optional callback, passed the friendship
+         * @see         [PersonModel.denyTypeChange]{@link PersonModel.denyTypeChange}
+         */
+        schema.methods.denyTypeChange = function (friendId, done) {
+            debug('PersonDocument.denyTypeChange');
+            return this.constructor.denyTypeChange(this._id, friendId, done);
+        };
+
+        /**
+         *  create a named list to sort this document's friends into
+         * @function    PersonDocument.createList
+         * @param       {String}   name - the name of the list
+         * @param       {Function} done - optional callback, passed the list created
+         * @see         [PersonModel.createList]{@link PersonModel.createList}
+         */
+        schema.methods.createList = function (name, done) {
+            debug('PersonDocument.createList');
+            return this.constructor.createList(this._id, name, done);
+        };
+
+        /**
+         *  rename one of this document's lists of friends
+         * @function    PersonDocument.renameList
+         * @param       {String}   name     - the name of the list
+         * @param       {String}   newName  - the new name of the list
+         * @param       {Function} done     - optional callback, passed the renamed list
+         * @see         [PersonModel.renameList]{@link PersonModel.renameList}
+         */
+        schema.methods.renameList = function (name, newName, done) {
+            debug('PersonDocument.renameList');
+            return this.constructor.renameList(this._id, name, newName, done);
+        };
+
+        /**
+         *  delete one of this document's lists of friends
+         * @function    PersonDocument.deleteList
+         * @param       {String}   name - the name of the list
+         * @param       {Function} done - optional callback, passed the deleted list
+         * @see         [PersonModel.deleteList]{@link PersonModel.deleteList}
+         */
+        schema.methods.deleteList = function (name, done) {
+            debug('PersonDocument.deleteList');
+            return this.constructor.deleteList(this._id, name, done);
+        };
+
+        /**
+         *  get this document's lists of friends
+         * @function    PersonDocument.getLists
+         * @param       {Function} done - optional callback, passed an array of lists
+         * @see         [PersonModel.getLists]{@link PersonModel.getLists}
+         */
+        schema.methods.getLists = function (done) {
+            debug('PersonDocument.getLists');
+            return this.constructor.getLists(this._id, done);
+        };
+
+        /**
+         *  add a friend to one of this document's lists
+         * @function    PersonDocument.addToList
+         * @param       {String}   name     - the name of the list
+         * @param       {ObjectId} friendId - the _id of the friend
+         * @param       {Function} done     - optional callback, passed the list
+         * @see         [PersonModel.addToList]{@link PersonModel.addToList}
+         */
+        schema.methods.addToList = function (name, friendId, done) {
+            debug('PersonDocument.addToList');
+            return this.constructor.addToList(this._id, name, friendId, done);
+        };
+
+        /**
+         *  remove a friend from one of this document's lists
+         * @function    PersonDocument.removeFromList
+         * @param       {String}   name     - the name of the list
+         * @param       {ObjectId} friendId - the _id of the friend
+         * @param       {Function} done     - optional callback, passed the list
+         * @see         [PersonModel.removeFromList]{@link PersonModel.removeFromList}
+         */
+        schema.methods.removeFromList = function (name, friendId, done) {
+            debug('PersonDocument.removeFromList');
+            return this.constructor.removeFromList(this._id, name, friendId, done);
+        };
+
+        /**
+         *  Query helpers scoping any query of people to part of a person's social graph
+         *
+         * The ids of the scope are looked up when the query is executed, then combined with the rest of the query, so
+         * the query may still be chained, populated, made `lean` or streamed with `cursor`.
+         *
+         * example:
+         * ```javascript
+         * Person.find({ age: { '$gt': 18 } }).friendsOf(Jeff._id).sort('username').lean().exec(function (err, friends) {
+         *
+         *     console.log('friends', friends);
+         *
+         * });
+         * ```
+         *
+         * @class PersonQuery
+         */
+
+        // get the conditions of each scope of the graph, passed the _id of the person
+        var graphScopes = {
+            friendsOf: function (personId, done) {
+                Friendship.getFriends(personId, function (err, friendIds) {
+                    done(err, { _id: { '$in': friendIds } });
+                });
+            },
+            friendsOfFriendsOf: function (personId, done) {
+                Friendship.getFriendsOfFriends(personId, function (err, friendIdsOfFriends) {
+                    done(err, { _id: { '$in': friendIdsOfFriends } });
+                });
+            },
+            pendingFriendsOf: function (personId, done) {
+                Friendship.getPendingFriends(personId, function (err, pendingFriendIds) {
+                    done(err, { _id: { '$in': pendingFriendIds } });
+                });
+            },
+            nonFriendsOf: function (personId, done) {
+                Friendship.getFriendsAndFriendsOfFriends(personId, function (err, ids) {
+                    if (err) return done(err);
+
+                    done(null, { _id: { '$ne': personId, '$nin': ids.friends.concat(ids.blocked) } });
+                });
+            }
+        };
+
+        /**
+         * add a scope of the graph to a query, to be looked up when it is executed
+         * @param   {Query}     query       - the query
+         * @param   {String}    scope       - the name of the scope
+         * @param   {ObjectId}  personId    - the _id of the person
+         * @returns {Query} - the query, for chaining
+         * @ignore
+         */
+        function addGraphScope (query, scope, personId) {
+            query._graphScopes = (query._graphScopes || []).concat({ scope: scope, personId: personId });
+
+            return query;
+        }
+
+        /**
+         *  scope a query to a person's friends
+         * @function    PersonQuery.friendsOf
+         * @param       {ObjectId} personId     - the _id of the person
+         * @returns     {Query}
+         * @see         [FriendshipModel.getFriends]{@link FriendshipModel.getFriends}
+         */
+        schema.query.friendsOf = function (personId) {
+            return addGraphScope(this, 'friendsOf', personId);
+        };
+
+        /**
+         *  scope a query to a person's friends-of-friends
+         * @function    PersonQuery.friendsOfFriendsOf
+         * @param       {ObjectId} personId     - the _id of the person
+         * @returns     {Query}
+         * @see         [FriendshipModel.getFriendsOfFriends]{@link FriendshipModel.getFriendsOfFriends}
+         */
+        schema.query.friendsOfFriendsOf = function (personId) {
+            return addGraphScope(this, 'friendsOfFriendsOf', personId);
+        };
+
+        /**
+         *  scope a query to a person's pending friends
+         * @function    PersonQuery.pendingFriendsOf
+         * @param       {ObjectId} personId     - the _id of the person
+         * @returns     {Query}
+         * @see         [FriendshipModel.getPendingFriends]{@link FriendshipModel.getPendingFriends}
+         */
+        schema.query.pendingFriendsOf = function (personId) {
+            return addGraphScope(this, 'pendingFriendsOf', personId);
+        };
+
+        /**
+         *  scope a query to the people who are neither a person, nor their friends, nor blocked by or blocking them
+         * @function    PersonQuery.nonFriendsOf
+         * @param       {ObjectId} personId     - the _id of the person
+         * @returns     {Query}
+         * @see         [PersonModel.getNonFriends]{@link PersonModel.getNonFriends}
+         */
+        schema.query.nonFriendsOf = function (personId) {
+            return addGraphScope(this, 'nonFriendsOf', personId);
+        };
+
+        /**
+         * look up the scopes of a query and add their conditions to it.  each scope is looked up once, even if the query
+         * is executed again.
+         * @param   {Query}     query   - the query
+         * @param   {Function}  done    - required callback
+         * @ignore
+         */
+        function lookUpScopes (query, done) {
+            var scopes = query._graphScopes || [];
+
+            delete query._graphScopes;
+
+            (function lookUpNext (index) {
+                if (index === scopes.length) return done();
+
+                graphScopes[scopes[index].scope](scopes[index].personId, function (err, conditions) {
+                    if (err) return done(err);
+
+                    query.and([ conditions ]);
+                    lookUpNext(index + 1);
+                });
+            })(0);
+        }
+
+        // look up the scopes of a query before it runs.  `cursor()` runs the pre find hooks too.
+        [ 'count', 'find', 'findOne', 'findOneAndRemove', 'findOneAndUpdate', 'update', 'updateOne', 'updateMany', 'replaceOne' ]
+            .forEach(function (op) {
+                schema.pre(op, function (next) {
+                    lookUpScopes(this, next);
+                });
+            });
+
+        /**
+         * the callback of a query op, which mongoose 4 executes as soon as it is given one, as `exec()` does
+         * @param   {Array}     args    - the arguments of the op
+         * @returns {Function|undefined} - the callback, if any
+         * @ignore
+         */
+        function opCallback (args) {
+            return args.filter(function (arg) {
+                return typeof arg === 'function';
+            })[0];
+        }
+
+        // mongoose 4 runs no middleware for `distinct`, so it looks up the scopes itself.  `remove`, `deleteOne` and
+        // `deleteMany` look them up while deleting people, below.
+        schema.query.distinct = function () {
+            var query = this,
+                args = Array.prototype.slice.call(arguments),
+                callback = opCallback(args);
+
+            if (!callback || !query._graphScopes) return mongoose.Query.prototype.distinct.apply(query, args);
+
+            lookUpScopes(query, function (err) {
+                if (err) return callback(err);
+
+                mongoose.Query.prototype.distinct.apply(query, args);
+            });
+
+            return query;
+        };
+
+        /**
+         * find the friendships that end when people are deleted
+         * @param   {Array}     personIds   - the _ids of the people
+         * @param   {Function}  done        - required callback, passed the friendships
+         * @ignore
+         */
+        function findEndingFriendships (personIds, done) {
+            if (!personIds.length) return done(null, []);
+
+            var conditions = {
+                '$or': [
+                    { requester: { '$in': personIds } },
+                    { requested: { '$in': personIds } }
+                ],
+                status: 'Accepted'
+            };
+
+            Friendship.find(conditions, done);
+        }
+
+        /**
+         * run the `endFriendship` hooks of each friendship that ends when people are deleted, any of which may veto
+         * the deletion
+         * @param   {Array}     personIds   - the _ids of the people
+         * @param   {Array}     friendships - the friendships that end
+         * @param   {Function}  done        - required callback, passed the veto, if any
+         * @ignore
+         */
+        function runRemovalHooks (personIds, friendships, done) {
+            var deleted = {};
+
+            personIds.forEach(function (personId) {
+                deleted[personId] = true;
+            });
+
+            (function runNext (index) {
+                if (index === friendships.length) return done();
+
+                var friendship = friendships[index],
+                    personId = deleted[friendship.requester] ? friendship.requester : friendship.requested,
+                    friendId = (personId === friendship.requester) ? friendship.requested : friendship.requester;
+
+                runHooks('endFriendship', personId, friendId, function (err) {
+                    if (err) return done(err);
+
+                    runNext(index + 1);
+                });
+            })(0);
+        }
+
+        /**
+         * before people are deleted, run the `endFriendship` hooks of each of their friendships, any of which may veto
+         * the deletion, then populate the friendships while the people still exist
+         * @param   {Array}     personIds   - the _ids of the people
+         * @param   {Function}  done        - required callback, passed the removal to complete once deleted
+         * @ignore
+         */
+        function prepareRemoval (personIds, done) {
+            findEndingFriendships(personIds, function (err, friendships) {
+                if (err) return done(err);
+
+                runRemovalHooks(personIds, friendships, function (err) {
+                    if (err) return done(err);
+
+                    populateRemoval(personIds, friendships, done);
+                });
+            });
+        }
+
+        /**
+         * populate the friendships that end when people are deleted, while the people still exist
+         * @param   {Array}     personIds   - the _ids of the people
+         * @param   {Array}     friendships - the friendships that end
+         * @param   {Function}  done        - required callback, passed the removal to complete once deleted
+         * @ignore
+         */
+        function populateRemoval (personIds, friendships, done) {
+            db.model(pluginOptions.personModelName).populate(friendships, 'requester requested', function (err) {
+                done(err, { personIds: personIds, friendships: friendships });
+            });
+        }
+
+        /**
+         * once people are deleted, close their friendships, remove them from friend lists and emit the event of each
+         * friendship that ended
+         * @param   {Object}    removal     - the removal prepared before the people were deleted, if any
+         * @param   {Function}  done        - required callback
+         * @ignore
+         */
+        function completeRemoval (removal, done) {
+            if (!removal || !removal.personIds.length) return done();
+
+            Friendship.removeAccount(removal.personIds, function (err) {
+                if (err) return done(err);
+
+                FriendList.removeAccount(removal.personIds, function (err) {
+                    if (err) return done(err);
+
+                    removal.friendships.forEach(function (friendship) {
+                        emitEvent('endFriendship', friendship);
+                    });
+
+                    done();
+                });
+            });
+        }
+
+        // close the friendships of a person when they are deleted
+        schema.pre('remove', function (next) {
+            var person = this;
+
+            prepareRemoval([ person._id ], function (err, removal) {
+                person._friendshipRemoval = removal;
+                next(err);
+            });
+        });
+
+        schema.post('remove', function (person, next) {
+            completeRemoval(person._friendshipRemoval, next);
+        });
+
+        schema.pre('findOneAndRemove', function (next) {
+            var query = this;
+
+            var options = { sort: query.options.sort };
+
+            db.model(pluginOptions.personModelName).findOne(query.getQuery(), '_id', options, function (err, person) {
+                if (err || !person) return next(err);
+
+                prepareRemoval([ person._id ], function (err, removal) {
+                    query._friendshipRemoval = removal;
+                    next(err);
+                });
+            });
+        });
+
+        schema.post('findOneAndRemove', function (result, next) {
+            completeRemoval(this._friendshipRemoval, next);
+        });
+
+        /**
+         * add the counts of a batch deleted by a query op to those of the batches before it
+         * @param   {Object}    total   - the result of the batches before, if any
+         * @param   {Object}    result  - the result of the batch
+         * @returns {Object} - the result of every batch so far
+         * @ignore
+         */
+        function addDeleted (total, result) {
+            if (!total || !result) return result || total;
+
+            if (total.result && result.result) total.result.n += result.result.n;
+            if (typeof total.deletedCount === 'number') total.deletedCount += result.deletedCount;
+
+            return total;
+        }
+
+        // mongoose 4 runs no middleware for these, so once given a callback they find the people to delete, a batch at
+        // a time, and run every `endFriendship` hook before deleting anyone.  only the people found are deleted, a
+        // batch at a time, by _id, closing their friendships as they go.
+        [ 'remove', 'deleteOne', 'deleteMany' ].forEach(function (op) {
+            var execute = mongoose.Query.prototype[op];
+
+            schema.query[op] = function () {
+                var query = this,
+                    args = Array.prototype.slice.call(arguments),
+                    callback = opCallback(args);
+
+                if (!callback) return execute.apply(query, args);
+
+                // merge the conditions given to the op without executing it, to find who it deletes
+                execute.apply(query, args.filter(function (arg) {
+                    return arg !== callback;
+                }));
+
+                lookUpScopes(query, function (err) {
+                    if (err) return callback(err);
+
+                    var personModel = db.model(pluginOptions.personModelName),
+                        conditions = query.getQuery(),
+                        single = (op === 'deleteOne' || query.options.single),
+                        personIds = [],
+                        total;
+
+                    (function findNext (lastId) {
+                        var batchConditions = lastId
+                            ? { '$and': [ conditions, { _id: { '$gt': lastId } } ] }
+                            : conditions;
+
+                        var options = { sort: { _id: 1 }, limit: single ? 1 : BATCH_SIZE, lean: true };
+
+                        personModel.find(batchConditions, '_id', options, function (err, people) {
+                            if (err) return callback(err);
+
+                            var batch = people.map(function (person) {
+                                return person._id;
+                            });
+
+                            findEndingFriendships(batch, function (err, friendships) {
+                                if (err) return callback(err);
+
+                                runRemovalHooks(batch, friendships, function (err) {
+                                    if (err) return callback(err);
+
+                                    personIds = personIds.concat(batch);
+
+                                    if (single || batch.length < BATCH_SIZE) return deleteNext(0);
+
+                                    findNext(batch[batch.length - 1]);
+                                });
+                            });
+                        });
+                    })();
+
+                    // the first batch is deleted even when nobody was found, so that the op has a result to pass on
+                    function deleteNext (index) {
+                        if (index >= personIds.length && total) return callback(null, total);
+
+                        var batch = personIds.slice(index, index + BATCH_SIZE);
+
+                        findEndingFriendships(batch, function (err, friendships) {
+                            if (err) return callback(err);
+
+                            populateRemoval(batch, friendships, function (err, removal) {
+                                if (err) return callback(err);
+
+                                // delete the people found, rather than whoever matches the conditions by now
+                                var batchQuery = personModel.where({ _id: { '$in': batch } }).setOptions(query.options);
+
+                                execute.call(batchQuery, function (err, result) {
+                                    if (err) return callback(err);
+
+                                    total = addDeleted(total, result);
+
+                                    completeRemoval(removal, function (err) {
+                                        if (err) return callback(err);
+
+                                        deleteNext(index + BATCH_SIZE);
+                                    });
+                                });
+                            });
+                        });
+                    }
+                });
+
+                return query;
+            };
+        });
+
+        // one-way follows are opt-in
+        if (pluginOptions.follow) {
+
+            /**
+             *  follow a person.  following does not require the approval of the followed person.
+             * @function    PersonModel.follow
+             * @param       {ObjectId} followerId   - the _id of the person following
+             * @param       {ObjectId} followedId   - the _id of the person to follow
+             * @param       {Function} done         - optional callback, passed the populated follow
+             * @see         [FriendshipModel.follow]{@link FriendshipModel.follow}
+             */
+            schema.statics.follow = promisify(function (followerId, followedId, done) {
+                debug('PersonModel.follow');
+
+                runHooks('follow', followerId, followedId, function (err) {
+                    if (err) return done(err);
+
+                    Friendship.follow(followerId, followedId, populateAndEmit('follow', done));
+                });
+            });
+
+            /**
+             *  stop following a person
+             * @function    PersonModel.unfollow
+             * @param       {ObjectId} followerId   - the _id of the person following
+             * @param       {ObjectId} followedId   - the _id of the person to stop following
+             * @param       {Function} done         - optional callback
+             * @see         [FriendshipModel.unfollow]{@link FriendshipModel.unfollow}
+             */
+            schema.statics.unfollow = promisify(function (followerId, followedId, done) {
+                debug('PersonModel.unfollow');
+
+                var conditions = { requester: followerId, requested: followedId, status: 'Following' };
+
+                runHooks('unfollow', followerId, followedId, function (err) {
+                    if (err) return done(err);
+
+                    removeAndEmit('unfollow', conditions, function (next) {
+                        Friendship.unfollow(followerId, followedId, next);
+                    }, done);
+                });
+            });
+
+            /**
+             *  get the people following the given person
+             * @function    PersonModel.getFollowers
+             * @param       {ObjectId}  personId       - the _id of the person
+             * @param       {Object}    findParams     - optional mongoose find params. @see [Model.find](http://mongoosejs.com/docs/api.html#model_Model.find)
+             * @param       {Function}  done           - optional callback, passed an array of people
+             * @see         [FriendshipModel.getFollowers]{@link FriendshipModel.getFollowers}
+             */
+            schema.statics.getFollowers = promisify(function (personId, findParams, done) {
+                debug('PersonModel.getFollowers');
+
+                if (typeof findParams === 'function') {
+                    done = findParams;
+                    findParams = undefined;
+                }
+
+                findParams = findParams || {};
+
+                var conditions = utils.extend({}, findParams.conditions);
+                
+                var projection = (typeof findParams.projection === 'string') 
+                    ? findParams.projection
+                    : utils.extend({}, findParams.projection)
+
+                var options = utils.extend({}, findParams.options);
+
+                var personModel = db.model(pluginOptions.personModelName);
+
+                Friendship.getFollowers(personId, function (err, ids) {
+                    if (err) {
+                        done(err);
+                    } else {
+                        conditions._id = { '$in': ids };
+                        personModel.find(conditions, projection, options, done);
+                    }
+                });
+            });
+
+            /**
+             *  get the people the given person follows
+             * @function    PersonModel.getFollowing
+             * @param       {ObjectId}  personId       - the _id of the person
+             * @param       {Object}    findParams     - optional mongoose find params. @see [Model.find](http://mongoosejs.com/docs/api.html#model_Model.find)
+             * @param       {Function}  done           - optional callback, passed an array of people
+             * @see         [FriendshipModel.getFollowing]{@link FriendshipModel.getFollowing}
+             */
+            schema.statics.getFollowing = promisify(function (personId, findParams, done) {
+                debug('PersonModel.getFollowing');
+
+                if (typeof findParams === 'function') {
+                    done = findParams;
+                    findParams = undefined;
+                }
+
+                findParams = findParams || {};
+
+                var conditions = utils.extend({}, findParams.conditions);
+                
+                var projection = (typeof findParams.projection === 'string') 
+                    ? findParams.projection
+                    : utils.extend({}, findParams.projection)
+
+                var options = utils.extend({}, findParams.options);
+
+                var personModel = db.model(pluginOptions.personModelName);
+
+                Friendship.getFollowing(personId, function (err, ids) {
+                    if (err) {
+                        done(err);
+                    } else {
+                        conditions._id = { '$in': ids };
+                        personModel.find(conditions, projection, options, done);
+                    }
+                });
+            });
+
+            /**
+             *  determine if followerId follows followedId
+             * @function    PersonModel.isFollowing
+             * @param       {ObjectId} followerId   - the _id of the person that may be following
+             * @param       {ObjectId} followedId   - the _id of the person that may be followed
+             * @param       {Function} done         - optional callback, passed a boolean determination
+             * @see         [FriendshipModel.isFollowing]{@link FriendshipModel.isFollowing}
+             */
+            schema.statics.isFollowing = promisify(function (followerId, followedId, done) {
+                debug('PersonModel.isFollowing');
+
+                Friendship.isFollowing(followerId, followedId, done);
+            });
+
+            /**
+             *  follow the specified person
+             * @function    PersonDocument.follow
+             * @param       {ObjectId} personId     - the _id of the person to follow
+             * @param       {Function} done         - optional callback, passed the populated follow
+             * @see         [PersonModel.follow]{@link PersonModel.follow}
+             */
+            schema.methods.follow = function (personId, done) {
+                debug('PersonDocument.follow');
+                return this.constructor.follow(this._id, personId, done);
+            };
+
+            /**
+             *  stop following the specified person
+             * @function    PersonDocument.unfollow
+             * @param       {ObjectId} personId     - the _id of the person to stop following
+             * @param       {Function} done         - optional callback
+             * @see         [PersonModel.unfollow]{@link PersonModel.unfollow}
+             */
+            schema.methods.unfollow = function (personId, done) {
+                debug('PersonDocument.unfollow');
+                return this.constructor.unfollow(this._id, personId, done);
+            };
+
+            /**
+             *  get the people following this document
+             * @function    PersonDocument.getFollowers
+             * @param       {Object}   findParams   - optional mongoose find params
+             * @param       {Function} done         - optional callback, passed an array of people
+             * @see         [PersonModel.getFollowers]{@link PersonModel.getFollowers}
+             */
+            schema.methods.getFollowers = function (findParams, done) {
+                debug('PersonDocument.getFollowers');
+                return this.constructor.getFollowers(this._id, findParams, done);
+            };
+
+            /**
+             *  get the people this document follows
+             * @function    PersonDocument.getFollowing
+             * @param       {Object}   findParams   - optional mongoose find params
+             * @param       {Function} done         - optional callback, passed an array of people
+             * @see         [PersonModel.getFollowing]{@link PersonModel.getFollowing}
+             */
+            schema.methods.getFollowing = function (findParams, done) {
+                debug('PersonDocument.getFollowing');
+                return this.constructor.getFollowing(this._id, findParams, done);
+            };
+
+            /**
+             *  determine if this document follows the specified person
+             * @function    PersonDocument.isFollowing
+             * @param       {ObjectId} personId     - the _id of the person
+             * @param       {Function} done         - optional callback, passed a boolean determination
+             * @see         [PersonModel.isFollowing]{@link PersonModel.isFollowing}
+             */
+            schema.methods.isFollowing = function (personId, done) {
+                debug('PersonDocument.isFollowing');
+                return this.constructor.isFollowing(this._id, personId, done);
+            };
         }
     };
 }
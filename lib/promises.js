@@ -0,0 +1,61 @@
+
+// var debug = require('debug')('friends-of-friends:promises');
+
+/**
+ * Wrap a callback-style function so that it returns a native Promise when it
+ * is called without a callback.  The last argument that is not `undefined` is
+ * the callback when it is a function, so that document methods may pass an
+ * omitted `done` straight through to the model statics.  Otherwise the
+ * Promise's callback takes the place of `fn`'s last parameter, so arguments
+ * that are omitted or explicitly `undefined` keep their positions.
+ * @param   {Function} fn - function whose last parameter is a node-style callback
+ * @returns {Function} - function accepting either a callback or returning a Promise
+ */
+exports.promisify = function promisify (fn) {
+    return function () {
+        var self = this,
+            args = Array.prototype.slice.call(arguments),
+            length = args.length;
+
+        while (length && args[length -1] === undefined) {
+            length--;
+        }
+
+        // callback style, nothing more to do
+        if (typeof args[length -1] === 'function') {
+            return fn.apply(self, args.slice(0, length));
+        }
+
+        args = args.slice(0, fn.length -1);
+
+        while (args.length < fn.length -1) {
+            args.push(undefined);
+        }
+
+        return new Promise(function (resolve, reject) {
+            args.push(function (err, result) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(result);
+                }
+            });
+
+            fn.apply(self, args);
+        });
+    };
+};
+
+/**
+ * Pass the outcome of a promise to a node-style callback.  The callback is
+ * called outside of the promise chain so errors thrown by it are not swallowed.
+ * @param   {Promise}  promise - the promise to settle
+ * @param   {Function} done    - node-style callback
+ */
+exports.nodeify = function nodeify (promise, done) {
+    promise.then(function (result) {
+        setImmediate(done, null, result);
+    }, function (err) {
+        setImmediate(done, err);
+    });
+};
@@ -1,13 +1,24 @@
 
 // var debug = require('debug')('friends-of-friends:relationships');
 
+// BLOCKED to FRIENDS are ordered by closeness, but the follow relationships come after FRIENDS only to keep the values
+// of the others, so compare relationships for equality.  the plugin ranks them by closeness for `visibility`.
+
 module.exports = {
+    '-1':                   "BLOCKED",
     '0':                    "NOT_FRIENDS",
     '1':                    "FRIENDS_OF_FRIENDS",
 	'2': 					"PENDING_FRIENDS",
 	'3': 					"FRIENDS",
+    '4':                    "FOLLOWER",
+    '5':                    "FOLLOWING",
+    '6':                    "MUTUAL_FOLLOW",
+    BLOCKED:                -1,
     NOT_FRIENDS:            0,
     FRIENDS_OF_FRIENDS:     1,
     PENDING_FRIENDS: 		2,
-    FRIENDS:                3
+    FRIENDS:                3,
+    FOLLOWER:               4,
+    FOLLOWING:              5,
+    MUTUAL_FOLLOW:          6
 };
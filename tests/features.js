@@ -0,0 +1,313 @@
+
+var async               = require('async'),
+    dbURI               = 'mongodb://localhost/friends-of-friends-tests',
+    debug               = require('debug')('friends-of-friends:tests:features')
+    clearDB             = require('mocha-mongoose')(dbURI, { noClear: true })
+    should              = require('should');
+
+// the opt-in features: `follow`, `syncFriends`, `friendshipFields` and `visibility`
+module.exports = function (friendsOfFriends, mongoose) {
+
+    var relationships = friendsOfFriends.relationships;
+
+    var PersonModel = mongoose.model(friendsOfFriends.get('personModelName'));
+
+    var testUsers = {};
+
+    describe('statics', function () {
+
+        // give the test machine a 5 second timeout
+        this.timeout(5000)
+
+        beforeEach(function (done) {
+            if (!mongoose.connection.db) {
+                mongoose.connect(dbURI, function () {
+                    insertTestUsers(done);
+                });
+            } else {
+                insertTestUsers(done);
+            }           
+        });
+
+        afterEach(function (done) {
+            clearDB(done);
+        });
+
+        it('syncFriends             - keep the friends array of each person in sync', function (testComplete) {
+            async.series({
+                sent: function (next) {
+                    PersonModel.friendRequest(testUsers.jeff._id, testUsers.zane._id, next);
+                },
+                accepted: function (next) {
+                    PersonModel.acceptRequest(testUsers.jeff._id, testUsers.zane._id, next);
+                },
+                afterAccept: function (next) {
+                    PersonModel.find({ _id: { '$in': [ testUsers.jeff._id, testUsers.zane._id ] } }, next);
+                },
+                ended: function (next) {
+                    PersonModel.endFriendship(testUsers.jeff._id, testUsers.zane._id, next);
+                },
+                afterEnd: function (next) {
+                    PersonModel.find({ _id: { '$in': [ testUsers.jeff._id, testUsers.zane._id ] } }, next);
+                }
+            }, function (err, results) {
+                if (err) return testComplete(err);
+
+                results.afterAccept.should.have.a.lengthOf(2);
+                results.afterAccept.forEach(function (person) {
+                    var friendId = person._id.equals(testUsers.jeff._id) ? testUsers.zane._id : testUsers.jeff._id;
+
+                    person.friends.should.have.a.lengthOf(1);
+                    person.friends[0].equals(friendId).should.be.true;
+                });
+
+                results.afterEnd.should.have.a.lengthOf(2);
+                results.afterEnd.forEach(function (person) {
+                    person.friends.should.have.a.lengthOf(0);
+                });
+
+                testComplete();
+            });
+        });
+
+        it('friendRequest           - send the configured friendshipFields with a request', function (testComplete) {
+            PersonModel.friendRequest(testUsers.jeff._id, testUsers.zane._id, { priority: 2 }, function (err, request) {
+                if (err) return testComplete(err);
+
+                request.should.have.a.property('priority', 2);
+
+                testComplete();
+            });
+        });
+
+        it('follow                  - follow a person without their approval', function (testComplete) {
+            async.series({
+                jeffFollowsZane: function (next) {
+                    PersonModel.follow(testUsers.jeff._id, testUsers.zane._id, next);
+                },
+                samFollowsZane: function (next) {
+                    PersonModel.follow(testUsers.sam._id, testUsers.zane._id, next);
+                },
+                zaneFollowsJeff: function (next) {
+                    PersonModel.follow(testUsers.zane._id, testUsers.jeff._id, next);
+                },
+                zanesFollowers: function (next) {
+                    PersonModel.getFollowers(testUsers.zane._id, next);
+                },
+                samFollowing: function (next) {
+                    PersonModel.getFollowing(testUsers.sam._id, { projection: 'username' }, next);
+                },
+                isFollowing: function (next) {
+                    PersonModel.isFollowing(testUsers.jeff._id, testUsers.zane._id, next);
+                },
+                isNotFollowing: function (next) {
+                    PersonModel.isFollowing(testUsers.zane._id, testUsers.sam._id, next);
+                },
+                jeffAndZane: function (next) {
+                    PersonModel.getRelationship(testUsers.jeff._id, testUsers.zane._id, next);
+                },
+                samAndZane: function (next) {
+                    PersonModel.getRelationship(testUsers.sam._id, testUsers.zane._id, next);
+                },
+                zaneAndSam: function (next) {
+                    PersonModel.getRelationship(testUsers.zane._id, testUsers.sam._id, next);
+                },
+                friends: function (next) {
+                    PersonModel.getFriends(testUsers.zane._id, next);
+                },
+                unfollow: function (next) {
+                    PersonModel.unfollow(testUsers.sam._id, testUsers.zane._id, next);
+                },
+                unfollowed: function (next) {
+                    PersonModel.isFollowing(testUsers.sam._id, testUsers.zane._id, next);
+                }
+            }, function (err, results) {
+                if (err) return testComplete(err);
+
+                results.jeffFollowsZane.requester.should.have.a.property('_id', testUsers.jeff._id);
+                results.jeffFollowsZane.requested.should.have.a.property('_id', testUsers.zane._id);
+                results.jeffFollowsZane.should.have.a.property('status', 'Following');
+
+                results.zanesFollowers.should.be.an.Array.with.length(2);
+
+                results.samFollowing.should.be.an.Array.with.length(1);
+                results.samFollowing[0].should.have.a.property('username', 'Zane');
+
+                results.isFollowing.should.be.true;
+                results.isNotFollowing.should.be.false;
+
+                results.jeffAndZane.should.equal(relationships.MUTUAL_FOLLOW);
+                results.samAndZane.should.equal(relationships.FOLLOWING);
+                results.zaneAndSam.should.equal(relationships.FOLLOWER);
+
+                // follows are not friendships
+                results.friends.should.be.an.empty.Array;
+
+                results.unfollowed.should.be.false;
+
+                testComplete();
+            });
+        });
+
+        it('annotateRelationships   - set the relationship of people followed', function (testComplete) {
+            async.series({
+                following: function (next) {
+                    testUsers.jeff.follow(testUsers.henry._id, next);
+                },
+                annotated: function (next) {
+                    PersonModel.find({ _id: testUsers.henry._id }).lean().exec(function (err, people) {
+                        if (err) return next(err);
+
+                        testUsers.jeff.annotateRelationships(people, next);
+                    });
+                }
+            }, function (err, results) {
+                if (err) return testComplete(err);
+
+                results.annotated.should.have.length(1);
+                results.annotated[0].should.have.a.property('relationship', relationships.FOLLOWING);
+
+                testComplete();
+            });
+        });
+
+        it('findVisible             - leave out the fields each viewer may not see', function (testComplete) {
+
+            function befriend (person, friend) {
+                return function (next) {
+                    person.friendRequest(friend._id, function (err) {
+                        if (err) return next(err);
+
+                        friend.acceptRequest(person._id, next);
+                    });
+                };
+            }
+
+            async.series({
+                jeffAndZane: befriend(testUsers.jeff, testUsers.zane),
+                zaneAndSam: befriend(testUsers.zane, testUsers.sam),
+                visible: function (next) {
+                    PersonModel.findVisible(testUsers.sam._id, next);
+                },
+                henryForJeff: function (next) {
+                    testUsers.henry.toJSONFor(testUsers.jeff._id, next);
+                },
+                samForSam: function (next) {
+                    testUsers.sam.toJSONFor(testUsers.sam._id, next);
+                }
+            }, function (err, results) {
+                if (err) return testComplete(err);
+
+                var visible = {};
+
+                results.visible.should.have.length(4);
+
+                results.visible.forEach(function (person) {
+                    person.should.have.a.property('username');
+                    visible[person.username] = person;
+                });
+
+                // friend
+                visible.Zane.should.have.a.property('created');
+                visible.Zane.should.have.a.property('friends');
+
+                // friend-of-friend
+                visible.Jeff.should.have.a.property('created');
+                visible.Jeff.should.not.have.a.property('friends');
+
+                // stranger
+                visible.Henry.should.not.have.a.property('created');
+                visible.Henry.should.not.have.a.property('friends');
+
+                // themselves
+                visible.Sam.should.have.a.property('friends');
+
+                results.henryForJeff.should.have.a.property('username', 'Henry');
+                results.henryForJeff.should.not.have.a.property('created');
+
+                results.samForSam.should.have.a.property('created');
+                results.samForSam.should.have.a.property('friends');
+
+                testComplete();
+            });
+        });
+    });
+
+    describe('methods', function () {
+        beforeEach(function (done) {
+            if (!mongoose.connection.db) {
+                mongoose.connect(dbURI, function () {
+                    insertTestUsers(done)
+                }) 
+            } else {
+                insertTestUsers(done)
+            }           
+        })
+
+        afterEach(function (done) {
+            clearDB(done)
+        })
+
+        it('follow                  - follow the specified person', function (testComplete) {
+            testUsers.jeff.follow(testUsers.zane._id).then(function (follow) {
+                follow.should.have.a.property('status', 'Following');
+
+                return testUsers.zane.getFollowers();
+            }).then(function (followers) {
+                followers.should.be.an.Array.with.length(1);
+                followers[0].should.have.a.property('_id', testUsers.jeff._id);
+
+                return testUsers.jeff.getFollowing();
+            }).then(function (following) {
+                following.should.be.an.Array.with.length(1);
+                following[0].should.have.a.property('_id', testUsers.zane._id);
+
+                return testUsers.zane.block(testUsers.jeff._id);
+            }).then(function () {
+                return testUsers.jeff.isFollowing(testUsers.zane._id);
+            }).then(function (answer) {
+                // blocking removes follows
+                answer.should.be.false;
+
+                return testUsers.jeff.follow(testUsers.zane._id).then(function () {
+                    throw new Error('follow should have been rejected');
+                }, function (err) {
+                    err.should.be.an.Error;
+                });
+            }).then(function () {
+                testComplete();
+            }, testComplete);
+        });
+    })
+
+    function insertTestUsers (done) {
+        async.parallel({
+            jeff: function (finished) {
+                new PersonModel({username: 'Jeff'}).save(function (err, jeff) {
+                    finished(err, jeff);
+                });
+            },
+            zane: function (finished) {
+                new PersonModel({username: 'Zane'}).save(function (err, zane) {
+                    finished(err, zane);
+                });
+            },
+            sam: function (finished) {
+                new PersonModel({username: 'Sam'}).save(function (err, sam) {
+                    finished(err, sam);
+                });
+            },
+            henry: function (finished) {
+                new PersonModel({username: 'Henry'}).save(function (err, henry) {
+                    finished(err, henry);
+                });
+            }
+        }, function (err, people) {
+            if (err) return done(err)
+
+            testUsers = people
+
+            done()
+        })
+    }
+}
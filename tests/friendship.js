@@ -289,6 +289,164 @@ module.exports = function (FriendsOfFriends, mongoose) {
             });
         });
 
+        it('getFriendsAndFriendsOfFriends - get ids of friends and friends-of-friends in one aggregation', function (testComplete) {
+
+            var sam = new Person({username: 'Sam'}),
+                henry = new Person({username: 'Henry'});
+
+            // jeff is friends with zane and sam, who are both friends with henry
+            Friendship.create([
+                { requester: jeff._id, requested: zane._id, status: 'Accepted' },
+                { requester: sam._id, requested: jeff._id, status: 'Accepted' },
+                { requester: zane._id, requested: henry._id, status: 'Accepted' },
+                { requester: henry._id, requested: sam._id, status: 'Accepted' }
+            ], function (err) {
+                if (err) return testComplete(err);
+
+                async.parallel({
+                    jeff: function (done) {
+                        Friendship.getFriendsAndFriendsOfFriends(jeff._id, done);
+                    },
+                    henry: function (done) {
+                        Friendship.getFriendsAndFriendsOfFriends(henry._id, done);
+                    },
+                    nobody: function (done) {
+                        Friendship.getFriendsAndFriendsOfFriends(new Person()._id, done);
+                    }
+                }, function (err, results) {
+                    if (err) return testComplete(err);
+
+                    results.jeff.friends.should.be.an.Array.with.length(2);
+                    results.jeff.friendsOfFriends.should.be.an.Array.with.length(1);
+                    results.jeff.friendsOfFriends[0].toString().should.equal(henry._id.toString());
+
+                    results.henry.friends.should.be.an.Array.with.length(2);
+                    results.henry.friendsOfFriends.should.be.an.Array.with.length(1);
+                    results.henry.friendsOfFriends[0].toString().should.equal(jeff._id.toString());
+
+                    results.nobody.friends.should.be.an.empty.Array;
+                    results.nobody.friendsOfFriends.should.be.an.empty.Array;
+
+                    Friendship.getFriendsAndFriendsOfFriends('abc', function (err, ids) {
+                        err.name.should.equal('CastError');
+                        (undefined === ids).should.be.true;
+
+                        testComplete();
+                    });
+                });
+            });
+        });
+
+        it('getMutualFriends        - get ids of the friends two people have in common', function (testComplete) {
+
+            var sam = new Person({username: 'Sam'}),
+                henry = new Person({username: 'Henry'});
+
+            // jeff and henry are both friends with zane and sam, and with each other
+            Friendship.create([
+                { requester: jeff._id, requested: zane._id, status: 'Accepted' },
+                { requester: sam._id, requested: jeff._id, status: 'Accepted' },
+                { requester: zane._id, requested: henry._id, status: 'Accepted' },
+                { requester: henry._id, requested: sam._id, status: 'Accepted' },
+                { requester: henry._id, requested: jeff._id, status: 'Accepted' },
+                { requester: jeff._id, requested: new Person()._id, status: 'Pending' }
+            ], function (err) {
+                if (err) return testComplete(err);
+
+                async.parallel({
+                    mutualFriends: function (done) {
+                        Friendship.getMutualFriends(jeff._id, henry._id, done);
+                    },
+                    count: function (done) {
+                        Friendship.getMutualFriendCount(henry._id, jeff._id, done);
+                    },
+                    none: function (done) {
+                        Friendship.getMutualFriendCount(jeff._id, new Person()._id, done);
+                    }
+                }, function (err, results) {
+                    if (err) return testComplete(err);
+
+                    results.mutualFriends.should.be.an.Array.with.length(2);
+                    results.mutualFriends.map(String).sort().should.eql([ zane._id, sam._id ].map(String).sort());
+
+                    results.count.should.equal(2);
+                    results.none.should.equal(0);
+
+                    testComplete();
+                });
+            });
+        });
+
+        it('getSuggestions          - rank friends-of-friends a person may know', function (testComplete) {
+
+            var sam = new Person({username: 'Sam'}),
+                henry = new Person({username: 'Henry'}),
+                kate = new Person({username: 'Kate'}),
+                liam = new Person({username: 'Liam'}),
+                mia = new Person({username: 'Mia'});
+
+            // jeff is friends with zane and sam.  henry is friends with both, kate only with zane.  jeff has a pending 
+            // request to liam and has blocked mia, so neither is suggested.
+            Friendship.create([
+                { requester: jeff._id, requested: zane._id, status: 'Accepted' },
+                { requester: sam._id, requested: jeff._id, status: 'Accepted' },
+                { requester: zane._id, requested: henry._id, status: 'Accepted' },
+                { requester: henry._id, requested: sam._id, status: 'Accepted' },
+                { requester: kate._id, requested: zane._id, status: 'Accepted' },
+                { requester: zane._id, requested: liam._id, status: 'Accepted' },
+                { requester: sam._id, requested: mia._id, status: 'Accepted' },
+                { requester: jeff._id, requested: liam._id, status: 'Pending' },
+                { requester: jeff._id, requested: mia._id, status: 'Blocked' }
+            ], function (err) {
+                if (err) return testComplete(err);
+
+                async.parallel({
+                    mutual: function (done) {
+                        Friendship.getSuggestions(jeff._id, done);
+                    },
+                    jaccard: function (done) {
+                        Friendship.getSuggestions(jeff._id, { algorithm: 'jaccard' }, done);
+                    },
+                    adamicAdar: function (done) {
+                        Friendship.getSuggestions(jeff._id, { algorithm: 'adamic-adar' }, done);
+                    },
+                    limited: function (done) {
+                        Friendship.getSuggestions(jeff._id, { limit: 1 }, done);
+                    },
+                    nobody: function (done) {
+                        Friendship.getSuggestions(new Person()._id, done);
+                    }
+                }, function (err, results) {
+                    if (err) return testComplete(err);
+
+                    results.mutual.should.be.an.Array.with.length(2);
+                    results.mutual[0]._id.toString().should.equal(henry._id.toString());
+                    results.mutual[0].score.should.equal(2);
+                    results.mutual[0].mutualFriends.map(String).sort().should.eql([ zane._id, sam._id ].map(String).sort());
+                    results.mutual[1]._id.toString().should.equal(kate._id.toString());
+                    results.mutual[1].score.should.equal(1);
+                    results.mutual[1].mutualFriends.map(String).should.eql([ String(zane._id) ]);
+
+                    results.jaccard[0].score.should.equal(1);
+                    results.jaccard[1].score.should.equal(0.5);
+
+                    // zane has 4 friends, sam has 3
+                    results.adamicAdar[0].score.should.be.approximately(1 / Math.log(4) + 1 / Math.log(3), 1e-9);
+                    results.adamicAdar[1].score.should.be.approximately(1 / Math.log(4), 1e-9);
+
+                    results.limited.should.be.an.Array.with.length(1);
+                    results.nobody.should.be.an.empty.Array;
+
+                    Friendship.getSuggestions(jeff._id, { algorithm: 'magic' }, function (err, suggestions) {
+                        err.should.be.an.Error;
+                        (undefined === suggestions).should.be.true;
+
+                        testComplete();
+                    });
+                });
+            });
+        });
+
         it('getPendingFriends       - get a list of ids of pending friends of an person', function (testComplete) {
 
             async.series({
@@ -576,6 +734,45 @@ module.exports = function (FriendsOfFriends, mongoose) {
             });
         });
         
+        it('getRelationships        - get the relationship of one person with many in a few queries', function (testComplete) {
+
+            var sam = new Person({username: 'Sam'}),
+                henry = new Person({username: 'Henry'}),
+                pat = new Person({username: 'Pat'}),
+                lee = new Person({username: 'Lee'});
+
+            async.series({
+                created: function (next) {
+                    Friendship.create([
+                        { requester: jeff._id, requested: zane._id, status: 'Accepted', dateAccepted: Date.now() },
+                        { requester: zane._id, requested: sam._id, status: 'Accepted', dateAccepted: Date.now() },
+                        { requester: henry._id, requested: jeff._id },
+                        { requester: pat._id, requested: jeff._id, status: 'Blocked', dateBlocked: Date.now() }
+                    ], next);
+                },
+                relationships: function (next) {
+                    Friendship.getRelationships(jeff._id, [ zane._id, sam._id, henry._id, pat._id, lee._id ], next);
+                },
+                none: function (next) {
+                    Friendship.getRelationships(jeff._id, [], next);
+                }
+            }, function (err, results) {
+                if (err) return testComplete(err);
+
+                var relationships = Friendship.relationships;
+
+                results.relationships[zane._id].should.equal(relationships.FRIENDS);
+                results.relationships[sam._id].should.equal(relationships.FRIENDS_OF_FRIENDS);
+                results.relationships[henry._id].should.equal(relationships.PENDING_FRIENDS);
+                results.relationships[pat._id].should.equal(relationships.BLOCKED);
+                results.relationships[lee._id].should.equal(relationships.NOT_FRIENDS);
+
+                results.none.should.eql({});
+
+                testComplete();
+            });
+        });
+
         it('getFriendship           - get the friendship document of two people', function (testComplete) {
 
             async.series({
@@ -738,6 +935,663 @@ module.exports = function (FriendsOfFriends, mongoose) {
                 });
             });
         });
+
+        it('getShortestPath         - get the shortest chain of friendships connecting two people', function (testComplete) {
+
+            var sam = new Person({username: 'Sam'}),
+                henry = new Person({username: 'Henry'}),
+                nobody = new Person({username: 'Nobody'});
+
+            // jeff - zane - sam - henry, with a longer way around through nobody's friend
+            Friendship.create([
+                { requester: jeff._id, requested: zane._id, status: 'Accepted' },
+                { requester: sam._id, requested: zane._id, status: 'Accepted' },
+                { requester: sam._id, requested: henry._id, status: 'Accepted' },
+                { requester: jeff._id, requested: nobody._id, status: 'Pending' }
+            ], function (err) {
+                if (err) return testComplete(err);
+
+                async.parallel({
+                    jeffAndHenry: function (done) {
+                        Friendship.getShortestPath(jeff._id, henry._id, done);
+                    },
+                    henryAndJeff: function (done) {
+                        Friendship.getShortestPath(henry._id, jeff._id, done);
+                    },
+                    jeffAndJeff: function (done) {
+                        Friendship.getShortestPath(jeff._id, jeff._id, done);
+                    },
+                    jeffAndNobody: function (done) {
+                        Friendship.getShortestPath(jeff._id, nobody._id, done);
+                    },
+                    tooDeep: function (done) {
+                        Friendship.getShortestPath(jeff._id, henry._id, { maxDepth: 2 }, done);
+                    },
+                    degree: function (done) {
+                        Friendship.getDegreeOfSeparation(jeff._id, henry._id, done);
+                    },
+                    noDegree: function (done) {
+                        Friendship.getDegreeOfSeparation(jeff._id, nobody._id, done);
+                    }
+                }, function (err, results) {
+                    if (err) return testComplete(err);
+
+                    results.jeffAndHenry.map(String).should.eql([jeff._id, zane._id, sam._id, henry._id].map(String));
+                    results.henryAndJeff.map(String).should.eql([henry._id, sam._id, zane._id, jeff._id].map(String));
+                    results.jeffAndJeff.map(String).should.eql([jeff._id].map(String));
+                    
+                    (results.jeffAndNobody === null).should.be.true;
+                    (results.tooDeep === null).should.be.true;
+
+                    results.degree.should.equal(3);
+                    (results.noDegree === null).should.be.true;
+
+                    Friendship.getShortestPath('abc', henry._id, function (err, path) {
+                        err.name.should.equal('CastError');
+                        (undefined === path).should.be.true;
+
+                        testComplete();
+                    });
+                });
+            });
+        });
+
+        it('block                   - block an account, removing any friendship between them', function (testComplete) {
+
+            var sam = new Person({username: 'Sam'});
+
+            Friendship.create([
+                { requester: jeff._id, requested: zane._id, status: 'Accepted' },
+                { requester: zane._id, requested: sam._id, status: 'Accepted' }
+            ], function (err) {
+                if (err) return testComplete(err);
+
+                async.series({
+                    block: function (next) {
+                        Friendship.block(zane._id, jeff._id, next);
+                    },
+                    blockAgain: function (next) {
+                        Friendship.block(zane._id, jeff._id, next);
+                    },
+                    zanesFriends: function (next) {
+                        Friendship.getFriends(zane._id, next);
+                    },
+                    jeffsFriendsOfFriends: function (next) {
+                        Friendship.getFriendsOfFriends(jeff._id, next);
+                    },
+                    zanesBlocked: function (next) {
+                        Friendship.getBlocked(zane._id, next);
+                    },
+                    jeffsBlocked: function (next) {
+                        Friendship.getBlocked(jeff._id, next);
+                    },
+                    zaneBlockedJeff: function (next) {
+                        Friendship.isBlocked(zane._id, jeff._id, next);
+                    },
+                    jeffBlockedZane: function (next) {
+                        Friendship.isBlocked(jeff._id, zane._id, next);
+                    },
+                    areBlocked: function (next) {
+                        Friendship.areBlocked(jeff._id, zane._id, next);
+                    },
+                    relationship: function (next) {
+                        Friendship.getRelationship(jeff._id, zane._id, next);
+                    },
+                    unblock: function (next) {
+                        Friendship.unblock(zane._id, jeff._id, next);
+                    },
+                    unblocked: function (next) {
+                        Friendship.areBlocked(zane._id, jeff._id, next);
+                    }
+                }, function (err, results) {
+                    if (err) return testComplete(err);
+
+                    results.block.should.have.a.property('status', 'Blocked');
+                    results.block.requester.toString().should.equal(zane._id.toString());
+                    results.block.requested.toString().should.equal(jeff._id.toString());
+                    results.block.dateBlocked.should.be.an.instanceof(Date);
+                    results.blockAgain._id.toString().should.equal(results.block._id.toString());
+
+                    results.zanesFriends.should.be.an.Array.with.length(1);
+                    results.zanesFriends[0].toString().should.equal(sam._id.toString());
+
+                    results.jeffsFriendsOfFriends.should.be.an.empty.Array;
+
+                    results.zanesBlocked.should.be.an.Array.with.length(1);
+                    results.zanesBlocked[0].toString().should.equal(jeff._id.toString());
+                    results.jeffsBlocked.should.be.an.empty.Array;
+
+                    results.zaneBlockedJeff.should.be.true;
+                    results.jeffBlockedZane.should.be.false;
+                    results.areBlocked.should.be.true;
+
+                    results.relationship.should.equal(Friendship.relationships.BLOCKED);
+
+                    results.unblocked.should.be.false;
+
+                    testComplete();
+                });
+            });
+        });
+
+        it('getFriendsOfFriends     - leave out accounts that are blocked or blocking', function (testComplete) {
+
+            var sam = new Person({username: 'Sam'});
+
+            Friendship.create([
+                { requester: jeff._id, requested: zane._id, status: 'Accepted' },
+                { requester: zane._id, requested: sam._id, status: 'Accepted' },
+                { requester: sam._id, requested: jeff._id, status: 'Blocked' }
+            ], function (err) {
+                if (err) return testComplete(err);
+
+                async.parallel({
+                    jeff: function (done) {
+                        Friendship.getFriendsAndFriendsOfFriends(jeff._id, done);
+                    },
+                    sam: function (done) {
+                        Friendship.getFriendsOfFriends(sam._id, done);
+                    }
+                }, function (err, results) {
+                    if (err) return testComplete(err);
+
+                    results.jeff.friends.should.be.an.Array.with.length(1);
+                    results.jeff.friendsOfFriends.should.be.an.empty.Array;
+                    results.jeff.blocked.should.be.an.Array.with.length(1);
+                    results.jeff.blocked[0].toString().should.equal(sam._id.toString());
+
+                    results.sam.should.be.an.empty.Array;
+
+                    testComplete();
+                });
+            });
+        });
+
+        it('getFriendshipHistory    - keep closed requests and friendships as history', function (testComplete) {
+
+            FriendsOfFriends.set('keepHistory', true);
+
+            async.series({
+                denied: function (next) {
+                    async.series([
+                        function (then) {
+                            new Friendship(docDescriptor).save(then);
+                        },
+                        function (then) {
+                            Friendship.denyRequest(jeff._id, zane._id, then);
+                        }
+                    ], next);
+                },
+                ended: function (next) {
+                    async.series([
+                        function (then) {
+                            new Friendship({requester: zane._id, requested: jeff._id}).save(then);
+                        },
+                        function (then) {
+                            Friendship.acceptRequest(zane._id, jeff._id, then);
+                        },
+                        function (then) {
+                            Friendship.endFriendship(jeff._id, zane._id, then);
+                        }
+                    ], next);
+                },
+                cancelled: function (next) {
+                    async.series([
+                        function (then) {
+                            new Friendship(docDescriptor).save(then);
+                        },
+                        function (then) {
+                            Friendship.cancelRequest(jeff._id, zane._id, then);
+                        }
+                    ], next);
+                },
+                friends: function (next) {
+                    Friendship.getFriends(jeff._id, next);
+                },
+                requests: function (next) {
+                    Friendship.getRequests(jeff._id, next);
+                },
+                friendship: function (next) {
+                    Friendship.getFriendship(jeff._id, zane._id, next);
+                },
+                history: function (next) {
+                    Friendship.getFriendshipHistory(zane._id, jeff._id, next);
+                }
+            }, function (err, results) {
+                FriendsOfFriends.set('keepHistory', false);
+
+                if (err) return testComplete(err);
+
+                results.friends.should.be.an.empty.Array;
+                results.requests.sent.should.be.an.empty.Array;
+                results.requests.received.should.be.an.empty.Array;
+                (null === results.friendship).should.be.true;
+
+                results.history.should.be.an.Array.with.length(3);
+
+                results.history[0].should.have.a.property('status', 'Denied');
+                results.history[0].dateDenied.should.be.an.instanceof(Date);
+
+                results.history[1].should.have.a.property('status', 'Ended');
+                results.history[1].dateAccepted.should.be.an.instanceof(Date);
+                results.history[1].dateEnded.should.be.an.instanceof(Date);
+
+                results.history[2].should.have.a.property('status', 'Cancelled');
+                results.history[2].dateCancelled.should.be.an.instanceof(Date);
+
+                results.history.forEach(function (friendship) {
+                    (undefined === friendship.pair).should.be.true;
+                });
+
+                testComplete();
+            });
+        });
+
+        it('expireStaleRequests     - leave out and expire requests older than requestTTL days', function (testComplete) {
+
+            var sam = new Person({username: 'Sam'});
+
+            var dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000),
+                weekAgo = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000);
+
+            FriendsOfFriends.set('requestTTL', 7);
+            FriendsOfFriends.set('keepHistory', true);
+
+            async.series({
+                created: function (next) {
+                    Friendship.create([
+                        { requester: jeff._id, requested: zane._id, dateSent: weekAgo },
+                        { requester: jeff._id, requested: sam._id, dateSent: dayAgo }
+                    ], next);
+                },
+                sent: function (next) {
+                    Friendship.getSentRequests(jeff._id, next);
+                },
+                received: function (next) {
+                    Friendship.getReceivedRequests(zane._id, next);
+                },
+                pending: function (next) {
+                    Friendship.getPendingFriends(jeff._id, next);
+                },
+                arePending: function (next) {
+                    Friendship.arePendingFriends(jeff._id, zane._id, next);
+                },
+                accepted: function (next) {
+                    Friendship.acceptRequest(jeff._id, zane._id, function (err) {
+                        next(null, err);
+                    });
+                },
+                expired: function (next) {
+                    Friendship.expireStaleRequests(next);
+                },
+                history: function (next) {
+                    Friendship.getFriendshipHistory(jeff._id, zane._id, next);
+                },
+                stillPending: function (next) {
+                    Friendship.arePendingFriends(jeff._id, sam._id, next);
+                }
+            }, function (err, results) {
+                FriendsOfFriends.set('requestTTL', undefined);
+                FriendsOfFriends.set('keepHistory', false);
+
+                if (err) return testComplete(err);
+
+                results.sent.should.be.an.Array.with.length(1);
+                results.sent[0].requested.toString().should.equal(sam._id.toString());
+                results.received.should.be.an.empty.Array;
+                results.pending.should.be.an.Array.with.length(1);
+                results.pending[0].toString().should.equal(sam._id.toString());
+                results.arePending.should.be.false;
+                results.accepted.should.be.an.Error;
+
+                results.history.should.be.an.Array.with.length(1);
+                results.history[0].should.have.a.property('status', 'Expired');
+                results.history[0].dateExpired.should.be.an.instanceof(Date);
+                (undefined === results.history[0].pair).should.be.true;
+
+                results.stillPending.should.be.true;
+
+                testComplete();
+            });
+        });
+
+        it('checkRequestLimits      - check a new request against the request limits', function (testComplete) {
+
+            var sam = new Person({username: 'Sam'});
+
+            async.series({
+                created: function (next) {
+                    new Friendship(docDescriptor).save(next);
+                },
+                unlimited: function (next) {
+                    Friendship.checkRequestLimits(jeff._id, sam._id, next);
+                },
+                limited: function (next) {
+                    FriendsOfFriends.set('maxPendingRequests', 1);
+
+                    Friendship.checkRequestLimits(jeff._id, sam._id, function (err) {
+                        FriendsOfFriends.set('maxPendingRequests', undefined);
+
+                        next(null, err);
+                    });
+                },
+                cancelled: function (next) {
+                    var cancelled = { requester: jeff._id, requested: sam._id, status: 'Cancelled', dateCancelled: new Date() };
+
+                    Friendship.collection.insert(cancelled, next);
+                },
+                cooldown: function (next) {
+                    FriendsOfFriends.set('denyCooldown', 7);
+
+                    Friendship.checkRequestLimits(jeff._id, sam._id, function (err) {
+                        FriendsOfFriends.set('denyCooldown', undefined);
+
+                        next(null, err);
+                    });
+                }
+            }, function (err, results) {
+                if (err) return testComplete(err);
+
+                results.limited.should.be.an.Error;
+                results.limited.should.have.a.property('code', 'TOO_MANY_PENDING_REQUESTS');
+
+                results.cooldown.should.be.an.Error;
+                results.cooldown.should.have.a.property('code', 'REQUEST_COOLDOWN');
+
+                testComplete();
+            });
+        });
+
+        it('getFriendCount          - count friends and refuse to accept past maxFriends', function (testComplete) {
+
+            var sam = new Person({username: 'Sam'});
+
+            async.series({
+                created: function (next) {
+                    Friendship.create([
+                        { requester: jeff._id, requested: zane._id, status: 'Accepted', dateAccepted: Date.now() },
+                        { requester: sam._id, requested: jeff._id }
+                    ], next);
+                },
+                count: function (next) {
+                    Friendship.getFriendCount(jeff._id, next);
+                },
+                refused: function (next) {
+                    FriendsOfFriends.set('maxFriends', 1);
+
+                    Friendship.acceptRequest(sam._id, jeff._id, function (err) {
+                        FriendsOfFriends.set('maxFriends', undefined);
+
+                        next(null, err);
+                    });
+                },
+                countAfter: function (next) {
+                    Friendship.getFriendCount(jeff._id, next);
+                },
+                stillPending: function (next) {
+                    Friendship.arePendingFriends(sam._id, jeff._id, next);
+                }
+            }, function (err, results) {
+                if (err) return testComplete(err);
+
+                results.count.should.equal(1);
+
+                results.refused.should.be.an.Error;
+                results.refused.should.have.a.property('code', 'MAX_FRIENDS');
+
+                results.countAfter.should.equal(1);
+                results.stillPending.should.be.true;
+
+                testComplete();
+            });
+        });
+
+        it('validatePair            - refuse malformed ids and self-friendship', function (testComplete) {
+            async.series({
+                valid: function (next) {
+                    Friendship.validatePair(jeff._id, zane._id.toString(), next);
+                },
+                malformed: function (next) {
+                    Friendship.validatePair(jeff._id, 'abc', function (err) {
+                        next(null, err);
+                    });
+                },
+                self: function (next) {
+                    Friendship.acceptRequest(jeff._id, jeff._id, function (err) {
+                        next(null, err);
+                    });
+                }
+            }, function (err, results) {
+                if (err) return testComplete(err);
+
+                results.malformed.should.have.a.property('code', 'INVALID_ID');
+                results.malformed.message.should.equal('Invalid id "abc"');
+                results.self.should.have.a.property('code', 'SELF_REQUEST');
+
+                testComplete();
+            });
+        });
+
+        it('requestTypeChange       - change the type of a friendship once both agree', function (testComplete) {
+
+            var sam = new Person({username: 'Sam'});
+
+            FriendsOfFriends.set('types', [ 'friend', 'colleague', [ 'parent', 'child' ] ]);
+
+            async.series({
+                created: function (next) {
+                    Friendship.requestTypes().should.eql({ requesterType: 'friend', requestedType: 'friend' });
+                    Friendship.requestTypes('child').should.eql({ requesterType: 'parent', requestedType: 'child' });
+
+                    Friendship.create([
+                        { requester: jeff._id, requested: zane._id, status: 'Accepted', dateAccepted: Date.now(), requesterType: 'friend', requestedType: 'friend' },
+                        { requester: jeff._id, requested: sam._id, status: 'Accepted', dateAccepted: Date.now(), requesterType: 'colleague', requestedType: 'colleague' }
+                    ], next);
+                },
+                invalid: function (next) {
+                    Friendship.requestTypeChange(zane._id, jeff._id, 'boss', function (err) {
+                        next(null, err);
+                    });
+                },
+                proposed: function (next) {
+                    // zane says jeff is his parent
+                    Friendship.requestTypeChange(zane._id, jeff._id, 'parent', next);
+                },
+                notProposed: function (next) {
+                    Friendship.confirmTypeChange(zane._id, jeff._id, function (err) {
+                        next(null, err);
+                    });
+                },
+                confirmed: function (next) {
+                    Friendship.confirmTypeChange(jeff._id, zane._id, next);
+                },
+                children: function (next) {
+                    Friendship.getFriendsOfType(jeff._id, 'child', next);
+                },
+                parents: function (next) {
+                    Friendship.getFriendsOfType(zane._id, 'parent', next);
+                },
+                colleagues: function (next) {
+                    Friendship.getFriendsOfType(jeff._id, 'colleague', next);
+                }
+            }, function (err, results) {
+                FriendsOfFriends.set('types', undefined);
+
+                if (err) return testComplete(err);
+
+                results.invalid.should.have.a.property('code', 'INVALID_TYPE');
+                results.notProposed.should.have.a.property('code', 'TYPE_CHANGE_NOT_FOUND');
+
+                results.proposed.should.have.a.property('requesterType', 'friend');
+                results.proposed.typeChange.should.have.a.property('requesterType', 'parent');
+                results.proposed.typeChange.should.have.a.property('requestedType', 'child');
+
+                results.confirmed.should.have.a.property('requesterType', 'parent');
+                results.confirmed.should.have.a.property('requestedType', 'child');
+                (undefined === results.confirmed.typeChange.proposedBy).should.be.true;
+
+                results.children.should.have.length(1);
+                results.children[0].equals(zane._id).should.be.true;
+
+                results.parents.should.have.length(1);
+                results.parents[0].equals(jeff._id).should.be.true;
+
+                results.colleagues.should.have.length(1);
+                results.colleagues[0].equals(sam._id).should.be.true;
+
+                testComplete();
+            });
+        });
+
+        it('pairKey                 - get the same key for a pair in either direction', function (testComplete) {
+            Friendship.pairKey(jeff._id, zane._id).should.equal(Friendship.pairKey(zane._id, jeff._id));
+            Friendship.pairKey(jeff._id, zane._id).should.not.equal(Friendship.pairKey(jeff._id, jeff._id));
+
+            new Friendship(docDescriptor).save(function (err, request) {
+                if (err) return testComplete(err);
+
+                request.should.have.a.property('pair', Friendship.pairKey(jeff._id, zane._id));
+
+                Friendship.ensureIndexes(function (err) {
+                    if (err) return testComplete(err);
+
+                    // the reverse request is refused by the unique index
+                    new Friendship({requester: zane._id, requested: jeff._id}).save(function (err) {
+                        err.should.be.an.Error;
+                        err.should.have.a.property('code', 11000);
+
+                        testComplete();
+                    });
+                });
+            });
+        });
+
+        it('mergeDuplicates         - merge duplicate requests saved before the pair key existed', function (testComplete) {
+
+            var sam = new Person({username: 'Sam'});
+
+            // bypass the pair key, as friendships saved by older versions did
+            var duplicates = [
+                { requester: jeff._id, requested: zane._id, status: 'Pending', dateSent: new Date(1000) },
+                { requester: zane._id, requested: jeff._id, status: 'Pending', dateSent: new Date(2000) },
+                { requester: jeff._id, requested: sam._id, status: 'Pending', dateSent: new Date(1000) },
+                { requester: jeff._id, requested: sam._id, status: 'Pending', dateSent: new Date(2000) }
+            ];
+
+            async.series({
+                inserted: function (next) {
+                    Friendship.collection.insert(duplicates, next);
+                },
+                result: function (next) {
+                    Friendship.mergeDuplicates(next);
+                },
+                friendships: function (next) {
+                    Friendship.find({}, null, { sort: { requested: 1 } }, next);
+                },
+                jeffAndZane: function (next) {
+                    Friendship.getFriendship(zane._id, jeff._id, next);
+                },
+                jeffAndSam: function (next) {
+                    Friendship.getFriendship(sam._id, jeff._id, next);
+                },
+                indexes: function (next) {
+                    Friendship.collection.indexInformation(next);
+                }
+            }, function (err, results) {
+                if (err) return testComplete(err);
+
+                results.result.should.eql({ merged: 2, removed: 2, updated: 2 });
+
+                results.indexes.should.have.a.property('pair_1');
+
+                results.friendships.should.be.an.Array.with.length(2);
+
+                results.jeffAndZane.should.have.a.property('status', 'Accepted');
+                results.jeffAndZane.should.have.a.property('pair', Friendship.pairKey(jeff._id, zane._id));
+                results.jeffAndZane.dateAccepted.should.be.an.instanceof(Date);
+
+                results.jeffAndSam.should.have.a.property('status', 'Pending');
+                results.jeffAndSam.should.have.a.property('pair', Friendship.pairKey(jeff._id, sam._id));
+                results.jeffAndSam.dateSent.getTime().should.equal(1000);
+
+                testComplete();
+            });
+        });
+
+        it('purgeOrphanedFriendships - close the friendships of people that no longer exist', function (testComplete) {
+
+            // henry is never saved, so his friendships are orphaned
+            var sam = new Person({username: 'Sam'}),
+                henry = new Person({username: 'Henry'}),
+                ivan = new Person({username: 'Ivan'});
+
+            var friendships = [
+                { requester: henry._id, requested: sam._id, status: 'Accepted', pair: Friendship.pairKey(henry._id, sam._id) },
+                { requester: ivan._id, requested: henry._id, status: 'Pending', pair: Friendship.pairKey(ivan._id, henry._id) },
+                { requester: sam._id, requested: ivan._id, status: 'Accepted', pair: Friendship.pairKey(sam._id, ivan._id) }
+            ];
+
+            async.series({
+                sam: function (next) {
+                    sam.save(next);
+                },
+                ivan: function (next) {
+                    ivan.save(next);
+                },
+                inserted: function (next) {
+                    Friendship.collection.insert(friendships, next);
+                },
+                orphanIds: function (next) {
+                    Friendship.purgeOrphanedFriendships(next);
+                },
+                friendships: function (next) {
+                    Friendship.find({}, next);
+                }
+            }, function (err, results) {
+                if (err) return testComplete(err);
+
+                results.orphanIds.should.have.length(1);
+                results.orphanIds[0].equals(henry._id).should.be.true;
+
+                results.friendships.should.have.length(1);
+                results.friendships[0].requester.equals(sam._id).should.be.true;
+                results.friendships[0].requested.equals(ivan._id).should.be.true;
+
+                testComplete();
+            });
+        });
+
+        it('promises                - return a Promise when no callback is given', function (testComplete) {
+            new Friendship(docDescriptor).save(function (err) {
+                if (err) return testComplete(err);
+
+                var requests = Friendship.getRequests(jeff._id);
+
+                requests.should.be.an.instanceof(Promise);
+
+                requests.then(function (requests) {
+                    requests.sent.should.be.an.Array.with.length(1);
+                    requests.received.should.be.an.empty.Array;
+
+                    return Friendship.acceptRequest(jeff._id, zane._id);
+                }).then(function (friendship) {
+                    friendship.should.have.a.property('status', 'Accepted');
+
+                    return Friendship.getRelationship(jeff._id, zane._id);
+                }).then(function (relationship) {
+                    relationship.should.equal(Friendship.relationships.FRIENDS);
+
+                    return Friendship.isRequester(zane._id, jeff._id).then(function () {
+                        throw new Error('isRequester should have been rejected');
+                    }, function (err) {
+                        err.message.should.equal('Invalid friendshipId!');
+                        err.should.have.a.property('code', 'FRIENDSHIP_NOT_FOUND');
+                    });
+                }).then(function () {
+                    testComplete();
+                }, testComplete);
+            });
+        });
     });
 
     describe('methods', function () {
@@ -17,9 +17,30 @@ PersonSchema.plugin(friendsOfFriends.plugin, friendsOfFriends.options);
 
 var PersonModel = mongoose.model(friendsOfFriends.get('personModelName'), PersonSchema);
 
+// a second social graph with every opt-in feature enabled
+var featured = new FriendsOfFriends(mongoose, {
+	personModelName: 'test-featured-person',
+	friendshipModelName: 'test-featured-friendship',
+	friendListModelName: 'test-featured-friend-list',
+	follow: true,
+	syncFriends: true,
+	friendshipFields: { priority: Number },
+	visibility: { created: 'FRIENDS_OF_FRIENDS', friends: 'FRIENDS' }
+});
+
+var FeaturedPersonSchema = new mongoose.Schema({
+	username: String,
+	created: { type: Date, default: Date.now() }
+});
+
+FeaturedPersonSchema.plugin(featured.plugin, featured.options);
+
+mongoose.model(featured.get('personModelName'), FeaturedPersonSchema);
+
 var tests = {
 	friendship : require('./friendship'),
-	plugin : require('./plugin')
+	plugin : require('./plugin'),
+	features : require('./features')
 }
 
 describe('FriendsOfFriends', function () {
@@ -38,6 +59,143 @@ describe('FriendsOfFriends', function () {
 
 		testComplete();
 	});
+
+	it('should compile a separate Friendship model for each model name and connection', function (testComplete) {
+		var follows = new FriendsOfFriends(mongoose, {personModelName: 'test-person', friendshipModelName: 'test-follow'});
+		follows.Friendship.should.not.equal(friendsOfFriends.Friendship);
+		follows.Friendship.should.have.a.property('modelName', 'test-follow');
+
+		var connection = mongoose.createConnection();
+		var organizations = new FriendsOfFriends(mongoose, {personModelName: 'test-organization', connection: connection});
+		organizations.Friendship.should.not.equal(friendsOfFriends.Friendship);
+		organizations.Friendship.db.should.equal(connection);
+		friendsOfFriends.Friendship.db.should.equal(mongoose.connection);
+
+		var OrganizationSchema = new mongoose.Schema({ name: String });
+		OrganizationSchema.plugin(organizations.plugin, organizations.options);
+
+		var OrganizationModel = connection.model('test-organization', OrganizationSchema);
+		OrganizationModel.Friendship.should.equal(organizations.Friendship);
+		PersonModel.Friendship.should.equal(friendsOfFriends.Friendship);
+
+		testComplete();
+	});
+
+	it('should only share a Friendship model between instances with the same options', function (testComplete) {
+		var same = new FriendsOfFriends(mongoose, {personModelName: 'test-person'});
+		same.Friendship.should.equal(friendsOfFriends.Friendship);
+
+		(function () {
+			new FriendsOfFriends(mongoose, {personModelName: 'test-person', keepHistory: true});
+		}).should.throw(FriendsOfFriends.OptionsConflictError, { message: /"keepHistory"/ });
+
+		(function () {
+			new FriendsOfFriends(mongoose, {personModelName: 'test-person', friendshipFields: { priority: Number }});
+		}).should.throw(FriendsOfFriends.OptionsConflictError, { message: /"friendshipFields"/ });
+
+		testComplete();
+	});
+
+	it('should compile a separate FriendList model for each Friendship model', function (testComplete) {
+		var connection = mongoose.createConnection();
+
+		var players = new FriendsOfFriends(mongoose, {personModelName: 'test-player', friendshipModelName: 'test-player-friendship', connection: connection});
+		var organizations = new FriendsOfFriends(mongoose, {personModelName: 'test-organization', friendshipModelName: 'test-partnership', connection: connection});
+
+		friendsOfFriends.FriendList.should.have.a.property('modelName', 'FriendList');
+		players.FriendList.should.have.a.property('modelName', 'test-player-friendshipList');
+		organizations.FriendList.should.have.a.property('modelName', 'test-partnershipList');
+		players.FriendList.should.not.equal(organizations.FriendList);
+
+		(function () {
+			new FriendsOfFriends(mongoose, {
+				personModelName: 'test-organization',
+				friendshipModelName: 'test-alliance',
+				friendListModelName: 'test-player-friendshipList',
+				connection: connection
+			});
+		}).should.throw(FriendsOfFriends.OptionsConflictError, { message: /"personModelName"/ });
+
+		testComplete();
+	});
+
+	it('should refuse Friendship options given only to the plugin', function (testComplete) {
+		['follow', 'syncFriends', 'keepHistory'].forEach(function (name) {
+			var options = {};
+			options[name] = true;
+
+			(function () {
+				new mongoose.Schema({ name: String }).plugin(friendsOfFriends.plugin, options);
+			}).should.throw(FriendsOfFriends.OptionsConflictError, { message: new RegExp('"' + name + '"') });
+		});
+
+		(function () {
+			new mongoose.Schema({ name: String }).plugin(friendsOfFriends.plugin, friendsOfFriends.options);
+			new mongoose.Schema({ name: String }).plugin(friendsOfFriends.plugin, { visibility: { name: 'FRIENDS' } });
+		}).should.not.throw();
+
+		testComplete();
+	});
+
+	it('should expose error classes with stable codes', function (testComplete) {
+		var error = new FriendsOfFriends.RequestExistsError();
+
+		error.should.be.an.instanceof(Error);
+		error.should.be.an.instanceof(FriendsOfFriends.FriendsOfFriendsError);
+		error.should.have.a.property('name', 'RequestExistsError');
+		error.should.have.a.property('code', 'REQUEST_EXISTS');
+		error.should.have.a.property('message', 'A pending request already exists');
+		error.stack.should.be.a.String;
+
+		var limit = new FriendsOfFriends.MaxFriendsError('Cannot have more than 5000 friends');
+
+		limit.should.be.an.instanceof(FriendsOfFriends.LimitError);
+		limit.should.have.a.property('code', 'MAX_FRIENDS');
+		limit.should.have.a.property('message', 'Cannot have more than 5000 friends');
+
+		friendsOfFriends.errors.should.have.a.property('SelfRequestError', FriendsOfFriends.SelfRequestError);
+
+		(function () {
+			friendsOfFriends.before('explode', function () {});
+		}).should.throw(FriendsOfFriends.UnknownActionError);
+
+		(function () {
+			new mongoose.Schema({ email: String }).plugin(friendsOfFriends.plugin, { visibility: { email: 'BESTIES' } });
+		}).should.throw(FriendsOfFriends.InvalidVisibilityError);
+
+		testComplete();
+	});
+
+	it('should keep the positions of undefined arguments when promisified', function (testComplete) {
+		var promisify = require('../lib/promises').promisify;
+
+		var add = promisify(function (a, b, c, done) {
+			done(null, [ a, b, c ]);
+		});
+
+		add(1, undefined, 3, function (err, withCallback) {
+			if (err) return testComplete(err);
+
+			withCallback.should.eql([ 1, undefined, 3 ]);
+
+			// a callback followed by an omitted argument, as passed on by document methods
+			add(1, 2, 3, function (err, beforeUndefined) {
+				if (err) return testComplete(err);
+
+				beforeUndefined.should.eql([ 1, 2, 3 ]);
+
+				add(1, 2, undefined).then(function (promised) {
+					promised.should.eql([ 1, 2, undefined ]);
+
+					return add(1);
+				}).then(function (omitted) {
+					omitted.should.eql([ 1, undefined, undefined ]);
+
+					testComplete();
+				}).catch(testComplete);
+			}, undefined);
+		});
+	});
 });
 
 describe('friendOfFriends', function () {
@@ -83,14 +241,22 @@ describe('friendOfFriends', function () {
 		var relationships = friendsOfFriends.relationships;
 
 		var test = {
+		    '-1':               "BLOCKED",
 		    0:                  "NOT_FRIENDS",
 		    1:                  "FRIENDS_OF_FRIENDS",
 			2: 					"PENDING_FRIENDS",
 			3: 					"FRIENDS",
+		    4:                  "FOLLOWER",
+		    5:                  "FOLLOWING",
+		    6:                  "MUTUAL_FOLLOW",
+		    BLOCKED:            -1,
 		    NOT_FRIENDS:        0,
 		    FRIENDS_OF_FRIENDS: 1,
 		    PENDING_FRIENDS: 	2,
-		    FRIENDS:            3
+		    FRIENDS:            3,
+		    FOLLOWER:           4,
+		    FOLLOWING:          5,
+		    MUTUAL_FOLLOW:      6
 		};
 
 		var testStr = '{ ';
@@ -100,7 +266,7 @@ describe('friendOfFriends', function () {
 		for (value in test) {
 			testStr += value + ': ' + test[value];
 			
-			if (whichValue < 7) {
+			if (whichValue < 15) {
 				testStr += ', '
 			}
 
@@ -167,3 +333,7 @@ describe('Friendship', function () {
 describe('Person', function () {
 	tests.plugin(friendsOfFriends, mongoose)
 })
+
+describe('Person with follow, syncFriends, friendshipFields and visibility', function () {
+	tests.features(featured, mongoose)
+})
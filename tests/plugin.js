@@ -52,6 +52,7 @@ module.exports = function (friendsOfFriends, mongoose) {
                 PersonModel.friendRequest(testUsers.jeff._id, testUsers.zane._id, function (err, pendingFriendship) {
                     err.should.be.an.Error;
                     err.message.should.equal('A pending request already exists');
+                    err.should.have.a.property('code', 'REQUEST_EXISTS');
 
                     pendingFriendship.requester.should.have.a.property('_id', testUsers.jeff._id);
                     pendingFriendship.requested.should.have.a.property('_id', testUsers.zane._id);
@@ -70,6 +71,7 @@ module.exports = function (friendsOfFriends, mongoose) {
                         PersonModel.friendRequest(testUsers.jeff._id, testUsers.zane._id, function (err, pendingFriendship) {
                             err.should.be.an.Error;
                             err.message.should.equal('Requester and requested are already friends');
+                            err.should.have.a.property('code', 'ALREADY_FRIENDS');
 
                             friendship.requester.should.have.a.property('_id', testUsers.jeff._id);
                             friendship.requested.should.have.a.property('_id', testUsers.zane._id);
@@ -79,7 +81,7 @@ module.exports = function (friendsOfFriends, mongoose) {
 
                             PersonModel.friendRequest('abc', 'def', function (err, request) {
                                 err.should.be.an.Object;
-                                err.name.should.equal('CastError');
+                                err.should.have.a.property('code', 'INVALID_ID');
 
                                 (undefined === request).should.be.true;
 
@@ -302,7 +304,7 @@ module.exports = function (friendsOfFriends, mongoose) {
 
                 PersonModel.acceptRequest('abc', 'def', function (err, friendship) {
                     err.should.be.an.Object;
-                    err.name.should.equal('CastError');
+                    err.should.have.a.property('code', 'INVALID_ID');
 
                     (undefined === friendship).should.be.true;
 
@@ -310,6 +312,7 @@ module.exports = function (friendsOfFriends, mongoose) {
 
                         err.should.be.an.Error;
                         err.message.should.equal('Cannot accept request that does not exist!');
+                        err.should.have.a.property('code', 'REQUEST_NOT_FOUND');
 
                         (undefined === friendship).should.be.true;
 
@@ -402,6 +405,36 @@ module.exports = function (friendsOfFriends, mongoose) {
             });
         });
 
+        it('resyncFriends           - repair the friends array of a person', function (testComplete) {
+            async.series({
+                sent: function (next) {
+                    PersonModel.friendRequest(testUsers.jeff._id, testUsers.zane._id, next);
+                },
+                accepted: function (next) {
+                    PersonModel.acceptRequest(testUsers.jeff._id, testUsers.zane._id, next);
+                },
+                corrupted: function (next) {
+                    PersonModel.update({ _id: testUsers.jeff._id }, { '$set': { friends: [ testUsers.sam._id ] } }, next);
+                },
+                resynced: function (next) {
+                    PersonModel.resyncFriends(testUsers.jeff._id, next);
+                },
+                jeff: function (next) {
+                    PersonModel.findById(testUsers.jeff._id, next);
+                }
+            }, function (err, results) {
+                if (err) return testComplete(err);
+
+                results.resynced.should.have.a.lengthOf(1);
+                results.resynced[0].equals(testUsers.zane._id).should.be.true;
+
+                results.jeff.friends.should.have.a.lengthOf(1);
+                results.jeff.friends[0].equals(testUsers.zane._id).should.be.true;
+
+                testComplete();
+            });
+        });
+
         it('getFriends              - get all friends of a person', function (testComplete) {
             async.series({
                 sent: function (next) {
@@ -949,230 +982,1530 @@ module.exports = function (friendsOfFriends, mongoose) {
             })
         })
 
-        it('areFriendsOfFriends     - determine if person 1 and person 2 have any common friends', function (testComplete) {
+        it('areFriendsOfFriends     - determine if person 1 and person 2 have any common friends', function (testComplete) {
+            async.series({
+                jeffToZane: function (next) {
+                    PersonModel.friendRequest(testUsers.jeff._id, testUsers.zane._id, function (err, request) {
+                        next(err, request)
+                    })
+                },
+                jeffToZaneAccepted: function (next) {
+                    PersonModel.acceptRequest(testUsers.jeff._id, testUsers.zane._id, next)
+                },
+                zaneToSam: function (next) {
+                    PersonModel.friendRequest(testUsers.zane._id, testUsers.sam._id, function (err, request) {
+                        next(err, request)
+                    })
+                }, 
+                zaneToSamAccepted: function (next) {
+                    PersonModel.acceptRequest(testUsers.zane._id, testUsers.sam._id, next)
+                }, 
+                areFriendsOfFriends: function (next) {
+                    async.parallel({
+                        jeffAndZane: function (done) {
+                            PersonModel.areFriendsOfFriends(testUsers.jeff._id, testUsers.zane._id, done)
+                        },
+                        jeffAndSam: function (done) {
+                            PersonModel.areFriendsOfFriends(testUsers.jeff._id, testUsers.sam._id, done)
+                        },
+                        jeffAndHenry: function (done) {
+                            PersonModel.areFriendsOfFriends(testUsers.jeff._id, testUsers.henry._id, done)
+                        },
+                        zaneAndSam: function (done) {
+                            PersonModel.areFriendsOfFriends(testUsers.zane._id, testUsers.sam._id, done) 
+                        },
+                        zaneAndHenry: function (done) {
+                            PersonModel.areFriendsOfFriends(testUsers.zane._id, testUsers.henry._id, done)
+                        }, 
+                        samAndHenry: function (done) {
+                            PersonModel.areFriendsOfFriends(testUsers.sam._id, testUsers.henry._id, done)
+                        }
+                    }, function (err, results) {
+                        next(err, results)
+                    })
+                }
+            }, function (err, results) {
+                if (err) return testComplete(err) 
+
+                results.jeffToZane.requester.should.have.a.property('_id', testUsers.jeff._id)
+                results.jeffToZane.requested.should.have.a.property('_id', testUsers.zane._id)
+                results.jeffToZane.should.have.a.property('status', 'Pending')
+                results.jeffToZane.dateSent.should.be.an.instanceof(Date)
+
+                results.jeffToZaneAccepted.requester.should.have.a.property('_id', testUsers.jeff._id)
+                results.jeffToZaneAccepted.requested.should.have.a.property('_id', testUsers.zane._id)
+                results.jeffToZaneAccepted.should.have.a.property('status', 'Accepted')
+                results.jeffToZaneAccepted.dateSent.should.be.an.instanceof(Date)
+
+                results.zaneToSam.requester.should.have.a.property('_id', testUsers.zane._id)
+                results.zaneToSam.requested.should.have.a.property('_id', testUsers.sam._id)
+                results.zaneToSam.should.have.a.property('status', 'Pending')
+                results.zaneToSam.dateSent.should.be.an.instanceof(Date)
+
+                results.zaneToSamAccepted.requester.should.have.a.property('_id', testUsers.zane._id)
+                results.zaneToSamAccepted.requested.should.have.a.property('_id', testUsers.sam._id)
+                results.zaneToSamAccepted.should.have.a.property('status', 'Accepted')
+                results.zaneToSamAccepted.dateSent.should.be.an.instanceof(Date)
+
+                results.areFriendsOfFriends.jeffAndZane.should.be.false;
+                results.areFriendsOfFriends.jeffAndSam.should.be.true;
+                results.areFriendsOfFriends.jeffAndHenry.should.be.false;
+                results.areFriendsOfFriends.zaneAndSam.should.be.false;
+                results.areFriendsOfFriends.zaneAndHenry.should.be.false;
+                results.areFriendsOfFriends.samAndHenry.should.be.false;
+                
+                testComplete()
+            })
+        })
+
+        it('arePendingFriends       - determine if the two people have a pending friendship', function (testComplete) {
+             async.series({
+                pre: function (next) {
+                    PersonModel.arePendingFriends(testUsers.jeff._id, testUsers.zane._id, next);
+                },
+                request: function (next) {
+                    PersonModel.friendRequest(testUsers.jeff._id, testUsers.zane._id, function (err, pendingFriendship) {
+                        next(err, pendingFriendship);
+                    });
+                },
+                post: function (next) {
+                    PersonModel.arePendingFriends(testUsers.jeff._id, testUsers.zane._id, next);
+                },
+                friendship: function (next) {
+                    PersonModel.acceptRequest(testUsers.jeff._id, testUsers.zane._id, next);
+                },
+                accepted: function (next) {
+                    PersonModel.arePendingFriends(testUsers.jeff._id, testUsers.zane._id, next);
+                }
+            }, 
+            function (err, results) {
+                if (err) return testComplete(err);
+
+                results.pre.should.be.false;
+                results.request.should.be.ok;
+                results.post.should.be.ok;
+                results.friendship.should.be.ok;
+                results.accepted.should.be.false;
+
+                PersonModel.arePendingFriends(1234, 5678, function (err, answer) {
+                    err.should.be.an.Error;
+                    (answer === undefined).should.be.true;
+
+                    testComplete();
+                });
+            });
+        });
+
+        it('getFriendship           - get the friendship document itself', function (testComplete) {
+            async.series({
+                sent: function (next) {
+                    PersonModel.friendRequest(testUsers.jeff._id, testUsers.zane._id, function (err, request) {
+                        next(err, request)
+                    })
+                },
+                accepted: function (next) {
+                    PersonModel.acceptRequest(testUsers.jeff._id, testUsers.zane._id, next)
+                },
+                friendship: function (next) {
+                    PersonModel.getFriendship(testUsers.jeff._id, testUsers.zane._id, next)
+                }
+            }, function (err, results) {
+                if (err) return testComplete(err)
+
+                results.sent.requester.should.have.a.property('_id', testUsers.jeff._id)
+                results.sent.requested.should.have.a.property('_id', testUsers.zane._id)
+                results.sent.should.have.a.property('status', 'Pending')
+                results.sent.dateSent.should.be.an.instanceof(Date)
+
+                results.accepted.requester.should.have.a.property('_id', testUsers.jeff._id)
+                results.accepted.requested.should.have.a.property('_id', testUsers.zane._id)
+                results.accepted.should.have.a.property('status', 'Accepted')
+                results.accepted.dateSent.should.be.an.instanceof(Date)
+
+                results.friendship.requester.should.have.a.property('_id', testUsers.jeff._id)
+                results.friendship.requested.should.have.a.property('_id', testUsers.zane._id)
+                results.friendship.should.have.a.property('status', 'Accepted')
+                results.friendship.dateSent.should.be.an.instanceof(Date)
+            
+                testComplete()
+            })
+        })
+
+        it('getRelationship         - get the numeric relationship between two users', function (testComplete) {
+            async.series({
+                jeffToZane: function (next) {
+                    PersonModel.friendRequest(testUsers.jeff._id, testUsers.zane._id, function (err, request) {
+                        next(err, request)
+                    })
+                },
+                jeffToZaneAccepted: function (next) {
+                    PersonModel.acceptRequest(testUsers.jeff._id, testUsers.zane._id, next)
+                },
+                zaneToSam: function (next) {
+                    PersonModel.friendRequest(testUsers.zane._id, testUsers.sam._id, function (err, request) {
+                        next(err, request)
+                    })
+                }, 
+                zaneToSamAccepted: function (next) {
+                    PersonModel.acceptRequest(testUsers.zane._id, testUsers.sam._id, next)
+                }, 
+                relationships: function (next) {
+                    async.parallel({
+                        jeffAndZane: function (done) {
+                            PersonModel.getRelationship(testUsers.jeff._id, testUsers.zane._id, done)
+                        },
+                        jeffAndSam: function (done) {
+                            PersonModel.getRelationship(testUsers.jeff._id, testUsers.sam._id, done)
+                        },
+                        jeffAndHenry: function (done) {
+                            PersonModel.getRelationship(testUsers.jeff._id, testUsers.henry._id, done)
+                        },
+                        zaneAndSam: function (done) {
+                            PersonModel.getRelationship(testUsers.zane._id, testUsers.sam._id, done) 
+                        },
+                        zaneAndHenry: function (done) {
+                            PersonModel.getRelationship(testUsers.zane._id, testUsers.henry._id, done)
+                        }, 
+                        samAndHenry: function (done) {
+                            PersonModel.getRelationship(testUsers.sam._id, testUsers.henry._id, done)
+                        }
+                    }, function (err, results) {
+                        next(err, results)
+                    })
+                }
+            }, function (err, results) {
+                if (err) return testComplete(err)
+
+                results.jeffToZane.requester.should.have.a.property('_id', testUsers.jeff._id)
+                results.jeffToZane.requested.should.have.a.property('_id', testUsers.zane._id)
+                results.jeffToZane.should.have.a.property('status', 'Pending')
+                results.jeffToZane.dateSent.should.be.an.instanceof(Date)
+
+                results.jeffToZaneAccepted.requester.should.have.a.property('_id', testUsers.jeff._id)
+                results.jeffToZaneAccepted.requested.should.have.a.property('_id', testUsers.zane._id)
+                results.jeffToZaneAccepted.should.have.a.property('status', 'Accepted')
+                results.jeffToZaneAccepted.dateSent.should.be.an.instanceof(Date)
+
+                results.zaneToSam.requester.should.have.a.property('_id', testUsers.zane._id)
+                results.zaneToSam.requested.should.have.a.property('_id', testUsers.sam._id)
+                results.zaneToSam.should.have.a.property('status', 'Pending')
+                results.zaneToSam.dateSent.should.be.an.instanceof(Date)
+
+                results.zaneToSamAccepted.requester.should.have.a.property('_id', testUsers.zane._id)
+                results.zaneToSamAccepted.requested.should.have.a.property('_id', testUsers.sam._id)
+                results.zaneToSamAccepted.should.have.a.property('status', 'Accepted')
+                results.zaneToSamAccepted.dateSent.should.be.an.instanceof(Date)
+
+                results.relationships.jeffAndZane   .should.equal(relationships.FRIENDS)
+                results.relationships.jeffAndSam    .should.equal(relationships.FRIENDS_OF_FRIENDS)
+                results.relationships.jeffAndHenry  .should.equal(relationships.NOT_FRIENDS)
+                results.relationships.zaneAndSam    .should.equal(relationships.FRIENDS)
+                results.relationships.zaneAndHenry  .should.equal(relationships.NOT_FRIENDS)
+                results.relationships.samAndHenry   .should.equal(relationships.NOT_FRIENDS)
+            
+                testComplete()
+            })
+        })
+
+        it('getShortestPath         - get the shortest chain of people connecting two people', function (testComplete) {
+            async.series({
+                jeffToZane: function (next) {
+                    PersonModel.friendRequest(testUsers.jeff._id, testUsers.zane._id, next);
+                },
+                jeffToZaneAccepted: function (next) {
+                    PersonModel.acceptRequest(testUsers.jeff._id, testUsers.zane._id, next);
+                },
+                zaneToSam: function (next) {
+                    PersonModel.friendRequest(testUsers.zane._id, testUsers.sam._id, next);
+                },
+                zaneToSamAccepted: function (next) {
+                    PersonModel.acceptRequest(testUsers.zane._id, testUsers.sam._id, next);
+                },
+                paths: function (next) {
+                    async.parallel({
+                        jeffAndSam: function (done) {
+                            PersonModel.getShortestPath(testUsers.jeff._id, testUsers.sam._id, done);
+                        },
+                        jeffAndHenry: function (done) {
+                            PersonModel.getShortestPath(testUsers.jeff._id, testUsers.henry._id, done);
+                        },
+                        degree: function (done) {
+                            PersonModel.getDegreeOfSeparation(testUsers.jeff._id, testUsers.sam._id, done);
+                        },
+                        degreeTooDeep: function (done) {
+                            PersonModel.getDegreeOfSeparation(testUsers.jeff._id, testUsers.sam._id, { maxDepth: 1 }, done);
+                        }
+                    }, next);
+                }
+            }, function (err, results) {
+                if (err) return testComplete(err);
+
+                results.paths.jeffAndSam.should.be.an.Array.with.length(3);
+                results.paths.jeffAndSam[0].should.have.a.property('username', 'Jeff');
+                results.paths.jeffAndSam[1].should.have.a.property('username', 'Zane');
+                results.paths.jeffAndSam[2].should.have.a.property('username', 'Sam');
+
+                (results.paths.jeffAndHenry === null).should.be.true;
+
+                results.paths.degree.should.equal(2);
+                (results.paths.degreeTooDeep === null).should.be.true;
+
+                testComplete();
+            });
+        });
+
+        it('block                   - block a person', function (testComplete) {
+            async.series({
+                sent: function (next) {
+                    PersonModel.friendRequest(testUsers.jeff._id, testUsers.zane._id, next);
+                },
+                block: function (next) {
+                    PersonModel.block(testUsers.zane._id, testUsers.jeff._id, next);
+                },
+                pending: function (next) {
+                    PersonModel.getPendingFriends(testUsers.jeff._id, next);
+                },
+                blocked: function (next) {
+                    PersonModel.getBlocked(testUsers.zane._id, next);
+                },
+                isBlocked: function (next) {
+                    PersonModel.isBlocked(testUsers.zane._id, testUsers.jeff._id, next);
+                },
+                nonFriends: function (next) {
+                    PersonModel.getNonFriends(testUsers.jeff._id, next);
+                },
+                relationship: function (next) {
+                    PersonModel.getRelationship(testUsers.jeff._id, testUsers.zane._id, next);
+                }
+            }, function (err, results) {
+                if (err) return testComplete(err);
+
+                results.block.requester.should.have.a.property('_id', testUsers.zane._id);
+                results.block.requested.should.have.a.property('_id', testUsers.jeff._id);
+                results.block.should.have.a.property('status', 'Blocked');
+
+                results.pending.should.be.an.empty.Array;
+
+                results.blocked.should.be.an.Array.with.length(1);
+                results.blocked[0].should.have.a.property('_id', testUsers.jeff._id);
+
+                results.isBlocked.should.be.true;
+
+                // sam and henry, but not zane
+                results.nonFriends.should.be.an.Array.with.length(2);
+
+                results.relationship.should.equal(relationships.BLOCKED);
+
+                // requests are refused in both directions
+                PersonModel.friendRequest(testUsers.jeff._id, testUsers.zane._id, function (err, request) {
+                    err.should.be.an.Error;
+                    (undefined === request).should.be.true;
+
+                    PersonModel.friendRequest(testUsers.zane._id, testUsers.jeff._id, function (err, request) {
+                        err.should.be.an.Error;
+                        (undefined === request).should.be.true;
+
+                        PersonModel.unblock(testUsers.zane._id, testUsers.jeff._id, function (err) {
+                            if (err) return testComplete(err);
+
+                            PersonModel.friendRequest(testUsers.jeff._id, testUsers.zane._id, function (err, request) {
+                                if (err) return testComplete(err);
+
+                                request.should.have.a.property('status', 'Pending');
+
+                                testComplete();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+
+        it('friendRequest           - accept a crossing request instead of sending another', function (testComplete) {
+            async.series({
+                sent: function (next) {
+                    PersonModel.friendRequest(testUsers.jeff._id, testUsers.zane._id, next);
+                },
+                crossing: function (next) {
+                    PersonModel.friendRequest(testUsers.zane._id, testUsers.jeff._id, next);
+                },
+                friendships: function (next) {
+                    Friendship.find({}, next);
+                }
+            }, function (err, results) {
+                if (err) return testComplete(err);
+
+                results.sent.should.have.a.property('status', 'Pending');
+
+                results.crossing.requester.should.have.a.property('_id', testUsers.jeff._id);
+                results.crossing.requested.should.have.a.property('_id', testUsers.zane._id);
+                results.crossing.should.have.a.property('status', 'Accepted');
+                results.crossing.dateAccepted.should.be.an.instanceof(Date);
+
+                results.friendships.should.be.an.Array.with.length(1);
+
+                PersonModel.friendRequest(testUsers.zane._id, testUsers.jeff._id, function (err, friendship) {
+                    err.should.be.an.Error;
+                    err.message.should.equal('Requester and requested are already friends');
+
+                    friendship.should.have.a.property('status', 'Accepted');
+
+                    testComplete();
+                });
+            });
+        });
+
+        it('events                  - emit an event when a friendship changes', function (testComplete) {
+            var events = [];
+
+            function listen (event) {
+                events.push(event);
+            }
+
+            var eventNames = [ 'request:sent', 'request:accepted', 'friendship:ended', 'request:denied' ];
+
+            eventNames.forEach(function (eventName) {
+                friendsOfFriends.on(eventName, listen);
+            });
+
+            async.series({
+                sent: function (next) {
+                    PersonModel.friendRequest(testUsers.jeff._id, testUsers.zane._id, next);
+                },
+                accepted: function (next) {
+                    PersonModel.acceptRequest(testUsers.jeff._id, testUsers.zane._id, next);
+                },
+                ended: function (next) {
+                    PersonModel.endFriendship(testUsers.zane._id, testUsers.jeff._id, next);
+                },
+                denied: function (next) {
+                    PersonModel.denyRequest(testUsers.jeff._id, testUsers.zane._id, next);
+                }
+            }, function (err, results) {
+                eventNames.forEach(function (eventName) {
+                    friendsOfFriends.removeListener(eventName, listen);
+                });
+
+                if (err) return testComplete(err);
+
+                // nothing was denied, so only three events were emitted
+                events.should.be.an.Array.with.length(3);
+
+                events[0].friendship.should.have.a.property('status', 'Pending');
+                events[1].friendship.should.have.a.property('status', 'Accepted');
+                events[2].friendship.should.have.a.property('status', 'Accepted');
+
+                events.forEach(function (event) {
+                    event.requesterId.equals(testUsers.jeff._id).should.be.true;
+                    event.requestedId.equals(testUsers.zane._id).should.be.true;
+                    event.friendship.requester.should.have.a.property('username', 'Jeff');
+                    event.friendship.requested.should.have.a.property('username', 'Zane');
+                });
+
+                testComplete();
+            });
+        });
+
+        it('events                  - emit the events of the friendships a block closes', function (testComplete) {
+            var events = [];
+
+            function listen (event) {
+                events.push(event);
+            }
+
+            var eventNames = [ 'friendship:ended', 'request:cancelled', 'person:blocked' ];
+
+            eventNames.forEach(function (eventName) {
+                friendsOfFriends.on(eventName, listen);
+            });
+
+            async.series({
+                sentToZane: function (next) {
+                    PersonModel.friendRequest(testUsers.jeff._id, testUsers.zane._id, next);
+                },
+                acceptedByZane: function (next) {
+                    PersonModel.acceptRequest(testUsers.jeff._id, testUsers.zane._id, next);
+                },
+                sentToSam: function (next) {
+                    PersonModel.friendRequest(testUsers.jeff._id, testUsers.sam._id, next);
+                },
+                zaneBlocked: function (next) {
+                    PersonModel.block(testUsers.zane._id, testUsers.jeff._id, next);
+                },
+                samBlocked: function (next) {
+                    PersonModel.block(testUsers.sam._id, testUsers.jeff._id, next);
+                }
+            }, function (err) {
+                eventNames.forEach(function (eventName) {
+                    friendsOfFriends.removeListener(eventName, listen);
+                });
+
+                if (err) return testComplete(err);
+
+                events.should.be.an.Array.with.length(4);
+
+                events[0].friendship.should.have.a.property('status', 'Accepted');
+                events[0].friendship.requested.should.have.a.property('username', 'Zane');
+                events[1].friendship.should.have.a.property('status', 'Blocked');
+                events[2].friendship.should.have.a.property('status', 'Pending');
+                events[2].friendship.requested.should.have.a.property('username', 'Sam');
+                events[3].friendship.should.have.a.property('status', 'Blocked');
+
+                testComplete();
+            });
+        });
+
+        it('before                  - veto an action with a before-hook', function (testComplete) {
+            var hookArgs;
+
+            function veto (requesterId, requestedId, next) {
+                hookArgs = [ requesterId, requestedId ];
+
+                setImmediate(next, new Error('Requests are closed'));
+            }
+
+            friendsOfFriends.before('friendRequest', veto);
+
+            PersonModel.friendRequest(testUsers.jeff._id, testUsers.zane._id, function (err, request) {
+                friendsOfFriends.removeBefore('friendRequest', veto);
+
+                err.should.be.an.Error;
+                err.message.should.equal('Requests are closed');
+                (undefined === request).should.be.true;
+
+                hookArgs[0].should.equal(testUsers.jeff._id);
+                hookArgs[1].should.equal(testUsers.zane._id);
+
+                (function () {
+                    friendsOfFriends.before('makeFriends', veto);
+                }).should.throw();
+
+                Friendship.find({}, function (err, friendships) {
+                    if (err) return testComplete(err);
+
+                    friendships.should.be.an.empty.Array;
+
+                    PersonModel.friendRequest(testUsers.jeff._id, testUsers.zane._id, function (err, request) {
+                        if (err) return testComplete(err);
+
+                        request.should.have.a.property('status', 'Pending');
+
+                        testComplete();
+                    });
+                });
+            });
+        });
+
+        it('paging                  - get friend lists and requests a page at a time', function (testComplete) {
+            async.series({
+                sentToZane: function (next) {
+                    PersonModel.friendRequest(testUsers.jeff._id, testUsers.zane._id, next);
+                },
+                sentToSam: function (next) {
+                    PersonModel.friendRequest(testUsers.jeff._id, testUsers.sam._id, next);
+                },
+                sentToHenry: function (next) {
+                    PersonModel.friendRequest(testUsers.jeff._id, testUsers.henry._id, next);
+                },
+                firstSentPage: function (next) {
+                    PersonModel.getSentRequests(testUsers.jeff._id, { limit: 2 }, next);
+                }
+            }, function (err, results) {
+                if (err) return testComplete(err);
+
+                results.firstSentPage.items.should.be.an.Array.with.length(2);
+                results.firstSentPage.items[0].requested.should.have.a.property('username', 'Henry');
+                results.firstSentPage.items[1].requested.should.have.a.property('username', 'Sam');
+                results.firstSentPage.hasMore.should.be.true;
+                results.firstSentPage.nextCursor.should.be.a.String;
+
+                async.series({
+                    lastSentPage: function (next) {
+                        PersonModel.getSentRequests(testUsers.jeff._id, { limit: 2, after: results.firstSentPage.nextCursor }, next);
+                    },
+                    firstRequestsPage: function (next) {
+                        PersonModel.getRequests(testUsers.zane._id, { limit: 1 }, next);
+                    },
+                    badCursor: function (next) {
+                        PersonModel.getSentRequests(testUsers.jeff._id, { after: 'not a cursor' }, function (err) {
+                            next(null, err);
+                        });
+                    },
+                    badCursorId: function (next) {
+                        var cursor = Buffer.from(JSON.stringify([ Date.now(), { '$gt': '' } ])).toString('base64');
+
+                        PersonModel.getSentRequests(testUsers.jeff._id, { after: cursor }, function (err) {
+                            next(null, err);
+                        });
+                    },
+                    badLimit: function (next) {
+                        PersonModel.getFriends(testUsers.jeff._id, { page: { limit: -1 } }, function (err) {
+                            next(null, err);
+                        });
+                    },
+                    stringLimit: function (next) {
+                        PersonModel.getSentRequests(testUsers.jeff._id, { limit: '1' }, next);
+                    },
+                    acceptedByZane: function (next) {
+                        PersonModel.acceptRequest(testUsers.jeff._id, testUsers.zane._id, next);
+                    },
+                    acceptedBySam: function (next) {
+                        PersonModel.acceptRequest(testUsers.jeff._id, testUsers.sam._id, next);
+                    },
+                    firstFriendsPage: function (next) {
+                        PersonModel.getFriends(testUsers.jeff._id, { page: { limit: 1 } }, next);
+                    },
+                    nonFriendsPage: function (next) {
+                        PersonModel.getNonFriends(testUsers.jeff._id, { page: { limit: 1 } }, next);
+                    }
+                }, function (err, results) {
+                    if (err) return testComplete(err);
+
+                    results.lastSentPage.items.should.be.an.Array.with.length(1);
+                    results.lastSentPage.items[0].requested.should.have.a.property('username', 'Zane');
+                    results.lastSentPage.hasMore.should.be.false;
+                    (null === results.lastSentPage.nextCursor).should.be.true;
+
+                    results.firstRequestsPage.sent.should.be.an.empty.Array;
+                    results.firstRequestsPage.received.should.be.an.Array.with.length(1);
+                    results.firstRequestsPage.hasMore.should.be.false;
+                    (null === results.firstRequestsPage.nextCursor).should.be.true;
+
+                    results.badCursor.should.be.an.Error;
+                    results.badCursor.message.should.equal('Invalid cursor');
+                results.badCursor.should.have.a.property('code', 'INVALID_CURSOR');
+
+                    results.badCursorId.should.have.a.property('code', 'INVALID_CURSOR');
+                    results.badLimit.should.have.a.property('code', 'INVALID_LIMIT');
+                    results.stringLimit.items.should.be.an.Array.with.length(1);
+                    results.stringLimit.hasMore.should.be.true;
+
+                    // sam accepted most recently
+                    results.firstFriendsPage.items.should.be.an.Array.with.length(1);
+                    results.firstFriendsPage.items[0].should.have.a.property('username', 'Sam');
+                    results.firstFriendsPage.hasMore.should.be.true;
+
+                    // henry is jeff's only non-friend
+                    results.nonFriendsPage.items.should.be.an.Array.with.length(1);
+                    results.nonFriendsPage.items[0].should.have.a.property('username', 'Henry');
+                    results.nonFriendsPage.hasMore.should.be.false;
+
+                    PersonModel.getFriends(testUsers.jeff._id, { page: { limit: 1, after: results.firstFriendsPage.nextCursor } }, function (err, lastFriendsPage) {
+                        if (err) return testComplete(err);
+
+                        lastFriendsPage.items.should.be.an.Array.with.length(1);
+                        lastFriendsPage.items[0].should.have.a.property('username', 'Zane');
+                        lastFriendsPage.hasMore.should.be.false;
+
+                        testComplete();
+                    });
+                });
+            });
+        });
+
+        it('paging                  - filter before the limit and page past friendships without a date', function (testComplete) {
+            var notSam = { username: { '$ne': 'Sam' } };
+
+            async.series({
+                jeffRequestsZane: function (next) {
+                    PersonModel.friendRequest(testUsers.jeff._id, testUsers.zane._id, next);
+                },
+                zaneAccepts: function (next) {
+                    PersonModel.acceptRequest(testUsers.jeff._id, testUsers.zane._id, next);
+                },
+                jeffRequestsSam: function (next) {
+                    PersonModel.friendRequest(testUsers.jeff._id, testUsers.sam._id, next);
+                },
+                samAccepts: function (next) {
+                    PersonModel.acceptRequest(testUsers.jeff._id, testUsers.sam._id, next);
+                },
+                jeffRequestsHenry: function (next) {
+                    PersonModel.friendRequest(testUsers.jeff._id, testUsers.henry._id, next);
+                },
+                henryAccepts: function (next) {
+                    PersonModel.acceptRequest(testUsers.jeff._id, testUsers.henry._id, next);
+                },
+                // e.g. a friendship accepted before dateAccepted was recorded
+                undateZane: function (next) {
+                    Friendship.update({ requester: testUsers.jeff._id, requested: testUsers.zane._id }, { '$unset': { dateAccepted: 1 } }, next);
+                },
+                firstPage: function (next) {
+                    PersonModel.getFriends(testUsers.jeff._id, { conditions: notSam, page: { limit: 1 } }, next);
+                }
+            }, function (err, results) {
+                if (err) return testComplete(err);
+
+                results.firstPage.items.should.be.an.Array.with.length(1);
+                results.firstPage.items[0].should.have.a.property('username', 'Henry');
+                results.firstPage.hasMore.should.be.true;
+
+                var after = results.firstPage.nextCursor;
+
+                PersonModel.getFriends(testUsers.jeff._id, { conditions: notSam, page: { limit: 1, after: after } }, function (err, lastPage) {
+                    if (err) return testComplete(err);
+
+                    // sam is left out before the limit, and zane is last as he has no dateAccepted
+                    lastPage.items.should.be.an.Array.with.length(1);
+                    lastPage.items[0].should.have.a.property('username', 'Zane');
+                    lastPage.hasMore.should.be.false;
+
+                    testComplete();
+                });
+            });
+        });
+
+        it('getMutualFriends        - get the friends two people have in common', function (testComplete) {
+            async.series({
+                jeffAndZane: function (next) {
+                    PersonModel.friendRequest(testUsers.jeff._id, testUsers.zane._id, next);
+                },
+                zaneAccepts: function (next) {
+                    PersonModel.acceptRequest(testUsers.jeff._id, testUsers.zane._id, next);
+                },
+                samAndZane: function (next) {
+                    PersonModel.friendRequest(testUsers.sam._id, testUsers.zane._id, next);
+                },
+                zaneAcceptsSam: function (next) {
+                    PersonModel.acceptRequest(testUsers.sam._id, testUsers.zane._id, next);
+                },
+                mutualFriends: function (next) {
+                    PersonModel.getMutualFriends(testUsers.jeff._id, testUsers.sam._id, next);
+                },
+                projected: function (next) {
+                    PersonModel.getMutualFriends(testUsers.jeff._id, testUsers.sam._id, { projection: 'username' }, next);
+                },
+                filtered: function (next) {
+                    PersonModel.getMutualFriends(testUsers.jeff._id, testUsers.sam._id, { conditions: { username: 'Henry' } }, next);
+                },
+                count: function (next) {
+                    testUsers.sam.getMutualFriendCount(testUsers.jeff._id, next);
+                }
+            }, function (err, results) {
+                if (err) return testComplete(err);
+
+                results.mutualFriends.should.be.an.Array.with.length(1);
+                results.mutualFriends[0].should.have.a.property('username', 'Zane');
+
+                results.projected.should.be.an.Array.with.length(1);
+                results.projected[0].isSelected('created').should.be.false;
+
+                results.filtered.should.be.an.empty.Array;
+
+                results.count.should.equal(1);
+
+                testComplete();
+            });
+        });
+
+        it('getSuggestions          - suggest people a person may know', function (testComplete) {
+            async.series({
+                jeffAndZane: function (next) {
+                    PersonModel.friendRequest(testUsers.jeff._id, testUsers.zane._id, next);
+                },
+                zaneAccepts: function (next) {
+                    PersonModel.acceptRequest(testUsers.jeff._id, testUsers.zane._id, next);
+                },
+                samAndZane: function (next) {
+                    PersonModel.friendRequest(testUsers.sam._id, testUsers.zane._id, next);
+                },
+                zaneAcceptsSam: function (next) {
+                    PersonModel.acceptRequest(testUsers.sam._id, testUsers.zane._id, next);
+                },
+                suggestions: function (next) {
+                    testUsers.jeff.getSuggestions({ algorithm: 'jaccard' }, next);
+                },
+                withoutParams: function (next) {
+                    PersonModel.getSuggestions(testUsers.jeff._id, next);
+                },
+                promised: function (next) {
+                    PersonModel.getSuggestions(testUsers.jeff._id).then(function (suggestions) {
+                        next(null, suggestions);
+                    }, next);
+                }
+            }, function (err, results) {
+                if (err) return testComplete(err);
+
+                results.suggestions.should.be.an.Array.with.length(1);
+                results.suggestions[0].person.should.have.a.property('username', 'Sam');
+                results.suggestions[0].score.should.equal(1);
+                results.suggestions[0].mutualFriends.should.be.an.Array.with.length(1);
+                results.suggestions[0].mutualFriends[0].should.have.a.property('username', 'Zane');
+
+                // without params, suggestions are still populated
+                [ results.withoutParams, results.promised ].forEach(function (suggestions) {
+                    suggestions.should.be.an.Array.with.length(1);
+                    suggestions[0].person.should.have.a.property('username', 'Sam');
+                    suggestions[0].score.should.equal(1);
+                    suggestions[0].mutualFriends[0].should.have.a.property('username', 'Zane');
+                });
+
+                testComplete();
+            });
+        });
+
+        it('friendRequest           - send a message and metadata with a request', function (testComplete) {
+            var details = {
+                message: 'We met at the conference',
+                source: 'search',
+                metadata: { query: 'zane' },
+                status: 'Accepted'
+            };
+
+            async.series({
+                sent: function (next) {
+                    PersonModel.friendRequest(testUsers.jeff._id, testUsers.zane._id, details, next);
+                },
+                sentWithoutDetails: function (next) {
+                    testUsers.sam.friendRequest(testUsers.zane._id, next);
+                },
+                sentWithNullDetails: function (next) {
+                    PersonModel.friendRequest(testUsers.henry._id, testUsers.zane._id, null, next);
+                },
+                requests: function (next) {
+                    PersonModel.getReceivedRequests(testUsers.zane._id, next);
+                },
+                fromSearch: function (next) {
+                    Friendship.find({ source: 'search' }, next);
+                }
+            }, function (err, results) {
+                if (err) return testComplete(err);
+
+                results.sent.should.have.a.property('message', 'We met at the conference');
+                results.sent.should.have.a.property('source', 'search');
+                results.sent.metadata.should.eql({ query: 'zane' });
+
+                // the status can not be chosen by the requester
+                results.sent.should.have.a.property('status', 'Pending');
+
+                (undefined === results.sentWithoutDetails.message).should.be.true;
+                results.sentWithNullDetails.should.have.a.property('status', 'Pending');
+
+                results.requests.should.be.an.Array.with.length(3);
+                results.requests.filter(function (request) {
+                    return request.message === 'We met at the conference';
+                }).should.have.length(1);
+
+                results.fromSearch.should.be.an.Array.with.length(1);
+                results.fromSearch[0].requester.equals(testUsers.jeff._id).should.be.true;
+
+                testComplete();
+            });
+        });
+
+        it('friendRequest           - send a request again once the last one has expired', function (testComplete) {
+
+            friendsOfFriends.set('requestTTL', 7);
+
+            async.series({
+                sent: function (next) {
+                    PersonModel.friendRequest(testUsers.jeff._id, testUsers.zane._id, next);
+                },
+                sentAgain: function (next) {
+                    PersonModel.friendRequest(testUsers.jeff._id, testUsers.zane._id, function (err) {
+                        next(null, err);
+                    });
+                },
+                aged: function (next) {
+                    var weekAgo = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000);
+
+                    Friendship.update({ requester: testUsers.jeff._id }, { dateSent: weekAgo }, next);
+                },
+                received: function (next) {
+                    PersonModel.getReceivedRequests(testUsers.zane._id, next);
+                },
+                resent: function (next) {
+                    PersonModel.friendRequest(testUsers.jeff._id, testUsers.zane._id, next);
+                },
+                friendships: function (next) {
+                    Friendship.find({ requester: testUsers.jeff._id }, next);
+                }
+            }, function (err, results) {
+                friendsOfFriends.set('requestTTL', undefined);
+
+                if (err) return testComplete(err);
+
+                results.sentAgain.should.be.an.Error;
+                results.sentAgain.should.have.a.property('message', 'A pending request already exists');
+
+                results.received.should.be.an.empty.Array;
+
+                results.resent.should.have.a.property('status', 'Pending');
+                results.resent._id.equals(results.sent._id).should.be.false;
+
+                results.friendships.should.be.an.Array.with.length(1);
+
+                testComplete();
+            });
+        });
+
+        it('friendRequest           - refuse requests that break the request limits', function (testComplete) {
+
+            friendsOfFriends.set('denyCooldown', 7);
+            friendsOfFriends.set('maxPendingRequests', 1);
+            friendsOfFriends.set('maxRequests', 3);
+
+            function refused (requesterId, requestedId) {
+                return function (next) {
+                    PersonModel.friendRequest(requesterId, requestedId, function (err) {
+                        next(null, err);
+                    });
+                };
+            }
+
+            var ivan = new PersonModel({ username: 'Ivan' });
+
+            async.series({
+                ivan: function (next) {
+                    ivan.save(next);
+                },
+                toZane: function (next) {
+                    PersonModel.friendRequest(testUsers.jeff._id, testUsers.zane._id, next);
+                },
+                tooManyPending: refused(testUsers.jeff._id, testUsers.sam._id),
+                denied: function (next) {
+                    PersonModel.denyRequest(testUsers.jeff._id, testUsers.zane._id, next);
+                },
+                cooldown: refused(testUsers.jeff._id, testUsers.zane._id),
+                toSam: function (next) {
+                    PersonModel.friendRequest(testUsers.jeff._id, testUsers.sam._id, next);
+                },
+                cancelled: function (next) {
+                    PersonModel.cancelRequest(testUsers.jeff._id, testUsers.sam._id, next);
+                },
+                cancelCooldown: refused(testUsers.jeff._id, testUsers.sam._id),
+                toHenry: function (next) {
+                    PersonModel.friendRequest(testUsers.jeff._id, testUsers.henry._id, next);
+                },
+                cancelledAgain: function (next) {
+                    PersonModel.cancelRequest(testUsers.jeff._id, testUsers.henry._id, next);
+                },
+                rateLimited: refused(testUsers.jeff._id, ivan._id),
+                fromSam: function (next) {
+                    PersonModel.friendRequest(testUsers.sam._id, testUsers.zane._id, next);
+                }
+            }, function (err, results) {
+                friendsOfFriends.set('denyCooldown', undefined);
+                friendsOfFriends.set('maxPendingRequests', undefined);
+                friendsOfFriends.set('maxRequests', undefined);
+
+                if (err) return testComplete(err);
+
+                results.tooManyPending.should.be.an.Error;
+                results.tooManyPending.should.have.a.property('code', 'TOO_MANY_PENDING_REQUESTS');
+
+                results.cooldown.should.be.an.Error;
+                results.cooldown.should.have.a.property('code', 'REQUEST_COOLDOWN');
+
+                // cancelling and sending again does not get around the cooldown
+                results.cancelCooldown.should.be.an.Error;
+                results.cancelCooldown.should.have.a.property('code', 'REQUEST_COOLDOWN');
+
+                results.rateLimited.should.be.an.Error;
+                results.rateLimited.should.have.a.property('code', 'REQUEST_RATE_LIMITED');
+
+                // limits apply to each requester separately
+                results.fromSam.should.have.a.property('status', 'Pending');
+
+                testComplete();
+            });
+        });
+
+        it('friendRequest           - refuse requests once either person has maxFriends friends', function (testComplete) {
+
+            friendsOfFriends.set('maxFriends', 1);
+
+            async.series({
+                sent: function (next) {
+                    PersonModel.friendRequest(testUsers.jeff._id, testUsers.zane._id, next);
+                },
+                accepted: function (next) {
+                    PersonModel.acceptRequest(testUsers.jeff._id, testUsers.zane._id, next);
+                },
+                fromJeff: function (next) {
+                    PersonModel.friendRequest(testUsers.jeff._id, testUsers.sam._id, function (err) {
+                        next(null, err);
+                    });
+                },
+                toZane: function (next) {
+                    testUsers.henry.friendRequest(testUsers.zane._id, function (err) {
+                        next(null, err);
+                    });
+                },
+                count: function (next) {
+                    testUsers.zane.getFriendCount(next);
+                }
+            }, function (err, results) {
+                friendsOfFriends.set('maxFriends', undefined);
+
+                if (err) return testComplete(err);
+
+                results.fromJeff.should.be.an.Error;
+                results.fromJeff.should.have.a.property('code', 'MAX_FRIENDS');
+
+                results.toZane.should.be.an.Error;
+                results.toZane.should.have.a.property('code', 'MAX_FRIENDS');
+
+                results.count.should.equal(1);
+
+                testComplete();
+            });
+        });
+
+        it('friendRequest           - refuse requests to oneself and to people who do not exist', function (testComplete) {
+
+            var ghost = new PersonModel({ username: 'ghost' });
+
+            function refused (requesterId, requestedId) {
+                return function (next) {
+                    PersonModel.friendRequest(requesterId, requestedId, function (err) {
+                        next(null, err);
+                    });
+                };
+            }
+
+            async.series({
+                self: refused(testUsers.jeff._id, testUsers.jeff._id),
+                selfAsString: refused(testUsers.jeff._id, testUsers.jeff._id.toString()),
+                missing: refused(testUsers.jeff._id, undefined),
+                unchecked: function (next) {
+                    PersonModel.friendRequest(testUsers.jeff._id, ghost._id, next);
+                },
+                checked: function (next) {
+                    friendsOfFriends.set('checkPeopleExist', true);
+
+                    refused(testUsers.zane._id, ghost._id)(function (err, result) {
+                        friendsOfFriends.set('checkPeopleExist', false);
+
+                        next(err, result);
+                    });
+                },
+                friendships: function (next) {
+                    Friendship.find({ requested: testUsers.jeff._id }, next);
+                }
+            }, function (err, results) {
+                if (err) return testComplete(err);
+
+                results.self.should.be.an.instanceof(friendsOfFriends.errors.SelfRequestError);
+                results.self.should.have.a.property('code', 'SELF_REQUEST');
+                results.selfAsString.should.have.a.property('code', 'SELF_REQUEST');
+                results.missing.should.have.a.property('code', 'INVALID_ID');
+
+                results.unchecked.should.have.a.property('status', 'Pending');
+
+                results.checked.should.be.an.instanceof(friendsOfFriends.errors.PersonNotFoundError);
+                results.checked.should.have.a.property('code', 'PERSON_NOT_FOUND');
+
+                results.friendships.should.be.an.empty.Array;
+
+                testComplete();
+            });
+        });
+
+        it('annotateRelationships   - set the relationship of each person in a list', function (testComplete) {
+            async.series({
+                friends: function (next) {
+                    PersonModel.friendRequest(testUsers.jeff._id, testUsers.zane._id, function (err) {
+                        if (err) return next(err);
+
+                        PersonModel.acceptRequest(testUsers.jeff._id, testUsers.zane._id, next);
+                    });
+                },
+                pending: function (next) {
+                    PersonModel.friendRequest(testUsers.sam._id, testUsers.jeff._id, next);
+                },
+                annotated: function (next) {
+                    PersonModel.find({ _id: { '$ne': testUsers.jeff._id } }).lean().exec(function (err, people) {
+                        if (err) return next(err);
+
+                        testUsers.jeff.annotateRelationships(people, next);
+                    });
+                },
+                byId: function (next) {
+                    PersonModel.getRelationships(testUsers.jeff._id, [ testUsers.zane._id.toString() ], next);
+                }
+            }, function (err, results) {
+                if (err) return testComplete(err);
+
+                var expected = {};
+
+                expected[testUsers.zane._id] = relationships.FRIENDS;
+                expected[testUsers.sam._id] = relationships.PENDING_FRIENDS;
+                expected[testUsers.henry._id] = relationships.NOT_FRIENDS;
+
+                results.annotated.should.have.length(3);
+
+                results.annotated.forEach(function (person) {
+                    person.should.have.a.property('relationship', expected[person._id]);
+                });
+
+                results.byId.should.have.a.property(testUsers.zane._id.toString(), relationships.FRIENDS);
+
+                testComplete();
+            });
+        });
+
+        it('createList              - sort friends into named lists', function (testComplete) {
+
+            var jeff = testUsers.jeff;
+
+            function failed (fn) {
+                return function (next) {
+                    fn(function (err) {
+                        next(null, err);
+                    });
+                };
+            }
+
+            async.series({
+                indexes: function (next) {
+                    friendsOfFriends.FriendList.ensureIndexes(next);
+                },
+                friends: function (next) {
+                    async.eachSeries([ testUsers.zane, testUsers.sam ], function (friend, then) {
+                        jeff.friendRequest(friend._id, function (err) {
+                            if (err) return then(err);
+
+                            friend.acceptRequest(jeff._id, then);
+                        });
+                    }, next);
+                },
+                family: function (next) {
+                    jeff.createList('Family', next);
+                },
+                work: function (next) {
+                    PersonModel.createList(jeff._id, 'Work', next);
+                },
+                duplicate: failed(function (done) {
+                    jeff.createList('Family', done);
+                }),
+                addedZane: function (next) {
+                    jeff.addToList('Family', testUsers.zane._id, next);
+                },
+                addedSam: function (next) {
+                    jeff.addToList('Family', testUsers.sam._id, next);
+                },
+                notFriends: failed(function (done) {
+                    jeff.addToList('Family', testUsers.henry._id, done);
+                }),
+                renamed: function (next) {
+                    jeff.renameList('Family', 'Close Friends', next);
+                },
+                missing: failed(function (done) {
+                    jeff.addToList('Family', testUsers.zane._id, done);
+                }),
+                closeFriends: function (next) {
+                    jeff.getFriends({ list: 'Close Friends' }, next);
+                },
+                ended: function (next) {
+                    jeff.endFriendship(testUsers.zane._id, next);
+                },
+                afterEnding: function (next) {
+                    jeff.getFriends({ list: 'Close Friends' }, next);
+                },
+                removed: function (next) {
+                    jeff.removeFromList('Close Friends', testUsers.sam._id, next);
+                },
+                deleted: function (next) {
+                    jeff.deleteList('Work', next);
+                },
+                lists: function (next) {
+                    jeff.getLists(next);
+                }
+            }, function (err, results) {
+                if (err) return testComplete(err);
+
+                results.duplicate.should.have.a.property('code', 'LIST_EXISTS');
+                results.notFriends.should.have.a.property('code', 'NOT_FRIENDS');
+                results.missing.should.have.a.property('code', 'LIST_NOT_FOUND');
+
+                results.addedSam.members.should.have.length(2);
+                results.renamed.should.have.a.property('name', 'Close Friends');
+
+                results.closeFriends.should.have.length(2);
+
+                results.afterEnding.should.have.length(1);
+                results.afterEnding[0]._id.equals(testUsers.sam._id).should.be.true;
+
+                results.removed.members.should.be.an.empty.Array;
+                results.deleted.should.have.a.property('name', 'Work');
+
+                results.lists.should.have.length(1);
+                results.lists[0].should.have.a.property('name', 'Close Friends');
+                results.lists[0].members.should.be.an.empty.Array;
+
+                testComplete();
+            });
+        });
+
+        it('friendRequest           - propose a type of relationship, confirmed by accepting', function (testComplete) {
+
+            friendsOfFriends.set('types', [ 'friend', 'family', [ 'parent', 'child' ] ]);
+
+            async.series({
+                invalid: function (next) {
+                    testUsers.jeff.friendRequest(testUsers.zane._id, { type: 'boss' }, function (err) {
+                        next(null, err);
+                    });
+                },
+                child: function (next) {
+                    testUsers.jeff.friendRequest(testUsers.zane._id, { type: 'child' }, next);
+                },
+                untyped: function (next) {
+                    testUsers.sam.friendRequest(testUsers.jeff._id, next);
+                },
+                accepted: function (next) {
+                    testUsers.zane.acceptRequest(testUsers.jeff._id, function (err) {
+                        if (err) return next(err);
+
+                        testUsers.jeff.acceptRequest(testUsers.sam._id, next);
+                    });
+                },
+                children: function (next) {
+                    testUsers.jeff.getFriends({ type: 'child' }, next);
+                },
+                parents: function (next) {
+                    PersonModel.getFriends(testUsers.zane._id, { type: 'parent' }, next);
+                },
+                friends: function (next) {
+                    testUsers.jeff.getFriends({ type: 'friend' }, next);
+                }
+            }, function (err, results) {
+                friendsOfFriends.set('types', undefined);
+
+                if (err) return testComplete(err);
+
+                results.invalid.should.have.a.property('code', 'INVALID_TYPE');
+
+                results.child.should.have.a.property('requesterType', 'parent');
+                results.child.should.have.a.property('requestedType', 'child');
+                results.untyped.should.have.a.property('requesterType', 'friend');
+
+                results.children.should.have.length(1);
+                results.children[0]._id.equals(testUsers.zane._id).should.be.true;
+
+                results.parents.should.have.length(1);
+                results.parents[0]._id.equals(testUsers.jeff._id).should.be.true;
+
+                results.friends.should.have.length(1);
+                results.friends[0]._id.equals(testUsers.sam._id).should.be.true;
+
+                testComplete();
+            });
+        });
+
+        it('query helpers           - scope chainable queries to part of the graph', function (testComplete) {
+
+            function usernames (people) {
+                return people.map(function (person) {
+                    return person.username;
+                }).sort();
+            }
+
+            async.series({
+                jeffRequestsZane: function (next) {
+                    testUsers.jeff.friendRequest(testUsers.zane._id, next);
+                },
+                zaneAccepts: function (next) {
+                    testUsers.zane.acceptRequest(testUsers.jeff._id, next);
+                },
+                zaneRequestsHenry: function (next) {
+                    testUsers.zane.friendRequest(testUsers.henry._id, next);
+                },
+                henryAccepts: function (next) {
+                    testUsers.henry.acceptRequest(testUsers.zane._id, next);
+                },
+                jeffRequestsSam: function (next) {
+                    testUsers.jeff.friendRequest(testUsers.sam._id, next);
+                },
+                friends: function (next) {
+                    PersonModel.find().friendsOf(testUsers.jeff._id).lean().exec(next);
+                },
+                friendsOfFriends: function (next) {
+                    PersonModel.find().friendsOfFriendsOf(testUsers.jeff._id).select('username').exec(next);
+                },
+                pendingFriends: function (next) {
+                    PersonModel.findOne().pendingFriendsOf(testUsers.jeff._id).exec(next);
+                },
+                nonFriends: function (next) {
+                    PersonModel.find().nonFriendsOf(testUsers.jeff._id).sort('username').exec(next);
+                },
+                chained: function (next) {
+                    PersonModel.find({ username: { '$ne': 'Sam' } }).nonFriendsOf(testUsers.jeff._id).exec(next);
+                },
+                combined: function (next) {
+                    PersonModel.count().friendsOf(testUsers.zane._id).nonFriendsOf(testUsers.jeff._id).exec(next);
+                },
+                streamed: function (next) {
+                    var people = [];
+
+                    PersonModel.find().friendsOf(testUsers.zane._id).cursor()
+                        .on('data', function (person) {
+                            people.push(person);
+                        })
+                        .on('error', next)
+                        .on('end', function () {
+                            next(null, people);
+                        });
+                },
+                distinct: function (next) {
+                    PersonModel.distinct('username').friendsOf(testUsers.zane._id).exec(next);
+                },
+                removed: function (next) {
+                    PersonModel.remove({ username: { '$ne': 'Jeff' } }).friendsOf(testUsers.zane._id).exec(next);
+                },
+                remaining: function (next) {
+                    PersonModel.find(next);
+                }
+            }, function (err, results) {
+                if (err) return testComplete(err);
+
+                usernames(results.friends).should.eql([ 'Zane' ]);
+                results.friends[0].should.not.be.an.instanceof(PersonModel);
+
+                usernames(results.friendsOfFriends).should.eql([ 'Henry' ]);
+
+                results.pendingFriends.should.have.a.property('username', 'Sam');
+
+                usernames(results.nonFriends).should.eql([ 'Henry', 'Sam' ]);
+                usernames(results.chained).should.eql([ 'Henry' ]);
+
+                // Henry is Zane's friend and not Jeff's
+                results.combined.should.equal(1);
+
+                usernames(results.streamed).should.eql([ 'Henry', 'Jeff' ]);
+
+                results.distinct.sort().should.eql([ 'Henry', 'Jeff' ]);
+
+                // only Henry is both Zane's friend and not Jeff
+                usernames(results.remaining).should.eql([ 'Jeff', 'Sam', 'Zane' ]);
+
+                testComplete();
+            });
+        });
+
+        it('remove                  - close the friendships of a person when they are deleted', function (testComplete) {
+            var events = [];
+
+            function listen (event) {
+                events.push(event);
+            }
+
+            friendsOfFriends.on('friendship:ended', listen);
+
+            var involvesJeff = {
+                '$or': [
+                    { requester: testUsers.jeff._id },
+                    { requested: testUsers.jeff._id }
+                ]
+            };
+
             async.series({
-                jeffToZane: function (next) {
-                    PersonModel.friendRequest(testUsers.jeff._id, testUsers.zane._id, function (err, request) {
-                        next(err, request)
-                    })
+                jeffRequestsZane: function (next) {
+                    testUsers.jeff.friendRequest(testUsers.zane._id, next);
                 },
-                jeffToZaneAccepted: function (next) {
-                    PersonModel.acceptRequest(testUsers.jeff._id, testUsers.zane._id, next)
+                zaneAccepts: function (next) {
+                    testUsers.zane.acceptRequest(testUsers.jeff._id, next);
                 },
-                zaneToSam: function (next) {
-                    PersonModel.friendRequest(testUsers.zane._id, testUsers.sam._id, function (err, request) {
-                        next(err, request)
-                    })
-                }, 
-                zaneToSamAccepted: function (next) {
-                    PersonModel.acceptRequest(testUsers.zane._id, testUsers.sam._id, next)
-                }, 
-                areFriendsOfFriends: function (next) {
-                    async.parallel({
-                        jeffAndZane: function (done) {
-                            PersonModel.areFriendsOfFriends(testUsers.jeff._id, testUsers.zane._id, done)
-                        },
-                        jeffAndSam: function (done) {
-                            PersonModel.areFriendsOfFriends(testUsers.jeff._id, testUsers.sam._id, done)
-                        },
-                        jeffAndHenry: function (done) {
-                            PersonModel.areFriendsOfFriends(testUsers.jeff._id, testUsers.henry._id, done)
-                        },
-                        zaneAndSam: function (done) {
-                            PersonModel.areFriendsOfFriends(testUsers.zane._id, testUsers.sam._id, done) 
-                        },
-                        zaneAndHenry: function (done) {
-                            PersonModel.areFriendsOfFriends(testUsers.zane._id, testUsers.henry._id, done)
-                        }, 
-                        samAndHenry: function (done) {
-                            PersonModel.areFriendsOfFriends(testUsers.sam._id, testUsers.henry._id, done)
-                        }
-                    }, function (err, results) {
-                        next(err, results)
-                    })
+                samRequestsJeff: function (next) {
+                    testUsers.sam.friendRequest(testUsers.jeff._id, next);
+                },
+                samRequestsHenry: function (next) {
+                    testUsers.sam.friendRequest(testUsers.henry._id, next);
+                },
+                jeffsList: function (next) {
+                    testUsers.jeff.createList('Close Friends', next);
+                },
+                zanesList: function (next) {
+                    testUsers.zane.createList('Close Friends', next);
+                },
+                jeffAddsZane: function (next) {
+                    testUsers.jeff.addToList('Close Friends', testUsers.zane._id, next);
+                },
+                zaneAddsJeff: function (next) {
+                    testUsers.zane.addToList('Close Friends', testUsers.jeff._id, next);
+                },
+                removeJeff: function (next) {
+                    testUsers.jeff.remove(next);
+                },
+                jeffsFriendships: function (next) {
+                    Friendship.count(involvesJeff, next);
+                },
+                zanesFriends: function (next) {
+                    testUsers.zane.getFriends(next);
+                },
+                zane: function (next) {
+                    PersonModel.findById(testUsers.zane._id, next);
+                },
+                zanesLists: function (next) {
+                    testUsers.zane.getLists(next);
+                },
+                jeffsLists: function (next) {
+                    friendsOfFriends.FriendList.count({ owner: testUsers.jeff._id }, next);
+                },
+                removeSam: function (next) {
+                    PersonModel.findOneAndRemove({ username: 'Sam' }, next);
+                },
+                friendships: function (next) {
+                    Friendship.count({}, next);
                 }
             }, function (err, results) {
-                if (err) return testComplete(err) 
+                friendsOfFriends.removeListener('friendship:ended', listen);
 
-                results.jeffToZane.requester.should.have.a.property('_id', testUsers.jeff._id)
-                results.jeffToZane.requested.should.have.a.property('_id', testUsers.zane._id)
-                results.jeffToZane.should.have.a.property('status', 'Pending')
-                results.jeffToZane.dateSent.should.be.an.instanceof(Date)
+                if (err) return testComplete(err);
 
-                results.jeffToZaneAccepted.requester.should.have.a.property('_id', testUsers.jeff._id)
-                results.jeffToZaneAccepted.requested.should.have.a.property('_id', testUsers.zane._id)
-                results.jeffToZaneAccepted.should.have.a.property('status', 'Accepted')
-                results.jeffToZaneAccepted.dateSent.should.be.an.instanceof(Date)
+                results.jeffsFriendships.should.equal(0);
+                results.zanesFriends.should.be.an.empty.Array;
+                results.zane.friends.should.be.an.empty.Array;
 
-                results.zaneToSam.requester.should.have.a.property('_id', testUsers.zane._id)
-                results.zaneToSam.requested.should.have.a.property('_id', testUsers.sam._id)
-                results.zaneToSam.should.have.a.property('status', 'Pending')
-                results.zaneToSam.dateSent.should.be.an.instanceof(Date)
+                results.zanesLists.should.have.length(1);
+                results.zanesLists[0].members.should.be.an.empty.Array;
+                results.jeffsLists.should.equal(0);
 
-                results.zaneToSamAccepted.requester.should.have.a.property('_id', testUsers.zane._id)
-                results.zaneToSamAccepted.requested.should.have.a.property('_id', testUsers.sam._id)
-                results.zaneToSamAccepted.should.have.a.property('status', 'Accepted')
-                results.zaneToSamAccepted.dateSent.should.be.an.instanceof(Date)
+                results.removeSam.should.have.a.property('username', 'Sam');
+                results.friendships.should.equal(0);
 
-                results.areFriendsOfFriends.jeffAndZane.should.be.false;
-                results.areFriendsOfFriends.jeffAndSam.should.be.true;
-                results.areFriendsOfFriends.jeffAndHenry.should.be.false;
-                results.areFriendsOfFriends.zaneAndSam.should.be.false;
-                results.areFriendsOfFriends.zaneAndHenry.should.be.false;
-                results.areFriendsOfFriends.samAndHenry.should.be.false;
-                
-                testComplete()
-            })
-        })
+                // only the friendship ended, not the request
+                events.should.have.length(1);
+                events[0].friendship.requester.should.have.a.property('username', 'Jeff');
+                events[0].friendship.requested.should.have.a.property('username', 'Zane');
 
-        it('arePendingFriends       - determine if the two people have a pending friendship', function (testComplete) {
-             async.series({
-                pre: function (next) {
-                    PersonModel.arePendingFriends(testUsers.jeff._id, testUsers.zane._id, next);
+                testComplete();
+            });
+        });
+
+        it('remove                  - close the friendships of people deleted by a query', function (testComplete) {
+            var events = [];
+
+            function listen (event) {
+                events.push(event);
+            }
+
+            friendsOfFriends.on('friendship:ended', listen);
+
+            async.series({
+                jeffRequestsZane: function (next) {
+                    testUsers.jeff.friendRequest(testUsers.zane._id, next);
                 },
-                request: function (next) {
-                    PersonModel.friendRequest(testUsers.jeff._id, testUsers.zane._id, function (err, pendingFriendship) {
-                        next(err, pendingFriendship);
-                    });
+                zaneAccepts: function (next) {
+                    testUsers.zane.acceptRequest(testUsers.jeff._id, next);
                 },
-                post: function (next) {
-                    PersonModel.arePendingFriends(testUsers.jeff._id, testUsers.zane._id, next);
+                samRequestsHenry: function (next) {
+                    testUsers.sam.friendRequest(testUsers.henry._id, next);
                 },
-                friendship: function (next) {
-                    PersonModel.acceptRequest(testUsers.jeff._id, testUsers.zane._id, next);
+                henryAccepts: function (next) {
+                    testUsers.henry.acceptRequest(testUsers.sam._id, next);
                 },
-                accepted: function (next) {
-                    PersonModel.arePendingFriends(testUsers.jeff._id, testUsers.zane._id, next);
+                zaneRequestsHenry: function (next) {
+                    testUsers.zane.friendRequest(testUsers.henry._id, next);
+                },
+                deleteJeff: function (next) {
+                    PersonModel.deleteOne({ username: 'Jeff' }, next);
+                },
+                afterDeleteOne: function (next) {
+                    Friendship.count({}, next);
+                },
+                removeSam: function (next) {
+                    PersonModel.remove({ username: 'Sam' }).exec(next);
+                },
+                afterRemove: function (next) {
+                    Friendship.count({}, next);
+                },
+                deleteEveryone: function (next) {
+                    PersonModel.deleteMany({}, next);
+                },
+                afterDeleteMany: function (next) {
+                    Friendship.count({}, next);
                 }
-            }, 
-            function (err, results) {
+            }, function (err, results) {
+                friendsOfFriends.removeListener('friendship:ended', listen);
+
                 if (err) return testComplete(err);
 
-                results.pre.should.be.false;
-                results.request.should.be.ok;
-                results.post.should.be.ok;
-                results.friendship.should.be.ok;
-                results.accepted.should.be.false;
+                results.afterDeleteOne.should.equal(2);
+                results.afterRemove.should.equal(1);
+                results.afterDeleteMany.should.equal(0);
 
-                PersonModel.arePendingFriends(1234, 5678, function (err, answer) {
-                    err.should.be.an.Error;
-                    (answer === undefined).should.be.true;
+                events.should.have.length(2);
+                events[0].friendship.requester.should.have.a.property('username', 'Jeff');
+                events[1].friendship.requester.should.have.a.property('username', 'Sam');
 
-                    testComplete();
-                });
+                testComplete();
             });
         });
 
-        it('getFriendship           - get the friendship document itself', function (testComplete) {
+        it('remove                  - veto the removal of a person with an endFriendship hook', function (testComplete) {
+
+            function veto (personId, friendId, next) {
+                next(new Error('Friends must part first'));
+            }
+
             async.series({
-                sent: function (next) {
-                    PersonModel.friendRequest(testUsers.jeff._id, testUsers.zane._id, function (err, request) {
-                        next(err, request)
-                    })
+                jeffRequestsZane: function (next) {
+                    testUsers.jeff.friendRequest(testUsers.zane._id, next);
                 },
-                accepted: function (next) {
-                    PersonModel.acceptRequest(testUsers.jeff._id, testUsers.zane._id, next)
+                zaneAccepts: function (next) {
+                    testUsers.zane.acceptRequest(testUsers.jeff._id, next);
                 },
-                friendship: function (next) {
-                    PersonModel.getFriendship(testUsers.jeff._id, testUsers.zane._id, next)
+                veto: function (next) {
+                    friendsOfFriends.before('endFriendship', veto);
+                    next();
+                },
+                removeJeff: function (next) {
+                    testUsers.jeff.remove(function (err) {
+                        friendsOfFriends.removeBefore('endFriendship', veto);
+                        next(null, err);
+                    });
+                },
+                jeff: function (next) {
+                    PersonModel.findById(testUsers.jeff._id, next);
+                },
+                isFriend: function (next) {
+                    testUsers.jeff.isFriend(testUsers.zane._id, next);
                 }
             }, function (err, results) {
-                if (err) return testComplete(err)
+                if (err) return testComplete(err);
 
-                results.sent.requester.should.have.a.property('_id', testUsers.jeff._id)
-                results.sent.requested.should.have.a.property('_id', testUsers.zane._id)
-                results.sent.should.have.a.property('status', 'Pending')
-                results.sent.dateSent.should.be.an.instanceof(Date)
+                results.removeJeff.should.be.an.Error;
+                results.removeJeff.message.should.equal('Friends must part first');
 
-                results.accepted.requester.should.have.a.property('_id', testUsers.jeff._id)
-                results.accepted.requested.should.have.a.property('_id', testUsers.zane._id)
-                results.accepted.should.have.a.property('status', 'Accepted')
-                results.accepted.dateSent.should.be.an.instanceof(Date)
+                results.jeff.should.have.a.property('username', 'Jeff');
+                results.isFriend.should.be.true;
 
-                results.friendship.requester.should.have.a.property('_id', testUsers.jeff._id)
-                results.friendship.requested.should.have.a.property('_id', testUsers.zane._id)
-                results.friendship.should.have.a.property('status', 'Accepted')
-                results.friendship.dateSent.should.be.an.instanceof(Date)
-            
-                testComplete()
-            })
-        })
+                testComplete();
+            });
+        });
+
+        it('defaults                - no follows, no synced friends and every field visible', function (testComplete) {
+            (undefined === PersonModel.follow).should.be.true;
+            (undefined === testUsers.jeff.follow).should.be.true;
 
-        it('getRelationship         - get the numeric relationship between two users', function (testComplete) {
             async.series({
-                jeffToZane: function (next) {
-                    PersonModel.friendRequest(testUsers.jeff._id, testUsers.zane._id, function (err, request) {
-                        next(err, request)
-                    })
+                sent: function (next) {
+                    PersonModel.friendRequest(testUsers.jeff._id, testUsers.zane._id, { priority: 2 }, next);
                 },
-                jeffToZaneAccepted: function (next) {
-                    PersonModel.acceptRequest(testUsers.jeff._id, testUsers.zane._id, next)
+                accepted: function (next) {
+                    PersonModel.acceptRequest(testUsers.jeff._id, testUsers.zane._id, next);
                 },
-                zaneToSam: function (next) {
-                    PersonModel.friendRequest(testUsers.zane._id, testUsers.sam._id, function (err, request) {
-                        next(err, request)
-                    })
-                }, 
-                zaneToSamAccepted: function (next) {
-                    PersonModel.acceptRequest(testUsers.zane._id, testUsers.sam._id, next)
-                }, 
-                relationships: function (next) {
-                    async.parallel({
-                        jeffAndZane: function (done) {
-                            PersonModel.getRelationship(testUsers.jeff._id, testUsers.zane._id, done)
-                        },
-                        jeffAndSam: function (done) {
-                            PersonModel.getRelationship(testUsers.jeff._id, testUsers.sam._id, done)
-                        },
-                        jeffAndHenry: function (done) {
-                            PersonModel.getRelationship(testUsers.jeff._id, testUsers.henry._id, done)
-                        },
-                        zaneAndSam: function (done) {
-                            PersonModel.getRelationship(testUsers.zane._id, testUsers.sam._id, done) 
-                        },
-                        zaneAndHenry: function (done) {
-                            PersonModel.getRelationship(testUsers.zane._id, testUsers.henry._id, done)
-                        }, 
-                        samAndHenry: function (done) {
-                            PersonModel.getRelationship(testUsers.sam._id, testUsers.henry._id, done)
-                        }
-                    }, function (err, results) {
-                        next(err, results)
-                    })
+                jeff: function (next) {
+                    PersonModel.findById(testUsers.jeff._id, next);
+                },
+                visible: function (next) {
+                    PersonModel.findVisible(testUsers.henry._id, { username: 'Jeff' }, next);
                 }
             }, function (err, results) {
-                if (err) return testComplete(err)
-
-                results.jeffToZane.requester.should.have.a.property('_id', testUsers.jeff._id)
-                results.jeffToZane.requested.should.have.a.property('_id', testUsers.zane._id)
-                results.jeffToZane.should.have.a.property('status', 'Pending')
-                results.jeffToZane.dateSent.should.be.an.instanceof(Date)
+                if (err) return testComplete(err);
 
-                results.jeffToZaneAccepted.requester.should.have.a.property('_id', testUsers.jeff._id)
-                results.jeffToZaneAccepted.requested.should.have.a.property('_id', testUsers.zane._id)
-                results.jeffToZaneAccepted.should.have.a.property('status', 'Accepted')
-                results.jeffToZaneAccepted.dateSent.should.be.an.instanceof(Date)
+                // only the configured friendshipFields may be sent with a request
+                (undefined === results.sent.toObject().priority).should.be.true;
 
-                results.zaneToSam.requester.should.have.a.property('_id', testUsers.zane._id)
-                results.zaneToSam.requested.should.have.a.property('_id', testUsers.sam._id)
-                results.zaneToSam.should.have.a.property('status', 'Pending')
-                results.zaneToSam.dateSent.should.be.an.instanceof(Date)
+                results.jeff.friends.should.be.an.empty.Array;
 
-                results.zaneToSamAccepted.requester.should.have.a.property('_id', testUsers.zane._id)
-                results.zaneToSamAccepted.requested.should.have.a.property('_id', testUsers.sam._id)
-                results.zaneToSamAccepted.should.have.a.property('status', 'Accepted')
-                results.zaneToSamAccepted.dateSent.should.be.an.instanceof(Date)
+                results.visible.should.have.length(1);
+                results.visible[0].should.have.a.property('created');
 
-                results.relationships.jeffAndZane   .should.equal(relationships.FRIENDS)
-                results.relationships.jeffAndSam    .should.equal(relationships.FRIENDS_OF_FRIENDS)
-                results.relationships.jeffAndHenry  .should.equal(relationships.NOT_FRIENDS)
-                results.relationships.zaneAndSam    .should.equal(relationships.FRIENDS)
-                results.relationships.zaneAndHenry  .should.equal(relationships.NOT_FRIENDS)
-                results.relationships.samAndHenry   .should.equal(relationships.NOT_FRIENDS)
-            
-                testComplete()
-            })
-        })
+                testComplete();
+            });
+        });
 
         it('isRequester             - check to see if the given user is the requester in a given friendship', function (testComplete) {
             async.series({
@@ -1282,6 +2615,37 @@ module.exports = function (friendsOfFriends, mongoose) {
             });
         });
         
+
+        it('promises                - return a Promise when no callback is given', function (testComplete) {
+            var request = PersonModel.friendRequest(testUsers.jeff._id, testUsers.zane._id);
+
+            request.should.be.an.instanceof(Promise);
+
+            request.then(function (pendingFriendship) {
+                pendingFriendship.should.have.a.property('status', 'Pending');
+
+                return PersonModel.acceptRequest(testUsers.jeff._id, testUsers.zane._id);
+            }).then(function (friendship) {
+                friendship.should.have.a.property('status', 'Accepted');
+
+                return PersonModel.getFriends(testUsers.jeff._id);
+            }).then(function (friends) {
+                friends.should.be.an.Array.with.length(1);
+                friends[0].should.have.a.property('_id', testUsers.zane._id);
+
+                return PersonModel.getNonFriends(testUsers.jeff._id, { projection: 'username' });
+            }).then(function (nonFriends) {
+                nonFriends.should.be.an.Array.with.length(2);
+
+                return PersonModel.getFriends('abc').then(function () {
+                    throw new Error('getFriends should have been rejected');
+                }, function (err) {
+                    err.name.should.equal('CastError');
+                });
+            }).then(function () {
+                testComplete();
+            }, testComplete);
+        });
     });
 
     describe('methods', function () {
@@ -2221,6 +3585,23 @@ module.exports = function (friendsOfFriends, mongoose) {
                 });
             });
         });
+
+        it('promises                - return a Promise when no callback is given', function (testComplete) {
+            testUsers.jeff.friendRequest(testUsers.zane._id).then(function () {
+                return testUsers.zane.acceptRequest(testUsers.jeff._id);
+            }).then(function () {
+                return testUsers.zane.getFriends();
+            }).then(function (friends) {
+                friends.should.be.an.Array.with.length(1);
+                friends[0].should.have.a.property('_id', testUsers.jeff._id);
+
+                return testUsers.jeff.isFriend(testUsers.zane._id);
+            }).then(function (answer) {
+                answer.should.be.true;
+            }).then(function () {
+                testComplete();
+            }, testComplete);
+        });
         
     })
 